@@ -0,0 +1,549 @@
+'use strict';
+
+// Mock local da API TaskWise implementando as rotas de resources/swagger.yaml.
+// Uso: npm run mock (porta MOCK_API_PORT, padrão 3000; MOCK_DB_FILE persiste o estado em JSON).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+
+const {
+  STATUSES,
+  PHASE_KEYS,
+  createStore,
+  hashPassword,
+  verifyPassword,
+  addBusinessDays,
+  businessDaysBetween,
+  taskTotals,
+  normalizePhases,
+  sprintDays,
+  sprintDueDate,
+  round2
+} = require('./store');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const SWAGGER_PATH = path.join(__dirname, '..', 'resources', 'swagger.yaml');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Respostas de erro no formato ErrorArray do swagger
+function fail(res, status, code, message, field = null) {
+  return res.status(status).json([{ code, field, message }]);
+}
+
+function requestTz(req) {
+  const tz = req.query.tz || req.get('X-Timezone') || 'UTC';
+  try {
+    dayjs().tz(tz);
+    return tz;
+  } catch (e) {
+    return 'UTC';
+  }
+}
+
+// Datas de saída no formato "DD-MM-YYYY HH:mm" no timezone do cliente
+function fmt(iso, tz) {
+  return iso ? dayjs(iso).tz(tz).format('DD-MM-YYYY HH:mm') : null;
+}
+
+function toUser(u, tz, { withHash = false } = {}) {
+  const out = { id: u.id, name: u.name, email: u.email, role: u.role, createdAt: fmt(u.createdAt, tz) };
+  if (withHash) out.passwordHash = u.passwordHash;
+  return out;
+}
+
+function toTask(t, tz) {
+  return {
+    id: t.id,
+    title: t.title,
+    description: t.description,
+    status: t.status,
+    phases: t.phases,
+    totalHours: t.totalHours,
+    totalDays: t.totalDays,
+    dueDate: fmt(t.dueDate, tz),
+    assigneeId: t.assigneeId,
+    sprintId: t.sprintId,
+    risco: t.risco,
+    complexidade: t.complexidade,
+    createdAt: fmt(t.createdAt, tz),
+    updatedAt: fmt(t.updatedAt, tz)
+  };
+}
+
+function toSprint(s, tz) {
+  return {
+    id: s.id,
+    name: s.name,
+    status: s.status,
+    taskIds: s.taskIds,
+    capacity: s.capacity,
+    startedAt: fmt(s.startedAt, tz),
+    closedAt: fmt(s.closedAt, tz),
+    dueDate: fmt(s.dueDate, tz),
+    createdAt: fmt(s.createdAt, tz),
+    updatedAt: fmt(s.updatedAt, tz)
+  };
+}
+
+// Valida as quatro fases PERT (O ≤ M ≤ P, números ≥ 0); retorna o primeiro erro
+function phasesError(phases) {
+  if (!phases || typeof phases !== 'object') {
+    return { code: 'PHASES_REQUIRED', field: 'phases', message: 'Informe as fases da tarefa.' };
+  }
+  for (const k of PHASE_KEYS) {
+    const p = phases[k];
+    const field = `phases.${k}`;
+    if (!p) return { code: 'PHASE_REQUIRED', field, message: `Fase ${k} é obrigatória.` };
+    const O = Number(p.O), M = Number(p.M), P = Number(p.P);
+    if ([p.O, p.M, p.P].some((v) => v === undefined || v === null || v === '') || [O, M, P].some((v) => Number.isNaN(v) || v < 0)) {
+      return { code: 'PHASE_INVALID', field, message: `Fase ${k}: O, M e P devem ser números não negativos.` };
+    }
+    if (!(O <= M && M <= P)) {
+      return { code: 'PERT_ORDER', field, message: `Fase ${k}: garanta O ≤ M ≤ P.` };
+    }
+  }
+  return null;
+}
+
+function toCapacity(body, current = { junior: 0, pleno: 0, senior: 0 }) {
+  const out = { ...current };
+  for (const k of ['junior', 'pleno', 'senior']) {
+    if (body && body[k] !== undefined && body[k] !== null && body[k] !== '') {
+      const n = Number(body[k]);
+      if (!Number.isInteger(n) || n < 0) return { error: { code: 'CAPACITY_INVALID', field: `capacity.${k}`, message: `${k} deve ser inteiro ≥ 0.` } };
+      out[k] = n;
+    }
+  }
+  return { capacity: out };
+}
+
+function createMockServer(options = {}) {
+  const store = options.store || createStore(options);
+  const { state } = store;
+  const app = express();
+  app.use(express.json());
+
+  const findUser = (id) => state.users.find((u) => u.id === id);
+  const findTask = (id) => state.tasks.find((t) => t.id === id);
+  const findSprint = (id) => state.sprints.find((s) => s.id === id);
+  const now = () => new Date().toISOString();
+
+  function auth(req, res, next) {
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    const user = token ? store.userForToken(token) : null;
+    if (!user) return fail(res, 401, 'UNAUTHORIZED', 'Token ausente, inválido ou expirado.');
+    req.user = user;
+    req.tz = requestTz(req);
+    next();
+  }
+
+  function admin(req, res, next) {
+    if (req.user.role !== 'Admin') return fail(res, 403, 'FORBIDDEN', 'Ação restrita a Admin.');
+    next();
+  }
+
+  function withTask(req, res, next) {
+    req.task = findTask(req.params.id);
+    if (!req.task) return fail(res, 404, 'TASK_NOT_FOUND', 'Tarefa não encontrada.', 'id');
+    next();
+  }
+
+  function withSprint(req, res, next) {
+    req.sprint = findSprint(req.params.id);
+    if (!req.sprint) return fail(res, 404, 'SPRINT_NOT_FOUND', 'Sprint não encontrada.', 'id');
+    next();
+  }
+
+  function refreshSprintDueDate(sprintId) {
+    const sprint = sprintId && findSprint(sprintId);
+    if (sprint && sprint.status === 'Started') sprint.dueDate = sprintDueDate(state, sprint);
+  }
+
+  // Autenticação
+  app.post('/auth/login', (req, res) => {
+    const { email, password } = req.body || {};
+    const user = state.users.find((u) => u.email === String(email || '').toLowerCase());
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+      return fail(res, 401, 'INVALID_CREDENTIALS', 'Email ou senha inválidos.');
+    }
+    const token = store.issueToken(user.id);
+    return res.json({ token, user: { id: user.id, name: user.name, email: user.email, role: user.role } });
+  });
+
+  // Usuários
+  app.post('/users', (req, res) => {
+    const { name, email, password } = req.body || {};
+    if (!name || !String(name).trim()) return fail(res, 422, 'NAME_REQUIRED', 'Nome é obrigatório.', 'name');
+    if (!email || !EMAIL_RE.test(String(email))) return fail(res, 422, 'EMAIL_INVALID', 'Email inválido.', 'email');
+    if (!password || String(password).length < 6) return fail(res, 422, 'PASSWORD_TOO_SHORT', 'A senha deve ter ao menos 6 caracteres.', 'password');
+    const normalized = String(email).toLowerCase();
+    if (state.users.some((u) => u.email === normalized)) return fail(res, 422, 'EMAIL_TAKEN', 'Email já cadastrado.', 'email');
+    const user = { id: crypto.randomUUID(), name: String(name).trim(), email: normalized, role: 'ReadWrite', passwordHash: hashPassword(password), createdAt: now() };
+    state.users.push(user);
+    store.save();
+    return res.status(201).json(toUser(user, requestTz(req)));
+  });
+
+  app.get('/users', auth, admin, (req, res) => {
+    res.json({ items: state.users.map((u) => toUser(u, req.tz, { withHash: true })) });
+  });
+
+  app.get('/users/available', auth, (req, res) => {
+    res.json({ items: state.users.map((u) => ({ id: u.id, name: u.name, email: u.email, role: u.role })) });
+  });
+
+  app.get('/users/me', auth, (req, res) => {
+    res.json(toUser(req.user, req.tz));
+  });
+
+  // Tarefas
+  app.get('/tasks', auth, (req, res) => {
+    const { status, sprintId, risco, complexidade, assigneeId } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const pageSize = Math.min(1000, Math.max(1, parseInt(req.query.pageSize, 10) || 10));
+    const filtered = state.tasks.filter((t) =>
+      (!status || t.status === status) &&
+      (!sprintId || t.sprintId === sprintId) &&
+      (!risco || t.risco === risco) &&
+      (!complexidade || t.complexidade === complexidade) &&
+      (!assigneeId || t.assigneeId === assigneeId)
+    );
+    const total = filtered.length;
+    const totalPages = Math.max(1, Math.ceil(total / pageSize));
+    const items = filtered.slice((page - 1) * pageSize, page * pageSize).map((t) => toTask(t, req.tz));
+    res.json({ page, pageSize, total, totalPages, items });
+  });
+
+  app.post('/tasks', auth, (req, res) => {
+    const body = req.body || {};
+    if (!body.title || !String(body.title).trim()) return fail(res, 422, 'TITLE_REQUIRED', 'Título é obrigatório.', 'title');
+    const perr = phasesError(body.phases);
+    if (perr) return res.status(422).json([perr]);
+    const sprint = body.sprintId ? findSprint(body.sprintId) : null;
+    if (body.sprintId && !sprint) return fail(res, 422, 'SPRINT_NOT_FOUND', 'Sprint informada não existe.', 'sprintId');
+    const phases = normalizePhases(body.phases);
+    const ts = now();
+    const task = {
+      id: crypto.randomUUID(),
+      title: String(body.title).trim(),
+      description: body.description || null,
+      status: 'Backlog',
+      phases,
+      ...taskTotals(phases),
+      startedAt: null,
+      dueDate: null,
+      completedAt: null,
+      block: null,
+      assigneeId: null,
+      sprintId: sprint ? sprint.id : null,
+      risco: body.risco || null,
+      complexidade: body.complexidade || null,
+      createdAt: ts,
+      updatedAt: ts
+    };
+    state.tasks.push(task);
+    if (sprint) {
+      sprint.taskIds.push(task.id);
+      refreshSprintDueDate(sprint.id);
+    }
+    store.save();
+    res.status(201).json(toTask(task, req.tz));
+  });
+
+  app.get('/tasks/:id', auth, withTask, (req, res) => {
+    res.json(toTask(req.task, req.tz));
+  });
+
+  app.put('/tasks/:id', auth, withTask, (req, res) => {
+    const body = req.body || {};
+    const task = req.task;
+    if (body.title !== undefined && !String(body.title).trim()) return fail(res, 422, 'TITLE_REQUIRED', 'Título é obrigatório.', 'title');
+    if (body.phases !== undefined) {
+      const perr = phasesError(body.phases);
+      if (perr) return res.status(422).json([perr]);
+    }
+    if (body.sprintId && body.sprintId !== task.sprintId) {
+      if (task.sprintId) return fail(res, 409, 'TASK_IN_OTHER_SPRINT', 'Tarefa já vinculada a outra sprint.', 'sprintId');
+      const sprint = findSprint(body.sprintId);
+      if (!sprint) return fail(res, 422, 'SPRINT_NOT_FOUND', 'Sprint informada não existe.', 'sprintId');
+      task.sprintId = sprint.id;
+      sprint.taskIds.push(task.id);
+    }
+    if (body.title !== undefined) task.title = String(body.title).trim();
+    if (body.description !== undefined) task.description = body.description || null;
+    if (body.risco !== undefined) task.risco = body.risco || null;
+    if (body.complexidade !== undefined) task.complexidade = body.complexidade || null;
+    if (body.phases !== undefined) {
+      task.phases = normalizePhases(body.phases);
+      Object.assign(task, taskTotals(task.phases));
+      if (task.startedAt && task.dueDate) task.dueDate = addBusinessDays(task.startedAt, task.totalDays);
+    }
+    task.updatedAt = now();
+    refreshSprintDueDate(task.sprintId);
+    store.save();
+    res.json(toTask(task, req.tz));
+  });
+
+  app.delete('/tasks/:id', auth, admin, withTask, (req, res) => {
+    const task = req.task;
+    state.tasks.splice(state.tasks.indexOf(task), 1);
+    const sprint = task.sprintId && findSprint(task.sprintId);
+    if (sprint) {
+      sprint.taskIds = sprint.taskIds.filter((id) => id !== task.id);
+      refreshSprintDueDate(sprint.id);
+    }
+    store.save();
+    res.status(204).end();
+  });
+
+  app.patch('/tasks/:id/status', auth, withTask, (req, res) => {
+    const task = req.task;
+    const { status, block } = req.body || {};
+    if (!STATUSES.includes(status)) return fail(res, 422, 'INVALID_STATUS', `Status inválido. Use: ${STATUSES.join(', ')}.`, 'status');
+    if (status === task.status && status !== 'Bloqueada') return res.json(toTask(task, req.tz));
+    if (!task.sprintId && status !== 'Backlog') {
+      return fail(res, 422, 'TASK_WITHOUT_SPRINT', 'Tarefa sem sprint não pode sair do Backlog.', 'status');
+    }
+    const sprint = task.sprintId && findSprint(task.sprintId);
+    if (sprint && sprint.status !== 'Started') {
+      return fail(res, 409, 'SPRINT_NOT_STARTED', 'A sprint da tarefa não está iniciada.', 'sprintId');
+    }
+    if (status === 'Concluída' && !task.assigneeId) {
+      return fail(res, 409, 'ASSIGNEE_REQUIRED', 'Defina um responsável antes de concluir a tarefa.', 'assigneeId');
+    }
+    const ts = now();
+    if (status === 'Bloqueada') {
+      if (!block || !block.motivo || !String(block.motivo).trim()) return fail(res, 422, 'BLOCK_REASON_REQUIRED', 'Informe o motivo do bloqueio.', 'block.motivo');
+      if (!block.responsavelId || !findUser(block.responsavelId)) return fail(res, 422, 'BLOCK_OWNER_INVALID', 'Responsável pelo bloqueio inexistente.', 'block.responsavelId');
+      task.block = { motivo: String(block.motivo).trim(), responsavelId: block.responsavelId, since: task.status === 'Bloqueada' && task.block ? task.block.since : ts };
+    } else {
+      task.block = null;
+    }
+    if (status === 'Em Andamento') {
+      if (!task.startedAt) task.startedAt = ts;
+      task.dueDate = addBusinessDays(ts, task.totalDays);
+    }
+    if (status === 'Backlog') {
+      task.startedAt = null;
+      task.dueDate = null;
+    }
+    task.completedAt = status === 'Concluída' ? ts : null;
+    task.status = status;
+    task.updatedAt = ts;
+    store.save();
+    res.json(toTask(task, req.tz));
+  });
+
+  app.patch('/tasks/:id/assign/:userId', auth, withTask, (req, res) => {
+    if (!findUser(req.params.userId)) return fail(res, 422, 'USER_NOT_FOUND', 'Usuário inexistente.', 'userId');
+    req.task.assigneeId = req.params.userId;
+    req.task.updatedAt = now();
+    store.save();
+    res.json(toTask(req.task, req.tz));
+  });
+
+  // Sprints
+  app.get('/sprints', auth, (req, res) => {
+    res.json({ items: state.sprints.map((s) => toSprint(s, req.tz)) });
+  });
+
+  // Valida taskIds a vincular: existentes e sem outra sprint
+  function taskIdsError(taskIds, sprintId) {
+    for (const id of taskIds) {
+      const t = findTask(id);
+      if (!t) return [422, 'TASK_NOT_FOUND', `Tarefa ${id} não encontrada.`];
+      if (t.sprintId && t.sprintId !== sprintId) return [409, 'TASK_IN_OTHER_SPRINT', `Tarefa ${id} já vinculada a outra sprint.`];
+    }
+    return null;
+  }
+
+  function linkTasks(sprint, taskIds) {
+    for (const id of taskIds) {
+      const t = findTask(id);
+      t.sprintId = sprint.id;
+      t.updatedAt = now();
+      if (!sprint.taskIds.includes(id)) sprint.taskIds.push(id);
+    }
+  }
+
+  app.post('/sprints', auth, admin, (req, res) => {
+    const body = req.body || {};
+    if (!body.name || !String(body.name).trim()) return fail(res, 422, 'NAME_REQUIRED', 'Nome da sprint é obrigatório.', 'name');
+    const taskIds = Array.isArray(body.taskIds) ? body.taskIds : [];
+    const terr = taskIdsError(taskIds, null);
+    if (terr) return fail(res, terr[0], terr[1], terr[2], 'taskIds');
+    const cap = toCapacity(body.capacity);
+    if (cap.error) return res.status(422).json([cap.error]);
+    const ts = now();
+    const sprint = { id: crypto.randomUUID(), name: String(body.name).trim(), status: 'Created', taskIds: [], capacity: cap.capacity, startedAt: null, closedAt: null, dueDate: null, createdAt: ts, updatedAt: ts };
+    state.sprints.push(sprint);
+    linkTasks(sprint, taskIds);
+    store.save();
+    res.status(201).json(toSprint(sprint, req.tz));
+  });
+
+  app.get('/sprints/:id', auth, withSprint, (req, res) => {
+    res.json(toSprint(req.sprint, req.tz));
+  });
+
+  app.patch('/sprints/:id/capacity', auth, admin, withSprint, (req, res) => {
+    const cap = toCapacity(req.body, req.sprint.capacity);
+    if (cap.error) return res.status(422).json([cap.error]);
+    req.sprint.capacity = cap.capacity;
+    req.sprint.updatedAt = now();
+    refreshSprintDueDate(req.sprint.id);
+    store.save();
+    res.json(toSprint(req.sprint, req.tz));
+  });
+
+  app.patch('/sprints/:id/start', auth, admin, withSprint, (req, res) => {
+    const sprint = req.sprint;
+    if (sprint.status !== 'Created') return fail(res, 409, 'SPRINT_ALREADY_STARTED', 'Sprint já iniciada ou encerrada.', 'status');
+    if (!sprint.taskIds.length) return fail(res, 422, 'SPRINT_WITHOUT_TASKS', 'Sprint sem tarefas para iniciar.', 'taskIds');
+    sprint.status = 'Started';
+    sprint.startedAt = now();
+    sprint.dueDate = sprintDueDate(state, sprint);
+    sprint.updatedAt = sprint.startedAt;
+    store.save();
+    res.json(toSprint(sprint, req.tz));
+  });
+
+  app.patch('/sprints/:id/close', auth, admin, withSprint, (req, res) => {
+    const sprint = req.sprint;
+    if (sprint.status !== 'Started') return fail(res, 409, 'SPRINT_NOT_STARTED', 'Sprint não iniciada ou já encerrada.', 'status');
+    const pending = state.tasks.filter((t) => t.sprintId === sprint.id && t.status !== 'Concluída');
+    if (pending.length) return fail(res, 409, 'SPRINT_HAS_PENDING_TASKS', `Existem ${pending.length} tarefa(s) não concluída(s).`, 'taskIds');
+    sprint.status = 'Closed';
+    sprint.closedAt = now();
+    sprint.updatedAt = sprint.closedAt;
+    store.save();
+    res.json(toSprint(sprint, req.tz));
+  });
+
+  app.patch('/sprints/:id/tasks', auth, admin, withSprint, (req, res) => {
+    const sprint = req.sprint;
+    if (sprint.status !== 'Created') return fail(res, 409, 'SPRINT_NOT_EDITABLE', 'Sprint não editável (já iniciada/encerrada).', 'status');
+    const taskIds = Array.isArray(req.body?.taskIds) ? req.body.taskIds : [];
+    if (!taskIds.length) return fail(res, 422, 'TASK_IDS_REQUIRED', 'Informe ao menos uma tarefa.', 'taskIds');
+    const terr = taskIdsError(taskIds, sprint.id);
+    if (terr) return fail(res, terr[0], terr[1], terr[2], 'taskIds');
+    linkTasks(sprint, taskIds);
+    sprint.updatedAt = now();
+    store.save();
+    res.json(toSprint(sprint, req.tz));
+  });
+
+  app.patch('/sprints/:id/tasks/remove', auth, admin, withSprint, (req, res) => {
+    const sprint = req.sprint;
+    if (sprint.status !== 'Created') return fail(res, 409, 'SPRINT_NOT_EDITABLE', 'Sprint não editável (já iniciada/encerrada).', 'status');
+    const taskIds = Array.isArray(req.body?.taskIds) ? req.body.taskIds : [];
+    if (!taskIds.length || taskIds.some((id) => !sprint.taskIds.includes(id))) {
+      return fail(res, 422, 'TASK_IDS_INVALID', 'Informe tarefas pertencentes à sprint.', 'taskIds');
+    }
+    sprint.taskIds = sprint.taskIds.filter((id) => !taskIds.includes(id));
+    for (const id of taskIds) {
+      const t = findTask(id);
+      if (t) {
+        t.sprintId = null;
+        t.updatedAt = now();
+      }
+    }
+    sprint.updatedAt = now();
+    store.save();
+    res.json(toSprint(sprint, req.tz));
+  });
+
+  // Dashboard
+  app.get('/dashboard/summary', auth, (req, res) => {
+    if (!req.query.sprintId) return fail(res, 422, 'SPRINT_ID_REQUIRED', 'Informe sprintId.', 'sprintId');
+    const sprint = findSprint(req.query.sprintId);
+    if (!sprint) return fail(res, 404, 'SPRINT_NOT_FOUND', 'Sprint não encontrada.', 'sprintId');
+    const nowMs = Date.now();
+    const tasks = state.tasks.filter((t) => t.sprintId === sprint.id);
+    const totalHours = tasks.reduce((acc, t) => acc + t.totalHours, 0);
+    const doneHours = tasks.filter((t) => t.status === 'Concluída').reduce((acc, t) => acc + t.totalHours, 0);
+    const dias = sprintDays(state, sprint);
+    const iniciada = Boolean(sprint.startedAt);
+    const real = totalHours ? Math.round((doneHours / totalHours) * 100) : 0;
+    let esperado = 0;
+    const summary = { sprint_status: sprint.status, sprint_iniciada: iniciada, dias_sprint: dias };
+    if (iniciada) {
+      const elapsed = businessDaysBetween(sprint.startedAt, sprint.closedAt || new Date(nowMs).toISOString());
+      esperado = dias ? Math.min(100, Math.round((elapsed / dias) * 100)) : 100;
+      if (sprint.status === 'Started') summary.dias_restantes = Math.max(0, round2(dias - elapsed));
+    }
+    const diff = real - esperado;
+    summary.progresso_real_percent = real;
+    summary.progresso_esperado_percent = esperado;
+    summary.status_semaforo = diff >= 0 ? 'Verde' : diff >= -15 ? 'Amarelo' : 'Vermelho';
+    summary.tarefas_por_status = Object.fromEntries(STATUSES.map((s) => [s, tasks.filter((t) => t.status === s).length]));
+    summary.bloqueadas = tasks.filter((t) => t.status === 'Bloqueada' && t.block).map((t) => ({
+      id: t.id,
+      title: t.title,
+      motivo: t.block.motivo,
+      responsavelId: t.block.responsavelId,
+      idade_do_bloqueio_dias: Math.floor((nowMs - new Date(t.block.since).getTime()) / DAY_MS)
+    }));
+    const semSprint = state.tasks.filter((t) => !t.sprintId);
+    summary.tarefas_sem_sprint = {
+      total: semSprint.length,
+      items: semSprint.map((t) => ({ id: t.id, title: t.title, status: t.status, idade_dias: Math.floor((nowMs - new Date(t.createdAt).getTime()) / DAY_MS) }))
+    };
+    res.json(summary);
+  });
+
+  // Utilitário para testes automatizados: restaura o seed
+  app.post('/__mock/reset', (req, res) => {
+    store.reset();
+    res.status(204).end();
+  });
+
+  app.use((req, res) => fail(res, 404, 'NOT_FOUND', `Rota ${req.method} ${req.path} não existe no mock.`));
+
+  return { app, store };
+}
+
+// Operações do swagger sem rota correspondente no mock (ex.: após atualizar o swagger)
+function unimplementedOperations(app, swaggerPath = SWAGGER_PATH) {
+  const yaml = require('js-yaml');
+  const doc = yaml.load(fs.readFileSync(swaggerPath, 'utf8'));
+  const routes = new Set();
+  for (const layer of app._router.stack) {
+    if (!layer.route) continue;
+    for (const method of Object.keys(layer.route.methods)) routes.add(`${method} ${layer.route.path}`);
+  }
+  const missing = [];
+  for (const [p, ops] of Object.entries(doc.paths || {})) {
+    const expressPath = p.replace(/\{(\w+)\}/g, ':$1');
+    for (const method of Object.keys(ops)) {
+      if (!routes.has(`${method} ${expressPath}`)) missing.push(`${method.toUpperCase()} ${p}`);
+    }
+  }
+  return missing;
+}
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_API_PORT) || 3000;
+  const dbFile = process.env.MOCK_DB_FILE ? path.resolve(process.env.MOCK_DB_FILE) : undefined;
+  const { app } = createMockServer({ dbFile });
+  const missing = unimplementedOperations(app);
+  if (missing.length) {
+    // eslint-disable-next-line no-console
+    console.warn(`Operações do swagger sem implementação no mock: ${missing.join(', ')}`);
+  }
+  app.listen(port, () => {
+    // eslint-disable-next-line no-console
+    console.log(`Mock da API TaskWise ouvindo em http://localhost:${port}${dbFile ? ` (estado em ${dbFile})` : ''}`);
+  });
+}
+
+module.exports = { createMockServer, unimplementedOperations };
@@ -0,0 +1,212 @@
+'use strict';
+
+// Estado do mock da API TaskWise: usuários, tarefas e sprints em memória,
+// com persistência opcional em arquivo JSON e regras de cálculo PERT.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const STATUSES = ['Backlog', 'Em Andamento', 'Bloqueada', 'Concluída'];
+const PHASE_KEYS = ['analiseModelagem', 'execucao', 'reteste', 'documentacao'];
+const HOURS_PER_DAY = 8;
+// Produtividade (horas úteis/dia) por nível de QA, a mesma exibida em sprints/detail.ejs
+const PRODUCTIVITY = { junior: 4.8, pleno: 6.0, senior: 7.2 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(8).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, 32).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [, salt, hash] = String(stored || '').split('$');
+  if (!salt || !hash) return false;
+  const candidate = crypto.scryptSync(String(password), salt, 32);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+function daysAgo(n, now) {
+  return n === undefined || n === null ? null : new Date(now - n * DAY_MS).toISOString();
+}
+
+// Soma dias úteis (seg-sex) a uma data; a fração vira horas de uma jornada de 8h
+function addBusinessDays(startIso, days) {
+  const d = new Date(startIso);
+  let whole = Math.floor(days);
+  const frac = days - whole;
+  while (whole > 0) {
+    d.setUTCDate(d.getUTCDate() + 1);
+    const wd = d.getUTCDay();
+    if (wd !== 0 && wd !== 6) whole -= 1;
+  }
+  d.setTime(d.getTime() + frac * HOURS_PER_DAY * 60 * 60 * 1000);
+  return d.toISOString();
+}
+
+// Dias úteis decorridos entre duas datas (fração incluída pelo horário)
+function businessDaysBetween(startIso, endIso) {
+  const start = new Date(startIso).getTime();
+  const end = new Date(endIso).getTime();
+  if (!(end > start)) return 0;
+  let total = 0;
+  for (let t = start; t < end; t += DAY_MS) {
+    const wd = new Date(t).getUTCDay();
+    if (wd !== 0 && wd !== 6) total += Math.min(1, (end - t) / DAY_MS);
+  }
+  return total;
+}
+
+function phaseHours(p) {
+  return (Number(p.O) + 4 * Number(p.M) + Number(p.P)) / 6;
+}
+
+function taskTotals(phases) {
+  const totalHours = round2(PHASE_KEYS.reduce((acc, k) => acc + (phases[k] ? phaseHours(phases[k]) : 0), 0));
+  return { totalHours, totalDays: round2(totalHours / HOURS_PER_DAY) };
+}
+
+function dailyCapacity(capacity) {
+  const c = capacity || {};
+  return (c.junior || 0) * PRODUCTIVITY.junior + (c.pleno || 0) * PRODUCTIVITY.pleno + (c.senior || 0) * PRODUCTIVITY.senior;
+}
+
+function normalizePhases(phases) {
+  const out = {};
+  for (const k of PHASE_KEYS) {
+    const p = phases[k];
+    out[k] = { O: Number(p.O), M: Number(p.M), P: Number(p.P) };
+  }
+  return out;
+}
+
+function fromSeed(seed, now = Date.now()) {
+  const users = (seed.users || []).map((u) => ({
+    id: u.id || crypto.randomUUID(),
+    name: u.name,
+    email: u.email,
+    role: u.role || 'ReadWrite',
+    passwordHash: u.passwordHash || hashPassword(u.password),
+    createdAt: u.createdAt || daysAgo(u.createdDaysAgo || 0, now)
+  }));
+  const tasks = (seed.tasks || []).map((t) => {
+    const phases = normalizePhases(t.phases);
+    const createdAt = t.createdAt || daysAgo(t.createdDaysAgo || 0, now);
+    const startedAt = t.startedAt || daysAgo(t.startedDaysAgo, now);
+    const block = t.block
+      ? { motivo: t.block.motivo, responsavelId: t.block.responsavelId, since: t.block.since || daysAgo(t.block.blockedDaysAgo || 0, now) }
+      : null;
+    return {
+      id: t.id || crypto.randomUUID(),
+      title: t.title,
+      description: t.description ?? null,
+      status: t.status || 'Backlog',
+      phases,
+      ...taskTotals(phases),
+      startedAt,
+      dueDate: t.dueDate || (startedAt ? addBusinessDays(startedAt, taskTotals(phases).totalDays) : null),
+      completedAt: t.completedAt || daysAgo(t.completedDaysAgo, now),
+      block,
+      assigneeId: t.assigneeId ?? null,
+      sprintId: t.sprintId ?? null,
+      risco: t.risco ?? null,
+      complexidade: t.complexidade ?? null,
+      createdAt,
+      updatedAt: t.updatedAt || createdAt
+    };
+  });
+  const sprints = (seed.sprints || []).map((s) => {
+    const createdAt = s.createdAt || daysAgo(s.createdDaysAgo || 0, now);
+    return {
+      id: s.id || crypto.randomUUID(),
+      name: s.name,
+      status: s.status || 'Created',
+      taskIds: s.taskIds || tasks.filter((t) => t.sprintId === s.id).map((t) => t.id),
+      capacity: { junior: 0, pleno: 0, senior: 0, ...(s.capacity || {}) },
+      startedAt: s.startedAt || daysAgo(s.startedDaysAgo, now),
+      closedAt: s.closedAt || daysAgo(s.closedDaysAgo, now),
+      dueDate: s.dueDate || null,
+      createdAt,
+      updatedAt: s.updatedAt || createdAt
+    };
+  });
+  const state = { users, tasks, sprints };
+  for (const s of sprints) {
+    if (s.startedAt && !s.dueDate) s.dueDate = sprintDueDate(state, s);
+  }
+  return state;
+}
+
+// Dias úteis previstos para a sprint: horas das tarefas / capacidade diária
+function sprintDays(state, sprint) {
+  const hours = state.tasks.filter((t) => t.sprintId === sprint.id).reduce((acc, t) => acc + t.totalHours, 0);
+  const perDay = dailyCapacity(sprint.capacity) || HOURS_PER_DAY;
+  return round2(hours / perDay);
+}
+
+function sprintDueDate(state, sprint) {
+  if (!sprint.startedAt) return null;
+  return addBusinessDays(sprint.startedAt, sprintDays(state, sprint));
+}
+
+function createStore({ seed, dbFile } = {}) {
+  const seedData = seed || JSON.parse(fs.readFileSync(path.join(__dirname, 'seed.json'), 'utf8'));
+  let state;
+  if (dbFile && fs.existsSync(dbFile)) {
+    state = JSON.parse(fs.readFileSync(dbFile, 'utf8'));
+  } else {
+    state = fromSeed(seedData);
+  }
+  const tokens = new Map();
+
+  function save() {
+    if (!dbFile) return;
+    const tmp = `${dbFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2));
+    fs.renameSync(tmp, dbFile);
+  }
+  save();
+
+  return {
+    state,
+    save,
+    reset() {
+      const fresh = fromSeed(seedData);
+      state.users = fresh.users;
+      state.tasks = fresh.tasks;
+      state.sprints = fresh.sprints;
+      tokens.clear();
+      save();
+    },
+    issueToken(userId) {
+      const token = crypto.randomBytes(24).toString('hex');
+      tokens.set(token, userId);
+      return token;
+    },
+    userForToken(token) {
+      const id = tokens.get(token);
+      return id ? state.users.find((u) => u.id === id) || null : null;
+    }
+  };
+}
+
+module.exports = {
+  STATUSES,
+  PHASE_KEYS,
+  HOURS_PER_DAY,
+  createStore,
+  hashPassword,
+  verifyPassword,
+  addBusinessDays,
+  businessDaysBetween,
+  taskTotals,
+  normalizePhases,
+  sprintDays,
+  sprintDueDate,
+  round2
+};
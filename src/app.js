@@ -5,42 +5,118 @@ const path = require('path');
 const session = require('express-session');
 const cookieParser = require('cookie-parser');
 const ejsLayouts = require('express-ejs-layouts');
+const multer = require('multer');
+const dayjs = require('dayjs');
 
-const { apiClient } = require('./lib/apiClient');
-const { ensureAuth, injectUser, ensureAdmin } = require('./middleware/auth');
+const { config } = require('./config');
+const { apiClient, isApiUnavailable, isSessionExpired } = require('./lib/apiClient');
+const { scopedApi, requestApi, auditContext, enrichTasks } = require('./lib/requestApi');
+const { wantsJson } = require('./lib/http');
+const { phasesFromBody, phaseErrors, effortPercentiles, monteCarloForecast, taskStats } = require('./lib/pert');
+const { dailyCapacityHours, capacityPlan, loadByAssignee, applyScenario, LEVELS } = require('./lib/capacity');
+const { parseApiDate, businessDaysBetween } = require('./lib/workdays');
+const { recordSprintSnapshot, sprintHistory, startSnapshotRecorder } = require('./lib/snapshots');
+const { sprintCharts } = require('./lib/charts');
+const { readSpreadsheet, validateRows, templateCsv, MAX_ROWS } = require('./lib/taskImport');
+const { exportRecords, sendExport } = require('./lib/taskExport');
+const { parseListQuery, viewDefinition, listUrl, resolveFilters, queryTasks, fetchTaskPage, CURRENT_SPRINT } = require('./lib/taskQuery');
+const { listSavedViews, getSavedView, createSavedView, deleteSavedView } = require('./lib/savedViews');
+const { ACTIONS: AUDIT_ACTIONS, ENTITIES: AUDIT_ENTITIES, queryAudit, auditActors, changedFields, auditCsv } = require('./lib/audit');
+const { EVENT_TYPES, WEBHOOK_FORMATS, getSubscription, saveSubscription, emailEnabled, notifyTest, recentDeliveries, startNotificationWorker } = require('./lib/notifications');
+const { startNotificationScanner } = require('./lib/notificationScan');
+const { VIEWS: CALENDAR_VIEWS, userCalendar, sprintCalendar, toIcs, todayIn, calendarGrid, entriesByDay } = require('./lib/calendar');
+const { issueCalendarFeed, resolveCalendarFeed, markCalendarFeedExpired, renewCalendarFeed, listCalendarFeeds, revokeCalendarFeed } = require('./lib/calendarFeeds');
+const { withServiceApi, isServiceAccountConfigured } = require('./lib/serviceSession');
+const { parseClosePlan, runSprintClose } = require('./lib/sprintClose');
+const { isLiveRefresh, subscribe: subscribeLiveUpdates, startLivePoller } = require('./lib/liveUpdates');
+const { STATUSES: MY_WORK_STATUSES, loadMyWork, isValidTimezone, timezoneOptions } = require('./lib/myWork');
+const { RETURN_STATUSES: BLOCK_RETURN_STATUSES, slaLevel, blockHistory, loadBlockedItems, currentBlock, parseUnblock, parseEscalation, unblockTask, escalateBlock } = require('./lib/blocks');
+const { ZOOMS: ROADMAP_ZOOMS, loadRoadmap, roadmapSvg } = require('./lib/roadmap');
+const { listTemplates, getTemplate, parseTemplate, createTemplate, updateTemplate, deleteTemplate, historySuggestion } = require('./lib/estimationTemplates');
+const { issueAccessToken, listAccessTokens, revokeAccessToken } = require('./lib/accessTokens');
+const { apiV1, apiErrorHandler } = require('./routes/apiV1');
+const { apiErrorItems, apiErrorMessage, failureMessage, fieldErrors } = require('./lib/apiErrors');
+const { FileSessionStore, sessionSecret } = require('./lib/sessionStore');
+const { ensureAuth, injectUser, ensureAdmin, safeReturnTo, enforceSessionTimeouts, sessionExpiredHandler } = require('./middleware/auth');
+const { failFastWhenApiDown, apiUnavailableHandler } = require('./middleware/apiAvailability');
+const { apiTiming } = require('./middleware/apiTiming');
+const { securityHeaders, csrfProtection } = require('./middleware/security');
+const { createRateLimiter, minutesUntil } = require('./lib/rateLimit');
+const { normalizeLocale, translatorFor } = require('./lib/i18n');
+const { getPreferences, setPreference } = require('./lib/preferences');
+const { i18n } = require('./middleware/i18n');
 
 const app = express();
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } });
+// Tentativas de login (falhas) e de cadastro, por IP e por e-mail
+const loginByIp = createRateLimiter({ windowMs: config.rateLimit.login.windowMs, max: config.rateLimit.login.maxPerIp, lockoutMs: config.rateLimit.login.lockoutMs });
+const loginByEmail = createRateLimiter({ windowMs: config.rateLimit.login.windowMs, max: config.rateLimit.login.maxPerEmail, lockoutMs: config.rateLimit.login.lockoutMs });
+const signupByIp = createRateLimiter({ windowMs: config.rateLimit.signup.windowMs, max: config.rateLimit.signup.maxPerIp });
 
 // Configurações
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 app.set('layout', 'layout');
 app.use(ejsLayouts);
+app.disable('x-powered-by');
+if (config.trustProxy || config.session.secureCookie) app.set('trust proxy', 1);
 
+app.use(securityHeaders);
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 app.use(cookieParser());
-app.use(
-  session({
-    secret: 'taskwise-web-secret',
-    resave: false,
-    saveUninitialized: false,
-    cookie: { httpOnly: true }
-  })
-);
+const sessionOptions = {
+  store: new FileSessionStore(),
+  secret: sessionSecret(),
+  resave: false,
+  saveUninitialized: false,
+  cookie: {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: config.session.secureCookie,
+    maxAge: config.session.idleTimeoutMs || undefined
+  }
+};
+// Renova o cookie a cada resposta: maxAge funciona como timeout de inatividade
+const rollingSession = session({ ...sessionOptions, rolling: true });
+// Atualizações em tempo real não são atividade: nem o cookie nem o vencimento no store avançam
+const passiveSession = session({ ...sessionOptions, rolling: false });
+app.use((req, res, next) => {
+  if (!isLiveRefresh(req)) return rollingSession(req, res, next);
+  passiveSession(req, res, (err) => {
+    if (!err && req.session) req.session.touch = function keepExpiry() { return this; };
+    next(err);
+  });
+});
+// Idioma da interface (antes de qualquer mensagem ao usuário)
+app.use(i18n);
+app.use(enforceSessionTimeouts);
 
 app.use('/public', express.static(path.join(__dirname, 'public')));
 
+// Registro das chamadas à API por requisição (ver API_TIMING_LOG)
+app.use(apiTiming);
+
+// API JSON para scripts e integrações (sessão ou token de acesso pessoal)
+app.use('/api/v1', apiV1, apiErrorHandler);
+
 // Middleware para expor sessão/usuário às views
 app.use(injectUser);
 
 // Helpers para flash simples via sessão
 app.use((req, res, next) => {
-  res.locals.flash = req.session.flash || [];
-  req.session.flash = [];
+  // A atualização em tempo real deixa as mensagens para a próxima página de fato
+  res.locals.flash = isLiveRefresh(req) ? [] : req.session.flash || [];
+  // Só altera a sessão se havia mensagens, para não gravar sessões de visitantes
+  if (res.locals.flash.length) req.session.flash = [];
   res.flash = (type, message) => {
+    if (!req.session.flash) req.session.flash = [];
     req.session.flash.push({ type, message });
   };
+  // Mensagem exibida na própria resposta (formulário reexibido, sem redirect)
+  res.flashNow = (type, message) => {
+    res.locals.flash = [...res.locals.flash, { type, message }];
+  };
   next();
 });
 
@@ -53,53 +129,122 @@ app.use((req, res, next) => {
   next();
 });
 
+// Token CSRF em todo POST de formulário (_csrf) ou fetch (X-CSRF-Token)
+app.use(csrfProtection);
+
+// Circuit breaker aberto: exibe a página de indisponibilidade sem chamar a API
+app.use(failFastWhenApiDown);
+
+// Timezone do navegador; não substitui o timezone salvo no perfil (/me)
 app.post('/tz', (req, res) => {
   const tz = req.body?.tz;
-  if (tz) req.session.tz = String(tz);
+  const saved = req.session.user && getPreferences(req.session.user.id).timezone;
+  if (tz && !saved) req.session.tz = String(tz);
   res.json({ ok: true, tz: req.session.tz || null });
 });
 
+// Idioma escolhido no seletor do layout; para usuários autenticados vira preferência salva
+app.post('/locale', (req, res) => {
+  const locale = normalizeLocale(req.body?.locale);
+  if (locale) {
+    req.session.locale = locale;
+    if (req.session.user) setPreference(req.session.user.id, 'locale', locale);
+  }
+  if (wantsJson(req)) return res.json({ ok: true, locale: req.session.locale || null });
+  res.redirect(safeReturnTo(req.body?.returnTo));
+});
+
 // Rotas públicas
 app.get('/login', (req, res) => {
-  if (req.session.token) return res.redirect('/dashboard');
-  res.render('login', { title: 'Login - TaskWise' });
+  const returnTo = safeReturnTo(req.query.returnTo);
+  if (req.session.token) return res.redirect(returnTo);
+  res.render('login', { title: req.t('titles.login'), returnTo });
 });
 
-app.post('/login', async (req, res) => {
+app.post('/login', async (req, res, next) => {
+  const returnTo = safeReturnTo(req.body.returnTo);
+  const loginPath = returnTo === '/dashboard' ? '/login' : `/login?returnTo=${encodeURIComponent(returnTo)}`;
+  const emailKey = String(req.body.email || '').trim().toLowerCase();
+  const blockedMs = Math.max(loginByIp.retryAfterMs(req.ip), loginByEmail.retryAfterMs(emailKey));
+  if (blockedMs) {
+    res.flash('danger', req.t('auth.loginBlocked', { minutes: minutesUntil(blockedMs) }));
+    return res.redirect(loginPath);
+  }
   try {
     const { email, password } = req.body;
     const api = apiClient(undefined, req.session.tz);
     const resp = await api.post('/auth/login', { email, password });
     const { token, user } = resp.data;
-    req.session.token = token;
-    req.session.user = user;
-    return res.redirect('/dashboard');
+    // Nova sessão a cada login (evita fixação de sessão), preservando o timezone
+    const { tz, locale } = req.session;
+    req.session.regenerate((err) => {
+      if (err) return next(err);
+      req.session.tz = getPreferences(user.id).timezone || tz;
+      req.session.locale = locale;
+      req.session.token = token;
+      req.session.user = user;
+      req.session.authenticatedAt = Date.now();
+      loginByEmail.reset(emailKey);
+      return res.redirect(returnTo);
+    });
   } catch (err) {
+    if (isApiUnavailable(err)) return next(err);
     const status = err.response?.status;
-    const msg = err.response?.data?.[0]?.message || err.response?.data?.message || err.message;
-    res.flash('danger', `Login falhou (${status || 'erro'}): ${msg}`);
-    return res.redirect('/login');
+    // Credenciais recusadas contam para o bloqueio por IP e por e-mail
+    if (status >= 400 && status < 500) {
+      const locked = [loginByIp.hit(req.ip), emailKey && loginByEmail.hit(emailKey)].some(Boolean);
+      if (locked) {
+        res.flash('danger', req.t('auth.loginBlocked', { minutes: minutesUntil(config.rateLimit.login.lockoutMs) }));
+        return res.redirect(loginPath);
+      }
+    }
+    res.flash('danger', failureMessage(req.t, 'flash.loginFailed', err));
+    return res.redirect(loginPath);
   }
 });
 
+// Falha ao cadastrar usuário: validação (422) reexibe o formulário com nome/e-mail enviados
+// e os erros por campo; a senha nunca volta para a página
+function userCreateFailed(req, res, err, { title, actionPath, flashKey }) {
+  const status = err.response?.status;
+  const message = failureMessage(req.t, flashKey, err, { 422: 'errors.userValidation' });
+  if (status !== 422) {
+    res.flash('danger', message);
+    return res.redirect(actionPath === '/signup' ? '/signup' : '/users/new');
+  }
+  res.status(422);
+  res.flashNow('danger', message);
+  res.render('users/new', {
+    title,
+    actionPath,
+    values: { name: req.body.name, email: req.body.email },
+    fieldErrors: fieldErrors(err, req.t)
+  });
+}
+
 // Cadastro público (signup)
 app.get('/signup', (req, res) => {
   if (req.session.token) return res.redirect('/dashboard');
-  res.render('users/new', { title: 'Criar conta - TaskWise', actionPath: '/signup' });
+  res.render('users/new', { title: req.t('titles.signup'), actionPath: '/signup' });
 });
 
-app.post('/signup', async (req, res) => {
+app.post('/signup', async (req, res, next) => {
+  const blockedMs = signupByIp.retryAfterMs(req.ip);
+  if (blockedMs) {
+    res.flash('danger', req.t('auth.signupBlocked', { minutes: minutesUntil(blockedMs) }));
+    return res.redirect('/signup');
+  }
+  signupByIp.hit(req.ip);
   try {
     const { name, email, password } = req.body;
-    const api = apiClient(undefined, req.session.tz); // público, sem token
+    // Público, sem token; o cadastro entra na auditoria sem autor
+    const api = scopedApi(undefined, req.session.tz, { audit: auditContext(req, null, 'signup') });
     await api.post('/users', { name, email, password });
-    res.flash('success', 'Conta criada com sucesso. Faça login.');
+    res.flash('success', req.t('flash.accountCreated'));
     return res.redirect('/login');
   } catch (err) {
-    const status = err.response?.status;
-    const msg = status === 422 ? 'Validação de usuário falhou.' : (err.response?.data?.[0]?.message || err.response?.data?.message || err.message);
-    res.flash('danger', `Falha ao criar conta (${status || 'erro'}): ${msg}`);
-    return res.redirect('/signup');
+    if (isApiUnavailable(err)) return next(err);
+    userCreateFailed(req, res, err, { title: req.t('titles.signup'), actionPath: '/signup', flashKey: 'flash.signupFailed' });
   }
 });
 
@@ -112,145 +257,228 @@ app.post('/logout', (req, res) => {
 // Rotas autenticadas
 app.get('/', (req, res) => res.redirect('/dashboard'));
 
-app.get('/dashboard', ensureAuth, async (req, res) => {
+app.get('/dashboard', ensureAuth, async (req, res, next) => {
   try {
-    const api = apiClient(req.session.token, req.session.tz);
+    const api = requestApi(req);
     // Buscar lista de sprints
     const sprints = (await api.get('/sprints')).data.items || [];
     const fromQuery = req.query.sprintId ? sprints.find(s => s.id === req.query.sprintId) : null;
     const selected = fromQuery || sprints.find((s) => s.status === 'Started') || sprints[0];
     let selectedSprint = null;
     let summary = null;
+    let charts = null;
+    let users = [];
     
     if (selected) {
       // SEMPRE buscar detalhes completos e atualizados da sprint diretamente por ID
       // Isso garante que temos a dueDate correta após iniciar sprint ou alterar capacidade
-      try {
-        selectedSprint = (await api.get(`/sprints/${selected.id}`)).data;
-      } catch (e) {
+      // (em paralelo com o summary do dashboard, que também pode ter dados atualizados)
+      [selectedSprint, summary, users] = await Promise.all([
         // Se falhar, usar o objeto da lista como fallback
-        selectedSprint = selected;
-      }
-      
-      // Buscar summary do dashboard que também pode ter dados atualizados
-      try {
-        summary = (await api.get('/dashboard/summary', { params: { sprintId: selected.id } })).data;
-      } catch (e) {
+        api.get(`/sprints/${selected.id}`).then(r => r.data).catch(() => selected),
         // Se falhar, summary fica null
-        summary = null;
+        api.get('/dashboard/summary', { params: { sprintId: selected.id } }).then(r => r.data).catch(() => null),
+        // Nomes dos responsáveis pelos bloqueios
+        fetchAvailableUsers(api, req)
+      ]);
+
+      // Snapshot do dia a cada acesso (sprints iniciadas, sem contar as atualizações em
+      // tempo real) e gráficos a partir do histórico local
+      if (selectedSprint.status === 'Started' && !isLiveRefresh(req)) {
+        try {
+          await recordSprintSnapshot(api, selectedSprint);
+        } catch (e) {
+          if (isApiUnavailable(e) || isSessionExpired(e)) throw e;
+          // eslint-disable-next-line no-console
+          console.error('Falha ao gravar snapshot da sprint:', e.message);
+        }
+      }
+      if (selectedSprint.status === 'Started' || selectedSprint.status === 'Closed') {
+        charts = sprintCharts(selectedSprint, sprintHistory(selectedSprint.id), req.i18n);
       }
     }
     res.render('dashboard', {
-      title: 'Dashboard - TaskWise',
+      title: req.t('titles.dashboard'),
       sprints,
       selectedSprint: selectedSprint || null,
-      summary
+      summary,
+      charts,
+      usersById: Object.fromEntries(users.map(u => [u.id, u])),
+      slaLevel
     });
   } catch (err) {
-    const status = err.response?.status;
-    const msg = err.response?.data?.[0]?.message || err.response?.data?.message || err.message;
-    res.flash('danger', `Falha ao carregar dashboard (${status || 'erro'}): ${msg}`);
-    res.render('dashboard', { title: 'Dashboard - TaskWise', sprints: [], selectedSprint: null, summary: null });
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.dashboardLoadFailed', err));
+    res.render('dashboard', { title: req.t('titles.dashboard'), sprints: [], selectedSprint: null, summary: null, charts: null, usersById: {}, slaLevel });
   }
 });
 
-// Listagem de tarefas com filtros e paginação
-app.get('/tasks', ensureAuth, async (req, res) => {
-  const api = apiClient(req.session.token, req.session.tz);
-  const params = {
-    status: req.query.status || undefined,
-    sprintId: req.query.sprintId || undefined,
-    risco: req.query.risco || undefined,
-    complexidade: req.query.complexidade || undefined,
-    assigneeId: req.query.assigneeId || undefined,
-    page: req.query.page ? Number(req.query.page) : 1,
-    pageSize: req.query.pageSize ? Number(req.query.pageSize) : 10
-  };
+// Usuários disponíveis para seleção de responsáveis (qualquer usuário autenticado);
+// sem o endpoint, Admin recorre a /users. Falhas resultam em lista vazia.
+async function fetchAvailableUsers(api, req) {
   try {
-    const data = (await api.get('/tasks', { params })).data;
-    // Enriquecer itens que não vieram completos (ex.: totalHours/totalDays/dueDate)
-    if (Array.isArray(data.items) && data.items.length) {
-      const needDetails = data.items.filter(t => t.totalHours == null || t.totalDays == null || !t.dueDate);
-      if (needDetails.length) {
-        const details = await Promise.all(needDetails.map(t => api.get(`/tasks/${t.id}`).then(r => r.data).catch(() => null)));
-        const mapById = new Map(details.filter(Boolean).map(d => [d.id, d]));
-        data.items = data.items.map(t => mapById.has(t.id) ? mapById.get(t.id) : t);
+    return (await api.get('/users/available')).data.items || [];
+  } catch (e) {
+    if (e.response?.status === 404 && req.session.user?.role === 'Admin') {
+      try {
+        const adminUsers = (await api.get('/users')).data.items || [];
+        return adminUsers.map(u => ({ id: u.id, name: u.name, email: u.email, role: u.role }));
+      } catch (fallbackErr) {
+        return [];
       }
     }
-    const sprints = (await api.get('/sprints')).data.items || [];
-    // Buscar usuários disponíveis para seleção de responsáveis (qualquer usuário autenticado)
-    let users = [];
-    try {
-      users = (await api.get('/users/available')).data.items || [];
-    } catch (e) {
-      users = [];
-    }
-    const riskOptions = ['Baixo', 'Médio', 'Alto'];
-    const complexityOptions = ['Baixa', 'Média', 'Alta'];
-    res.render('tasks/list', { title: 'Tarefas - TaskWise', data, sprints, users, filters: params, riskOptions, complexityOptions });
+    return [];
+  }
+}
+
+// Filtros da API para a consulta da listagem ("me" e "current" resolvidos)
+async function taskListFilters(req, listQuery, sprintsPromise) {
+  const sprints = listQuery.filters.sprintId === CURRENT_SPRINT ? await sprintsPromise : [];
+  return resolveFilters(listQuery.filters, { userId: req.session.user?.id, sprints });
+}
+
+// Listagem de tarefas com filtros, busca, ordenação, paginação e visões salvas
+app.get('/tasks', ensureAuth, async (req, res, next) => {
+  const api = requestApi(req);
+  const listQuery = parseListQuery(req.query);
+  const userId = req.session.user?.id;
+  const riskOptions = ['Baixo', 'Médio', 'Alto'];
+  const complexityOptions = ['Baixa', 'Média', 'Alta'];
+  const views = {
+    saved: listSavedViews(userId),
+    // Visão aberta pelo link, possivelmente compartilhada por outro usuário
+    active: listQuery.view ? getSavedView(listQuery.view) : null,
+    definition: viewDefinition(listQuery)
+  };
+  const listHref = (overrides, base) => listUrl(listQuery, overrides, base);
+  const common = { title: req.t('titles.tasks'), filters: listQuery.filters, listQuery, listHref, views, riskOptions, complexityOptions, returnTo: req.originalUrl };
+  try {
+    const sprintsPromise = api.get('/sprints').then(r => r.data.items || []);
+    const filters = await taskListFilters(req, listQuery, sprintsPromise);
+    const [data, sprints, users] = await Promise.all([
+      fetchTaskPage(api, listQuery, filters),
+      sprintsPromise,
+      fetchAvailableUsers(api, req)
+    ]);
+    res.render('tasks/list', { ...common, data, sprints, users, liveSprintId: filters.sprintId || '' });
   } catch (err) {
-    const status = err.response?.status;
-    const msg = err.response?.data?.[0]?.message || err.response?.data?.message || err.message;
-    res.flash('danger', `Falha ao carregar tarefas (${status || 'erro'}): ${msg}`);
-    const riskOptions = ['Baixo', 'Médio', 'Alto'];
-    const complexityOptions = ['Baixa', 'Média', 'Alta'];
-    res.render('tasks/list', { title: 'Tarefas - TaskWise', data: { items: [], page: 1, pageSize: 10, total: 0, totalPages: 0 }, sprints: [], users: [], filters: params, riskOptions, complexityOptions });
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.tasksLoadFailed', err));
+    res.render('tasks/list', { ...common, data: { items: [], page: 1, pageSize: listQuery.pageSize, total: 0, totalPages: 0 }, sprints: [], users: [] });
   }
 });
 
-// Nova tarefa
-app.get('/tasks/new', ensureAuth, async (req, res) => {
+// Visões salvas: a definição vem da consulta atual da listagem
+app.post('/tasks/views', ensureAuth, (req, res) => {
+  const name = String(req.body.name || '').trim();
+  if (!name) {
+    res.flash('warning', req.t('flash.viewNameRequired'));
+    return res.redirect(safeReturnTo(req.body.returnTo, '/tasks'));
+  }
+  const query = viewDefinition(parseListQuery(req.body));
+  const view = createSavedView({ userId: req.session.user.id, name, query });
+  res.flash('success', req.t('flash.viewSaved', { name: view.name }));
+  res.redirect(`/tasks/views/${view.id}`);
+});
+
+// Link compartilhável: abre a listagem com a definição atual da visão
+app.get('/tasks/views/:viewId', ensureAuth, (req, res) => {
+  const view = getSavedView(req.params.viewId);
+  if (!view) {
+    res.flash('warning', req.t('flash.viewNotFound'));
+    return res.redirect('/tasks');
+  }
+  const params = new URLSearchParams({ ...view.query, view: view.id });
+  res.redirect(`/tasks?${params}`);
+});
+
+app.post('/tasks/views/:viewId/delete', ensureAuth, (req, res) => {
+  if (deleteSavedView(req.params.viewId, req.session.user.id)) {
+    res.flash('success', req.t('flash.viewDeleted'));
+  } else {
+    res.flash('warning', req.t('flash.viewNotFound'));
+  }
+  res.redirect('/tasks');
+});
+
+// Quadro Kanban: uma coluna por status, filtrável por sprint e responsável
+app.get('/board', ensureAuth, async (req, res, next) => {
+  const filters = {
+    sprintId: req.query.sprintId || undefined,
+    assigneeId: req.query.assigneeId || undefined
+  };
   try {
-    const api = apiClient(req.session.token, req.session.tz);
-    const sprints = (await api.get('/sprints')).data.items || [];
-    // Dropdowns de Risco/Complexidade (valores determinados)
-    const riskOptions = ['Baixo', 'Médio', 'Alto'];
-    const complexityOptions = ['Baixa', 'Média', 'Alta'];
-    // Usuários disponíveis para seleção de responsáveis (qualquer usuário autenticado)
-    let users = [];
-    try { 
-      users = (await api.get('/users/available')).data.items || [];
-    } catch (e) {
-      // Fallback se endpoint não existir
-      if (e.response?.status === 404 && req.session.user?.role === 'Admin') {
-        try {
-          const adminUsers = (await api.get('/users')).data.items || [];
-          users = adminUsers.map(u => ({ id: u.id, name: u.name, email: u.email, role: u.role }));
-        } catch (fallbackErr) {
-          users = [];
-        }
-      } else {
-        users = [];
-      }
-    }
-    res.render('tasks/form', { title: 'Nova Tarefa - TaskWise', task: null, sprints, users, riskOptions, complexityOptions });
+    const api = requestApi(req);
+    const [tasks, sprints, users] = await Promise.all([
+      api.get('/tasks', { params: { ...filters, page: 1, pageSize: 1000 } }).then(r => r.data.items || []),
+      api.get('/sprints').then(r => r.data.items || []),
+      fetchAvailableUsers(api, req)
+    ]);
+    const statuses = ['Backlog', 'Em Andamento', 'Bloqueada', 'Concluída'];
+    const columns = statuses.map(status => ({ status, tasks: tasks.filter(t => t.status === status) }));
+    res.render('tasks/board', { title: req.t('titles.board'), columns, sprints, users, filters });
   } catch (err) {
-    const status = err.response?.status;
-    const msg = err.response?.data?.[0]?.message || err.response?.data?.message || err.message;
-    res.flash('danger', `Falha ao carregar formulário (${status || 'erro'}): ${msg}`);
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.boardLoadFailed', err));
     res.redirect('/tasks');
   }
 });
 
-app.post('/tasks', ensureAuth, async (req, res) => {
-  // Validação client-side mínima O<=M<=P por fase
-  function validPhase(p) {
-    if (!p) return false;
-    const O = parseFloat(p.O), M = parseFloat(p.M), P = parseFloat(p.P);
-    return !Number.isNaN(O) && !Number.isNaN(M) && !Number.isNaN(P) && O <= M && M <= P;
+// Formulário de tarefa (nova ou edição). Após uma falha ao salvar, reexibe os valores
+// enviados (values) com as mensagens de cada campo (fieldErrors)
+async function renderTaskForm(req, res, { taskId, values = null, fieldErrors = {} } = {}) {
+  const api = requestApi(req);
+  const [task, sprints, users] = await Promise.all([
+    taskId ? api.get(`/tasks/${taskId}`).then(r => r.data) : null,
+    api.get('/sprints').then(r => r.data.items || []),
+    fetchAvailableUsers(api, req)
+  ]);
+  // Dropdowns de Risco/Complexidade (valores determinados)
+  const riskOptions = ['Baixo', 'Médio', 'Alto'];
+  const complexityOptions = ['Baixa', 'Média', 'Alta'];
+  const title = task ? req.t('titles.task', { title: task.title }) : req.t('titles.newTask');
+  const estimateTemplates = listTemplates();
+  res.render('tasks/form', { title, task, sprints, users, riskOptions, complexityOptions, values, fieldErrors, estimateTemplates });
+}
+
+const TASK_SAVE_ERRORS = { 422: 'errors.pertOrData', 409: 'errors.taskInOtherSprint' };
+
+// Falha ao salvar a tarefa: validação da API (422/409) reabre o formulário com os dados
+// enviados e os erros junto aos campos; demais falhas voltam com flash
+function taskSaveFailed(req, res, next, err, { taskId, flashKey, redirectTo }) {
+  if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+  const status = err.response?.status;
+  const message = failureMessage(req.t, flashKey, err, TASK_SAVE_ERRORS);
+  if (status !== 422 && status !== 409) {
+    res.flash('danger', message);
+    return res.redirect(redirectTo);
+  }
+  res.status(status);
+  res.flashNow('danger', message);
+  renderTaskForm(req, res, { taskId, values: req.body, fieldErrors: fieldErrors(err, req.t) }).catch(next);
+}
+
+// Nova tarefa
+app.get('/tasks/new', ensureAuth, async (req, res, next) => {
+  try {
+    await renderTaskForm(req, res);
+  } catch (err) {
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.formLoadFailed', err));
+    res.redirect('/tasks');
   }
+});
 
+app.post('/tasks', ensureAuth, async (req, res, next) => {
   try {
     const body = req.body;
-    const phases = {
-      analiseModelagem: { O: body.am_O, M: body.am_M, P: body.am_P },
-      execucao: { O: body.ex_O, M: body.ex_M, P: body.ex_P },
-      reteste: { O: body.re_O, M: body.re_M, P: body.re_P },
-      documentacao: { O: body.do_O, M: body.do_M, P: body.do_P }
-    };
-    if (![phases.analiseModelagem, phases.execucao, phases.reteste, phases.documentacao].every(validPhase)) {
-      res.flash('warning', 'Validação PERT falhou: garanta O ≤ M ≤ P em todas as fases.');
-      return res.redirect('/tasks/new');
+    // Validação client-side mínima O<=M<=P por fase
+    const phases = phasesFromBody(body);
+    const invalid = phaseErrors(phases);
+    if (invalid.length) {
+      res.status(422);
+      res.flashNow('warning', req.t('flash.pertInvalid'));
+      return await renderTaskForm(req, res, { values: body, fieldErrors: fieldErrors(invalid, req.t) });
     }
     const payload = {
       title: body.title,
@@ -260,69 +488,221 @@ app.post('/tasks', ensureAuth, async (req, res) => {
       sprintId: body.sprintId || undefined,
       phases
     };
-    const api = apiClient(req.session.token, req.session.tz);
+    const api = requestApi(req);
     await api.post('/tasks', payload);
-    res.flash('success', 'Tarefa criada com sucesso');
+    res.flash('success', req.t('flash.taskCreated'));
     res.redirect('/tasks');
   } catch (err) {
-    const status = err.response?.status;
-    const msg = err.response?.data?.[0]?.message || err.response?.data?.message || err.message;
-    res.flash('danger', `Falha ao criar tarefa (${status || 'erro'}): ${msg}`);
-    res.redirect('/tasks/new');
+    taskSaveFailed(req, res, next, err, { flashKey: 'flash.taskCreateFailed', redirectTo: '/tasks/new' });
   }
 });
 
-// Detalhe/edição tarefa
-app.get('/tasks/:id', ensureAuth, async (req, res) => {
+// Exportação da listagem de tarefas (CSV/JSON) respeitando os filtros atuais
+app.get('/tasks/export.:format(csv|json)', ensureAuth, async (req, res, next) => {
+  const listQuery = parseListQuery(req.query);
   try {
-    const api = apiClient(req.session.token, req.session.tz);
-    const task = (await api.get(`/tasks/${req.params.id}`)).data;
+    const api = requestApi(req);
+    const sprintsPromise = api.get('/sprints').then(r => r.data.items || []);
+    const filters = await taskListFilters(req, listQuery, sprintsPromise);
+    const [tasks, sprints, users] = await Promise.all([
+      queryTasks(api, listQuery, filters).then(items => enrichTasks(api, items)),
+      sprintsPromise,
+      fetchAvailableUsers(api, req)
+    ]);
+    const records = exportRecords(tasks, { sprints, users });
+    const meta = { filters: { ...filters, q: listQuery.q, sort: listQuery.sort, dir: listQuery.sort ? listQuery.dir : undefined } };
+    sendExport(res, req.params.format, `tarefas-${dayjs().format('YYYYMMDD-HHmm')}`, records, { meta, t: req.t });
+  } catch (err) {
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.tasksExportFailed', err));
+    res.redirect('/tasks');
+  }
+});
+
+// Importação de tarefas via CSV/XLSX: upload -> pré-visualização com erros por linha -> criação
+app.get('/tasks/import', ensureAuth, (req, res) => {
+  res.render('tasks/import', { title: req.t('titles.import'), preview: req.session.taskImport || null, report: null, maxRows: MAX_ROWS });
+});
+
+app.get('/tasks/import/template.csv', ensureAuth, (req, res) => {
+  res.attachment('modelo-importacao-tarefas.csv');
+  res.type('text/csv; charset=utf-8');
+  res.send(`\uFEFF${templateCsv()}`);
+});
+
+// Upload da planilha; erros do multer (ex.: arquivo acima de 2 MB) viram flash
+function uploadSpreadsheet(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    res.flash('danger', req.t('flash.uploadFailed', { msg: err.code === 'LIMIT_FILE_SIZE' ? req.t('errors.fileTooLarge') : err.message }));
+    res.redirect('/tasks/import');
+  });
+}
+
+app.post('/tasks/import', ensureAuth, uploadSpreadsheet, async (req, res, next) => {
+  if (!req.file) {
+    res.flash('warning', req.t('flash.selectFile'));
+    return res.redirect('/tasks/import');
+  }
+  try {
+    const api = requestApi(req);
     const sprints = (await api.get('/sprints')).data.items || [];
     const riskOptions = ['Baixo', 'Médio', 'Alto'];
     const complexityOptions = ['Baixa', 'Média', 'Alta'];
-    // Usuários disponíveis para seleção de responsáveis (qualquer usuário autenticado)
-    let users = [];
-    try { 
-      users = (await api.get('/users/available')).data.items || [];
-    } catch (e) { 
-      // Fallback temporário se endpoint não existir
-      if (e.response?.status === 404 && req.session.user?.role === 'Admin') {
-        try {
-          const adminUsers = (await api.get('/users')).data.items || [];
-          users = adminUsers.map(u => ({ id: u.id, name: u.name, email: u.email, role: u.role }));
-        } catch (fallbackErr) {
-          users = [];
-        }
-      } else {
-        users = [];
+    const matrix = await readSpreadsheet(req.file, { t: req.t });
+    const { rows, headerErrors } = validateRows(matrix, { sprints, riskOptions, complexityOptions, t: req.t });
+    req.session.taskImport = { fileName: req.file.originalname, rows, headerErrors };
+    res.redirect('/tasks/import');
+  } catch (err) {
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.spreadsheetReadFailed', err));
+    res.redirect('/tasks/import');
+  }
+});
+
+app.post('/tasks/import/confirm', ensureAuth, async (req, res, next) => {
+  const preview = req.session.taskImport;
+  if (!preview) {
+    res.flash('warning', req.t('flash.noPendingImport'));
+    return res.redirect('/tasks/import');
+  }
+  const api = requestApi(req);
+  const results = [];
+  try {
+    for (const row of preview.rows) {
+      if (!row.payload) {
+        results.push({ line: row.line, title: row.title, ok: false, skipped: true, message: row.errors.join(' ') });
+        continue;
+      }
+      try {
+        const task = (await api.post('/tasks', row.payload)).data;
+        results.push({ line: row.line, title: row.title, ok: true, id: task?.id });
+      } catch (err) {
+        if (isApiUnavailable(err) || isSessionExpired(err)) throw err;
+        const message = apiErrorMessage(err, req.t, { 422: 'errors.pertOrDataDetail' });
+        results.push({ line: row.line, title: row.title, ok: false, status: err.response?.status || null, message });
       }
     }
-    res.render('tasks/form', { title: `Tarefa ${task.title} - TaskWise`, task, sprints, users, riskOptions, complexityOptions });
   } catch (err) {
-    const status = err.response?.status;
-    const msg = err.response?.data?.[0]?.message || err.response?.data?.message || err.message;
-    res.flash('danger', `Falha ao carregar a tarefa (${status || 'erro'}): ${msg}`);
-    res.redirect('/tasks');
+    return next(err);
   }
+  delete req.session.taskImport;
+  const report = {
+    fileName: preview.fileName,
+    created: results.filter(r => r.ok).length,
+    skipped: results.filter(r => r.skipped).length,
+    failed: results.filter(r => !r.ok && !r.skipped).length,
+    results
+  };
+  res.render('tasks/import', { title: req.t('titles.import'), preview: null, report, maxRows: MAX_ROWS });
 });
 
-app.post('/tasks/:id', ensureAuth, async (req, res) => {
-  function validPhase(p) {
-    if (!p) return false;
-    const O = parseFloat(p.O), M = parseFloat(p.M), P = parseFloat(p.P);
-    return !Number.isNaN(O) && !Number.isNaN(M) && !Number.isNaN(P) && O <= M && M <= P;
+app.post('/tasks/import/cancel', ensureAuth, (req, res) => {
+  delete req.session.taskImport;
+  res.redirect('/tasks/import');
+});
+
+// Ações em lote sobre tarefas selecionadas na listagem; falhas são reportadas por tarefa
+// Mensagens dos status da API conhecidos por ação, com o detalhe original da API
+const BULK_ERRORS = {
+  status: { 422: 'errors.invalidTransitionDetail' },
+  sprint: { 409: 'errors.sprintNotEditableOrLinkedDetail' }
+};
+app.post('/tasks/bulk', ensureAuth, async (req, res, next) => {
+  const taskIds = Array.isArray(req.body.taskIds) ? req.body.taskIds : (req.body.taskIds ? [req.body.taskIds] : []);
+  const action = req.body.action;
+  const backTo = safeReturnTo(req.body.returnTo, '/tasks');
+  if (!taskIds.length) {
+    res.flash('warning', req.t('common.selectAtLeastOneTask'));
+    return res.redirect(backTo);
+  }
+  if (action === 'delete' && req.session.user?.role !== 'Admin') {
+    res.flash('warning', req.t('errors.adminOnly'));
+    return res.redirect(backTo);
+  }
+  const api = requestApi(req);
+  let label;
+  let run;
+  if (action === 'status') {
+    const desired = req.body.status;
+    if (desired === 'Bloqueada' && (!req.body.motivo || !req.body.responsavelId)) {
+      res.flash('warning', req.t('common.blockRequired'));
+      return res.redirect(backTo);
+    }
+    label = req.t('bulk.statusTo', { status: req.i18n.tv('taskStatus', desired) });
+    run = async (id) => {
+      const payload = { status: desired };
+      if (desired === 'Bloqueada') payload.block = { motivo: req.body.motivo, responsavelId: req.body.responsavelId };
+      await api.patch(`/tasks/${encodeURIComponent(id)}/status`, payload);
+    };
+  } else if (action === 'assign') {
+    if (!req.body.assigneeId) {
+      res.flash('warning', req.t('flash.selectAssignee'));
+      return res.redirect(backTo);
+    }
+    label = req.t('bulk.assign');
+    run = (id) => api.patch(`/tasks/${encodeURIComponent(id)}/assign/${encodeURIComponent(req.body.assigneeId)}`);
+  } else if (action === 'sprint') {
+    if (!req.body.sprintId) {
+      res.flash('warning', req.t('flash.selectSprint'));
+      return res.redirect(backTo);
+    }
+    label = req.t('bulk.sprint');
+    // Uma chamada por tarefa para que um 409 não rejeite o lote inteiro
+    run = (id) => api.patch(`/sprints/${encodeURIComponent(req.body.sprintId)}/tasks`, { taskIds: [id] });
+  } else if (action === 'delete') {
+    label = req.t('bulk.delete');
+    run = (id) => api.delete(`/tasks/${encodeURIComponent(id)}`);
+  } else {
+    res.flash('warning', req.t('flash.invalidBulkAction'));
+    return res.redirect(backTo);
   }
+
+  const results = [];
+  try {
+    for (const id of taskIds) {
+      let title = id;
+      try {
+        title = (await api.get(`/tasks/${encodeURIComponent(id)}`)).data.title || id;
+        await run(id);
+        results.push({ id, title, ok: true });
+      } catch (err) {
+        if (isApiUnavailable(err) || isSessionExpired(err)) throw err;
+        const message = apiErrorMessage(err, req.t, BULK_ERRORS[action]);
+        results.push({ id, title, ok: false, status: err.response?.status || null, message });
+      }
+    }
+  } catch (err) {
+    return next(err);
+  }
+  const failed = results.filter(r => !r.ok).length;
+  if (!failed) {
+    res.flash('success', req.t('flash.bulkDone', { label, count: results.length }));
+    return res.redirect(backTo);
+  }
+  res.render('tasks/bulk', { title: req.t('titles.bulk'), label, results, failed, backTo });
+});
+
+// Detalhe/edição tarefa
+app.get('/tasks/:id', ensureAuth, async (req, res, next) => {
+  try {
+    await renderTaskForm(req, res, { taskId: req.params.id });
+  } catch (err) {
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.taskLoadFailed', err));
+    res.redirect('/tasks');
+  }
+});
+
+app.post('/tasks/:id', ensureAuth, async (req, res, next) => {
   try {
     const body = req.body;
-    const phases = {
-      analiseModelagem: { O: body.am_O, M: body.am_M, P: body.am_P },
-      execucao: { O: body.ex_O, M: body.ex_M, P: body.ex_P },
-      reteste: { O: body.re_O, M: body.re_M, P: body.re_P },
-      documentacao: { O: body.do_O, M: body.do_M, P: body.do_P }
-    };
-    if (![phases.analiseModelagem, phases.execucao, phases.reteste, phases.documentacao].every(validPhase)) {
-      res.flash('warning', 'Validação PERT falhou: garanta O ≤ M ≤ P em todas as fases.');
-      return res.redirect(`/tasks/${req.params.id}`);
+    const phases = phasesFromBody(body);
+    const invalid = phaseErrors(phases);
+    if (invalid.length) {
+      res.status(422);
+      res.flashNow('warning', req.t('flash.pertInvalid'));
+      return await renderTaskForm(req, res, { taskId: req.params.id, values: body, fieldErrors: fieldErrors(invalid, req.t) });
     }
     const payload = {
       title: body.title,
@@ -332,129 +712,222 @@ app.post('/tasks/:id', ensureAuth, async (req, res) => {
       sprintId: body.sprintId || undefined,
       phases
     };
-    const api = apiClient(req.session.token, req.session.tz);
+    const api = requestApi(req);
     await api.put(`/tasks/${req.params.id}`, payload);
-    res.flash('success', 'Tarefa atualizada');
+    res.flash('success', req.t('flash.taskUpdated'));
     res.redirect(`/tasks/${req.params.id}`);
   } catch (err) {
-    const status = err.response?.status;
-    const msg = status === 422 ? 'Validação PERT ou dados inválidos.' : (status === 409 ? 'Tarefa já vinculada a outra sprint.' : (err.response?.data?.[0]?.message || err.response?.data?.message || err.message));
-    res.flash('danger', `Falha ao atualizar tarefa (${status || 'erro'}): ${msg}`);
-    res.redirect(`/tasks/${req.params.id}`);
+    taskSaveFailed(req, res, next, err, { taskId: req.params.id, flashKey: 'flash.taskUpdateFailed', redirectTo: `/tasks/${req.params.id}` });
   }
 });
 
 // Excluir tarefa (Admin)
-app.post('/tasks/:id/delete', ensureAuth, ensureAdmin, async (req, res) => {
+app.post('/tasks/:id/delete', ensureAuth, ensureAdmin, async (req, res, next) => {
   try {
-    const api = apiClient(req.session.token, req.session.tz);
+    const api = requestApi(req);
     await api.delete(`/tasks/${req.params.id}`);
-    res.flash('success', 'Tarefa excluída com sucesso');
+    res.flash('success', req.t('flash.taskDeleted'));
     res.redirect('/tasks');
   } catch (err) {
-    const status = err.response?.status;
-    const msg = status === 404 ? 'Tarefa não encontrada.' : (status === 403 ? 'Ação restrita a Admin.' : (err.response?.data?.[0]?.message || err.response?.data?.message || err.message));
-    res.flash('danger', `Falha ao excluir tarefa (${status || 'erro'}): ${msg}`);
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.taskDeleteFailed', err, { 404: 'errors.taskNotFound', 403: 'errors.adminOnly' }));
     res.redirect(`/tasks/${req.params.id}`);
   }
 });
 
-// Alterar status com bloqueio/desbloqueio
-app.post('/tasks/:id/status', ensureAuth, async (req, res) => {
+// Alterar status com bloqueio/desbloqueio (formulário da tarefa ou JSON via quadro)
+app.post('/tasks/:id/status', ensureAuth, async (req, res, next) => {
+  const json = wantsJson(req);
   try {
-    const api = apiClient(req.session.token, req.session.tz);
+    const api = requestApi(req);
     const desired = req.body.status;
     const currentTask = (await api.get(`/tasks/${req.params.id}`)).data;
     const current = currentTask.status;
     const isBlocking = desired === 'Bloqueada' && req.body.motivo && req.body.responsavelId;
     // Se não houve mudança de status e não há dados de bloqueio, não chama API
     if (desired === current && !isBlocking) {
-      res.flash('info', 'Nenhuma alteração de status para aplicar.');
+      if (json) return res.json({ ok: true, unchanged: true, task: currentTask });
+      res.flash('info', req.t('flash.statusUnchanged'));
       return res.redirect(`/tasks/${req.params.id}`);
     }
     const payload = { status: desired };
     if (desired === 'Bloqueada') {
       payload.block = { motivo: req.body.motivo, responsavelId: req.body.responsavelId };
     }
-    await api.patch(`/tasks/${req.params.id}/status`, payload);
-    res.flash('success', 'Status atualizado');
-    res.redirect(`/tasks/${req.params.id}`);
+    const task = (await api.patch(`/tasks/${req.params.id}/status`, payload)).data;
+    if (json) return res.json({ ok: true, task });
+    res.flash('success', req.t('flash.statusUpdated'));
+    res.redirect(safeReturnTo(req.body.returnTo, `/tasks/${req.params.id}`));
   } catch (err) {
-    const status = err.response?.status;
-    const msg = status === 422 ? 'Transição inválida (ex.: tarefa sem sprint não pode avançar).' : (status === 409 ? 'Concluir sem responsável ou sprint não iniciada.' : (err.response?.data?.[0]?.message || err.response?.data?.message || err.message));
-    res.flash('danger', `Falha ao alterar status (${status || 'erro'}): ${msg}`);
-    res.redirect(`/tasks/${req.params.id}`);
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    const statusErrors = { 422: 'errors.invalidTransition', 409: 'errors.cannotComplete' };
+    if (json) {
+      const status = err.response?.status;
+      return res.status(status || 500).json({ ok: false, status: status || null, error: apiErrorMessage(err, req.t, statusErrors), detail: apiErrorItems(err)[0]?.message || null });
+    }
+    res.flash('danger', failureMessage(req.t, 'flash.statusChangeFailed', err, statusErrors));
+    res.redirect(safeReturnTo(req.body.returnTo, `/tasks/${req.params.id}`));
   }
 });
 
 // Definir responsável
-app.post('/tasks/:id/assign', ensureAuth, async (req, res) => {
+app.post('/tasks/:id/assign', ensureAuth, async (req, res, next) => {
   try {
-    const api = apiClient(req.session.token, req.session.tz);
+    const api = requestApi(req);
     const userId = req.body.assigneeId;
     await api.patch(`/tasks/${req.params.id}/assign/${userId}`);
-    res.flash('success', 'Responsável atualizado');
-    res.redirect(`/tasks/${req.params.id}`);
+    res.flash('success', req.t('flash.assigneeUpdated'));
+    res.redirect(safeReturnTo(req.body.returnTo, `/tasks/${req.params.id}`));
   } catch (err) {
-    const status = err.response?.status;
-    const msg = err.response?.data?.[0]?.message || err.response?.data?.message || err.message;
-    res.flash('danger', `Falha ao definir responsável (${status || 'erro'}): ${msg}`);
-    res.redirect(`/tasks/${req.params.id}`);
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.assignFailed', err));
+    res.redirect(safeReturnTo(req.body.returnTo, `/tasks/${req.params.id}`));
   }
 });
 
 // Sprints
-app.get('/sprints', ensureAuth, async (req, res) => {
+// Dados da listagem de sprints (também usados ao reexibir o formulário de nova sprint)
+async function sprintListLocals(req) {
+  const api = requestApi(req);
+  // As tarefas só alimentam o formulário de nova sprint e o botão Encerrar, ambos de Admin
+  const isAdmin = req.session.user?.role === 'Admin';
+  const [sprints, tasksAll] = await Promise.all([
+    api.get('/sprints').then(r => r.data.items || []),
+    isAdmin ? api.get('/tasks', { params: { page: 1, pageSize: 1000 } }).then(r => r.data.items || []) : []
+  ]);
+  const tasksWithoutSprint = tasksAll.filter(t => !t.sprintId);
+  // Mapa de pendências por sprint: existe tarefa status != 'Concluída'
+  const pendingBySprint = {};
+  for (const t of tasksAll) {
+    if (t.sprintId && t.status !== 'Concluída') pendingBySprint[t.sprintId] = true;
+  }
+  return { title: req.t('titles.sprints'), sprints, tasks: tasksWithoutSprint, pendingBySprint };
+}
+
+app.get('/sprints', ensureAuth, async (req, res, next) => {
   try {
-    const api = apiClient(req.session.token, req.session.tz);
-    const sprints = (await api.get('/sprints')).data.items || [];
-    const tasksAll = (await api.get('/tasks', { params: { page: 1, pageSize: 1000 } })).data.items || [];
-    const tasksWithoutSprint = tasksAll.filter(t => !t.sprintId);
-    // Mapa de pendências por sprint: existe tarefa status != 'Concluída'
-    const pendingBySprint = {};
-    for (const t of tasksAll) {
-      if (t.sprintId && t.status !== 'Concluída') pendingBySprint[t.sprintId] = true;
-    }
-    res.render('sprints/list', { title: 'Sprints - TaskWise', sprints, tasks: tasksWithoutSprint, pendingBySprint });
+    res.render('sprints/list', await sprintListLocals(req));
   } catch (err) {
-    const status = err.response?.status;
-    const msg = err.response?.data?.[0]?.message || err.response?.data?.message || err.message;
-    res.flash('danger', `Falha ao carregar sprints (${status || 'erro'}): ${msg}`);
-    res.render('sprints/list', { title: 'Sprints - TaskWise', sprints: [], tasks: [], pendingBySprint: {} });
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.sprintsLoadFailed', err));
+    res.render('sprints/list', { title: req.t('titles.sprints'), sprints: [], tasks: [], pendingBySprint: {} });
   }
 });
 
-// Detalhe/edição de sprint com visualização das tarefas que a compõem
-app.get('/sprints/:id', ensureAuth, async (req, res) => {
-  try {
-    const api = apiClient(req.session.tz ? req.session.token : req.session.token, req.session.tz);
-    const sprint = (await api.get(`/sprints/${req.params.id}`)).data;
-    // Tarefas da sprint
-    let tasksInSprint = (await api.get('/tasks', { params: { sprintId: sprint.id, page: 1, pageSize: 1000 } })).data.items || [];
-    // Enriquecimento se necessário
-    if (tasksInSprint.length) {
-      const needDetails = tasksInSprint.filter(t => t.totalHours == null || t.totalDays == null || !t.dueDate);
-      if (needDetails.length) {
-        const details = await Promise.all(needDetails.map(t => api.get(`/tasks/${t.id}`).then(r => r.data).catch(() => null)));
-        const mapById = new Map(details.filter(Boolean).map(d => [d.id, d]));
-        tasksInSprint = tasksInSprint.map(t => mapById.has(t.id) ? mapById.get(t.id) : t);
-      }
+// Dados do detalhe da sprint (também usados ao reexibir o formulário de capacidade)
+async function sprintDetailLocals(req) {
+  const api = requestApi(req);
+  // Uma única listagem de tarefas atende às tarefas da sprint e às disponíveis (sem sprint)
+  const [sprint, tasksAll, users, sprints] = await Promise.all([
+    api.get(`/sprints/${req.params.id}`).then(r => r.data),
+    api.get('/tasks', { params: { page: 1, pageSize: 1000 } }).then(r => r.data.items || []),
+    fetchAvailableUsers(api, req),
+    api.get('/sprints').then(r => r.data.items || [])
+  ]);
+  // Tarefas da sprint, com enriquecimento se necessário
+  const tasksInSprint = await enrichTasks(api, tasksAll.filter(t => t.sprintId === sprint.id));
+  const tasksWithoutSprint = tasksAll.filter(t => !t.sprintId);
+  const hasPending = tasksInSprint.some(t => t.status !== 'Concluída');
+  // Estatística PERT: percentis de esforço e previsão Monte Carlo da conclusão
+  const pendingTasks = tasksInSprint.filter(t => t.status !== 'Concluída');
+  const effort = { all: effortPercentiles(tasksInSprint), remaining: effortPercentiles(pendingTasks) };
+  // A previsão fica fora das regiões trocadas pela atualização em tempo real
+  const forecast = sprint.status === 'Closed' || isLiveRefresh(req) ? null : monteCarloForecast({
+    tasks: pendingTasks,
+    dailyHours: dailyCapacityHours(sprint.capacity),
+    seed: `${sprint.id}:${pendingTasks.map(t => t.id).join(',')}`
+  });
+  // Planejamento: carga x capacidade na janela da sprint, por responsável e cenário hipotético (Admin)
+  const windowDays = Math.min(60, Math.max(1, parseInt(req.query.windowDays, 10) || config.sprintWindowDays));
+  const startedAt = parseApiDate(sprint.startedAt);
+  const elapsedDays = sprint.status === 'Started' && startedAt ? businessDaysBetween(startedAt, dayjs()) : 0;
+  const plan = capacityPlan({ tasks: tasksInSprint, capacity: sprint.capacity, windowDays, elapsedDays });
+  const assigneeLoad = loadByAssignee(tasksInSprint, users, plan.perHeadHours);
+  let scenario = null;
+  if (req.session.user?.role === 'Admin') {
+    const delta = {};
+    for (const level of LEVELS) delta[level] = parseInt(req.query[`wi_${level}`], 10) || 0;
+    if (LEVELS.some(level => delta[level])) {
+      const capacity = applyScenario(sprint.capacity, delta);
+      const scenarioPlan = capacityPlan({ tasks: tasksInSprint, capacity, windowDays, elapsedDays });
+      scenario = { delta, plan: scenarioPlan, assigneeLoad: loadByAssignee(tasksInSprint, users, scenarioPlan.perHeadHours) };
     }
-    // Tarefas disponíveis para adicionar (sem sprint)
-    const tasksWithoutSprint = (await api.get('/tasks', { params: { page: 1, pageSize: 1000 } })).data.items.filter(t => !t.sprintId) || [];
-    const hasPending = tasksInSprint.some(t => t.status !== 'Concluída');
-    res.render('sprints/detail', { title: `Sprint ${sprint.name} - TaskWise`, sprint, tasksInSprint, tasksWithoutSprint, hasPending });
+  }
+  // Destinos das pendências no assistente de encerramento: sprints ainda não iniciadas
+  const closeTargets = sprints.filter(s => s.status === 'Created' && s.id !== sprint.id);
+  return { title: req.t('titles.sprint', { name: sprint.name }), sprint, tasksInSprint, tasksWithoutSprint, hasPending, pendingTasks, closeTargets, users, effort, forecast, plan, assigneeLoad, scenario };
+}
+
+// Detalhe/edição de sprint com visualização das tarefas que a compõem
+app.get('/sprints/:id', ensureAuth, async (req, res, next) => {
+  // Relatório do assistente de encerramento, exibido uma vez após a execução
+  const report = req.session.sprintCloseReport?.sprintId === req.params.id ? req.session.sprintCloseReport : null;
+  if (report) delete req.session.sprintCloseReport;
+  try {
+    res.render('sprints/detail', { ...(await sprintDetailLocals(req)), closeReport: report });
   } catch (err) {
-    const status = err.response?.status;
-    const msg = err.response?.data?.[0]?.message || err.response?.data?.message || err.message;
-    res.flash('danger', `Falha ao carregar sprint (${status || 'erro'}): ${msg}`);
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.sprintLoadFailed', err));
     res.redirect('/sprints');
   }
 });
 
-app.post('/sprints', ensureAuth, ensureAdmin, async (req, res) => {
+// Exportação das tarefas de uma sprint (CSV/JSON)
+app.get('/sprints/:id/export.:format(csv|json)', ensureAuth, async (req, res, next) => {
   try {
-    const api = apiClient(req.session.token, req.session.tz);
+    const api = requestApi(req);
+    const [sprint, tasks, users] = await Promise.all([
+      api.get(`/sprints/${req.params.id}`).then(r => r.data),
+      api.get('/tasks', { params: { sprintId: req.params.id, page: 1, pageSize: 1000 } }).then(r => enrichTasks(api, r.data.items || [])),
+      fetchAvailableUsers(api, req)
+    ]);
+    const records = exportRecords(tasks, { sprints: [sprint], users });
+    const slug = sprint.name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\w-]+/g, '-').toLowerCase();
+    sendExport(res, req.params.format, `sprint-${slug}`, records, {
+      meta: { sprint: { id: sprint.id, name: sprint.name, status: sprint.status, startedAt: sprint.startedAt, dueDate: sprint.dueDate, closedAt: sprint.closedAt, capacity: sprint.capacity } },
+      t: req.t
+    });
+  } catch (err) {
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.sprintExportFailed', err));
+    res.redirect(`/sprints/${req.params.id}`);
+  }
+});
+
+// Relatório da sprint otimizado para impressão: resumo do dashboard + tabela de tarefas
+app.get('/sprints/:id/report', ensureAuth, async (req, res, next) => {
+  try {
+    const api = requestApi(req);
+    const [sprint, tasks, summary, users] = await Promise.all([
+      api.get(`/sprints/${req.params.id}`).then(r => r.data),
+      api.get('/tasks', { params: { sprintId: req.params.id, page: 1, pageSize: 1000 } }).then(r => enrichTasks(api, r.data.items || [])),
+      api.get('/dashboard/summary', { params: { sprintId: req.params.id } }).then(r => r.data).catch((e) => {
+        if (isApiUnavailable(e) || isSessionExpired(e)) throw e;
+        return null;
+      }),
+      fetchAvailableUsers(api, req)
+    ]);
+    const records = exportRecords(tasks, { sprints: [sprint], users });
+    const usersById = new Map(users.map(u => [u.id, u]));
+    res.render('sprints/report', {
+      layout: 'print',
+      title: req.t('titles.report', { name: sprint.name }),
+      sprint,
+      summary,
+      records,
+      usersById,
+      generatedAt: req.i18n.formatDate(dayjs())
+    });
+  } catch (err) {
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.reportFailed', err));
+    res.redirect(`/sprints/${req.params.id}`);
+  }
+});
+
+app.post('/sprints', ensureAuth, ensureAdmin, async (req, res, next) => {
+  try {
+    const api = requestApi(req);
     const payload = {
       name: req.body.name,
       taskIds: Array.isArray(req.body.taskIds) ? req.body.taskIds : (req.body.taskIds ? [req.body.taskIds] : []),
@@ -465,96 +938,143 @@ app.post('/sprints', ensureAuth, ensureAdmin, async (req, res) => {
       } : undefined
     };
     await api.post('/sprints', payload);
-    res.flash('success', 'Sprint criada');
+    res.flash('success', req.t('flash.sprintCreated'));
     res.redirect('/sprints');
   } catch (err) {
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
     const status = err.response?.status;
-    const msg = err.response?.data?.[0]?.message || err.response?.data?.message || err.message;
-    res.flash('danger', `Falha ao criar sprint (${status || 'erro'}): ${msg}`);
-    res.redirect('/sprints');
+    const message = failureMessage(req.t, 'flash.sprintCreateFailed', err, { 422: 'errors.reviewFields', 409: 'errors.taskInOtherSprint' });
+    if (status !== 422 && status !== 409) {
+      res.flash('danger', message);
+      return res.redirect('/sprints');
+    }
+    // Reabre o formulário de nova sprint com os valores enviados e os erros por campo
+    res.status(status);
+    res.flashNow('danger', message);
+    sprintListLocals(req)
+      .then(locals => res.render('sprints/list', { ...locals, values: req.body, fieldErrors: fieldErrors(err, req.t) }))
+      .catch(next);
   }
 });
 
-app.post('/sprints/:id/start', ensureAuth, ensureAdmin, async (req, res) => {
+app.post('/sprints/:id/start', ensureAuth, ensureAdmin, async (req, res, next) => {
   try {
-    const api = apiClient(req.session.token, req.session.tz);
+    const api = requestApi(req);
     await api.patch(`/sprints/${req.params.id}/start`);
-    res.flash('success', 'Sprint iniciada');
+    res.flash('success', req.t('flash.sprintStarted'));
     res.redirect('/sprints');
   } catch (err) {
-    const status = err.response?.status;
-    const msg = status === 422 ? 'Sem tarefas para iniciar.' : (err.response?.data?.[0]?.message || err.response?.data?.message || err.message);
-    res.flash('danger', `Falha ao iniciar sprint (${status || 'erro'}): ${msg}`);
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.sprintStartFailed', err, { 422: 'errors.noTasksToStart' }));
     res.redirect('/sprints');
   }
 });
 
-app.post('/sprints/:id/close', ensureAuth, ensureAdmin, async (req, res) => {
+app.post('/sprints/:id/close', ensureAuth, ensureAdmin, async (req, res, next) => {
   try {
-    const api = apiClient(req.session.token, req.session.tz);
+    const api = requestApi(req);
     await api.patch(`/sprints/${req.params.id}/close`);
-    res.flash('success', 'Sprint encerrada');
+    res.flash('success', req.t('flash.sprintClosed'));
     res.redirect('/sprints');
   } catch (err) {
-    const status = err.response?.status;
-    const msg = status === 409 ? 'Existem tarefas não concluídas na sprint.' : (err.response?.data?.[0]?.message || err.response?.data?.message || err.message);
-    res.flash('danger', `Falha ao encerrar sprint (${status || 'erro'}): ${msg}`);
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.sprintCloseFailed', err, { 409: 'errors.pendingTasks' }));
+    res.redirect('/sprints');
+  }
+});
+
+// Assistente de encerramento: conclui ou leva para outra sprint cada tarefa pendente e
+// encerra a sprint, desfazendo os passos anteriores se algum falhar
+app.post('/sprints/:id/close-wizard', ensureAuth, ensureAdmin, async (req, res, next) => {
+  try {
+    const locals = await sprintDetailLocals(req);
+    const { sprint, pendingTasks, closeTargets } = locals;
+    if (sprint.status !== 'Started') {
+      res.flash('warning', req.t('flash.sprintCloseNotStarted'));
+      return res.redirect(`/sprints/${sprint.id}`);
+    }
+    const { choices, newSprintName, errors, values } = parseClosePlan(req.body, pendingTasks, closeTargets);
+    if (Object.keys(errors).length) {
+      res.status(422);
+      res.flashNow('danger', req.t('errors.reviewFields'));
+      const fieldErrors = Object.fromEntries(Object.entries(errors).map(([field, key]) => [field, req.t(`sprints.closeWizard.errors.${key}`)]));
+      return res.render('sprints/detail', { ...locals, closeReport: null, closeValues: values, closeErrors: fieldErrors });
+    }
+    const result = await runSprintClose(requestApi(req), { sprint, choices, newSprintName });
+    // A conferência de pendências falha com mensagem própria do catálogo
+    const stepError = err => (err.messageKey ? req.t(err.messageKey, err.params) : apiErrorMessage(err, req.t));
+    req.session.sprintCloseReport = {
+      sprintId: sprint.id,
+      ok: result.ok,
+      steps: result.steps.map(step => ({ ...step, error: step.error ? stepError(step.error) : null }))
+    };
+    if (result.ok) {
+      res.flash('success', req.t('flash.sprintClosedWizard', { name: sprint.name }));
+    } else {
+      res.flash('danger', req.t('flash.sprintCloseWizardFailed'));
+    }
+    res.redirect(`/sprints/${sprint.id}`);
+  } catch (err) {
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.sprintLoadFailed', err));
     res.redirect('/sprints');
   }
 });
 
 // Adicionar tarefas a uma sprint (somente Created)
-app.post('/sprints/:id/tasks', ensureAuth, ensureAdmin, async (req, res) => {
+app.post('/sprints/:id/tasks', ensureAuth, ensureAdmin, async (req, res, next) => {
   try {
-    const api = apiClient(req.session.token, req.session.tz);
+    const api = requestApi(req);
     const taskIds = Array.isArray(req.body.taskIds) ? req.body.taskIds : (req.body.taskIds ? [req.body.taskIds] : []);
     await api.patch(`/sprints/${req.params.id}/tasks`, { taskIds });
-    res.flash('success', 'Tarefas adicionadas à sprint');
+    res.flash('success', req.t('flash.tasksAdded'));
     res.redirect(`/sprints/${req.params.id}`);
   } catch (err) {
-    const status = err.response?.status;
-    const msg = status === 409
-      ? 'Sprint não editável ou tarefa já vinculada a outra sprint.'
-      : (status === 422 ? 'Selecione pelo menos 1 tarefa.' : (err.response?.data?.[0]?.message || err.response?.data?.message || err.message));
-    res.flash('danger', `Falha ao adicionar tarefas (${status || 'erro'}): ${msg}`);
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.tasksAddFailed', err, { 409: 'errors.sprintNotEditableOrLinked', 422: 'common.selectAtLeastOneTask' }));
     res.redirect(`/sprints/${req.params.id}`);
   }
 });
 
 // Remover tarefas de uma sprint (somente Created)
-app.post('/sprints/:id/tasks/remove', ensureAuth, ensureAdmin, async (req, res) => {
+app.post('/sprints/:id/tasks/remove', ensureAuth, ensureAdmin, async (req, res, next) => {
   try {
-    const api = apiClient(req.session.token, req.session.tz);
+    const api = requestApi(req);
     const taskIds = Array.isArray(req.body.taskIds) ? req.body.taskIds : (req.body.taskIds ? [req.body.taskIds] : []);
     await api.patch(`/sprints/${req.params.id}/tasks/remove`, { taskIds });
-    res.flash('success', 'Tarefas removidas da sprint');
+    res.flash('success', req.t('flash.tasksRemoved'));
     res.redirect(`/sprints/${req.params.id}`);
   } catch (err) {
-    const status = err.response?.status;
-    const msg = status === 409
-      ? 'Sprint não editável (já iniciada/encerrada).'
-      : (status === 422 ? 'Seleção inválida: informe taskIds pertencentes à sprint.' : (err.response?.data?.[0]?.message || err.response?.data?.message || err.message));
-    res.flash('danger', `Falha ao remover tarefas (${status || 'erro'}): ${msg}`);
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.tasksRemoveFailed', err, { 409: 'errors.sprintNotEditable', 422: 'errors.invalidSelection' }));
     res.redirect(`/sprints/${req.params.id}`);
   }
 });
 
-app.post('/sprints/:id/capacity', ensureAuth, ensureAdmin, async (req, res) => {
+app.post('/sprints/:id/capacity', ensureAuth, ensureAdmin, async (req, res, next) => {
   try {
-    const api = apiClient(req.session.token, req.session.tz);
+    const api = requestApi(req);
     const payload = {
       junior: req.body.junior ? Number(req.body.junior) : undefined,
       pleno: req.body.pleno ? Number(req.body.pleno) : undefined,
       senior: req.body.senior ? Number(req.body.senior) : undefined
     };
     await api.patch(`/sprints/${req.params.id}/capacity`, payload);
-    res.flash('success', 'Capacidade atualizada');
+    res.flash('success', req.t('flash.capacityUpdated'));
     res.redirect(`/sprints/${req.params.id}`);
   } catch (err) {
-    const status = err.response?.status;
-    const msg = err.response?.data?.[0]?.message || err.response?.data?.message || err.message;
-    res.flash('danger', `Falha ao definir capacidade (${status || 'erro'}): ${msg}`);
-    res.redirect(`/sprints/${req.params.id}`);
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    const message = failureMessage(req.t, 'flash.capacityFailed', err, { 422: 'errors.reviewFields' });
+    if (err.response?.status !== 422) {
+      res.flash('danger', message);
+      return res.redirect(`/sprints/${req.params.id}`);
+    }
+    // Reexibe o detalhe com a capacidade digitada e o erro junto ao nível inválido
+    res.status(422);
+    res.flashNow('danger', message);
+    sprintDetailLocals(req)
+      .then(locals => res.render('sprints/detail', { ...locals, values: req.body, fieldErrors: fieldErrors(err, req.t) }))
+      .catch(next);
   }
 });
 
@@ -562,34 +1082,33 @@ app.post('/sprints/:id/capacity', ensureAuth, ensureAdmin, async (req, res) => {
 app.get('/users/me', (req, res, next) => {
   // Middleware customizado para não redirecionar requisições JSON
   if (!req.session?.token) {
-    return res.status(401).json({ error: 'Não autenticado. Faça login novamente.' });
+    return res.status(401).json({ error: req.t('errors.notAuthenticated') });
   }
   next();
-}, async (req, res) => {
+}, async (req, res, next) => {
   try {
-    const api = apiClient(req.session.token, req.session.tz);
+    const api = requestApi(req);
     const response = await api.get('/users/me');
     
     if (!response || !response.data) {
-      return res.status(500).json({ error: 'Resposta inválida da API' });
+      return res.status(500).json({ error: req.t('errors.invalidApiResponse') });
     }
     
     res.json(response.data);
   } catch (err) {
+    if (isApiUnavailable(err)) return next(err);
     const status = err.response?.status || 500;
-    let msg = 'Erro desconhecido';
+    let msg = req.t('common.unknownError');
     
     if (err.response?.status === 404) {
-      msg = 'Endpoint não encontrado na API. Verifique se a API está rodando em http://localhost:3000';
+      msg = req.t('errors.endpointNotFound', { url: config.api.baseURL });
     } else if (err.response?.status === 401) {
-      msg = 'Token inválido ou expirado. Faça login novamente.';
-    } else if (err.code === 'ECONNREFUSED') {
-      msg = 'Não foi possível conectar à API. Verifique se está rodando em http://localhost:3000';
+      msg = req.t('errors.tokenExpired');
     } else if (err.response?.data) {
       if (Array.isArray(err.response.data)) {
-        msg = err.response.data[0]?.message || err.response.data[0]?.code || 'Erro na API';
+        msg = err.response.data[0]?.message || err.response.data[0]?.code || req.t('errors.apiError');
       } else {
-        msg = err.response.data.message || err.response.data.error || 'Erro na API';
+        msg = err.response.data.message || err.response.data.error || req.t('errors.apiError');
       }
     } else if (err.message) {
       msg = err.message;
@@ -599,43 +1118,572 @@ app.get('/users/me', (req, res, next) => {
   }
 });
 
-app.get('/users', ensureAuth, ensureAdmin, async (req, res) => {
+// Bloqueios: itens das sprints iniciadas por idade, com SLA, desbloqueio com nota de
+// resolução e escalonamento para outro responsável. form ({ taskId, action, values,
+// errors }) reabre o formulário da linha após uma falha de validação
+async function renderBlocked(req, res, { sprintId = '', form = null } = {}) {
+  const api = requestApi(req);
+  const users = await fetchAvailableUsers(api, req);
+  const { sprints, items, counts } = await loadBlockedItems(api, { sprintId: sprintId || null, users });
+  const usersById = Object.fromEntries(users.map(u => [u.id, u]));
+  res.render('blocked/index', {
+    title: req.t('titles.blocked'),
+    sprints,
+    sprintId,
+    items,
+    counts,
+    users,
+    usersById,
+    history: blockHistory({ limit: 15 }),
+    returnStatuses: BLOCK_RETURN_STATUSES,
+    sla: config.blocks,
+    form
+  });
+}
+
+function blockedPath(sprintId) {
+  return sprintId ? `/blocked?sprintId=${encodeURIComponent(sprintId)}` : '/blocked';
+}
+
+// Erros de parseUnblock/parseEscalation (chaves de blocked.errors.*) como mensagens por campo
+function blockFieldErrors(errors, t) {
+  return Object.fromEntries(Object.entries(errors).map(([field, key]) => [field, t(`blocked.errors.${key}`)]));
+}
+
+app.get('/blocked', ensureAuth, async (req, res, next) => {
+  const sprintId = typeof req.query.sprintId === 'string' ? req.query.sprintId : '';
   try {
-    const api = apiClient(req.session.token, req.session.tz);
-    const users = (await api.get('/users')).data.items || [];
-    res.render('users/list', { title: 'Usuários - TaskWise', users });
+    await renderBlocked(req, res, { sprintId });
   } catch (err) {
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.blockedLoadFailed', err));
+    res.redirect(sprintId ? '/blocked' : '/dashboard');
+  }
+});
+
+// Volta a tarefa ao status escolhido e registra a resolução
+app.post('/blocked/:id/unblock', ensureAuth, async (req, res, next) => {
+  const sprintId = String(req.body.sprintId || '');
+  try {
+    const api = requestApi(req);
+    const { task, block } = await currentBlock(api, req.params.id);
+    if (!block) {
+      res.flash('warning', req.t('flash.blockNotFound'));
+      return res.redirect(blockedPath(sprintId));
+    }
+    const { resolution, returnStatus, errors } = parseUnblock(req.body);
+    if (Object.keys(errors).length) {
+      res.status(422);
+      res.flashNow('danger', req.t('errors.reviewFields'));
+      return await renderBlocked(req, res, { sprintId, form: { taskId: task.id, action: 'unblock', values: req.body, errors: blockFieldErrors(errors, req.t) } });
+    }
+    await unblockTask(api, { task, block, resolution, returnStatus, actor: req.session.user });
+    res.flash('success', req.t('flash.blockResolved', { title: task.title, status: req.i18n.tv('taskStatus', returnStatus) }));
+    res.redirect(blockedPath(sprintId));
+  } catch (err) {
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.unblockFailed', err, { 422: 'errors.invalidTransition', 409: 'errors.cannotComplete' }));
+    res.redirect(blockedPath(sprintId));
+  }
+});
+
+// Passa o bloqueio para outro responsável, mantendo motivo e idade
+app.post('/blocked/:id/escalate', ensureAuth, async (req, res, next) => {
+  const sprintId = String(req.body.sprintId || '');
+  try {
+    const api = requestApi(req);
+    const [{ task, block }, users] = await Promise.all([currentBlock(api, req.params.id), fetchAvailableUsers(api, req)]);
+    if (!block) {
+      res.flash('warning', req.t('flash.blockNotFound'));
+      return res.redirect(blockedPath(sprintId));
+    }
+    const { responsavelId, note, errors } = parseEscalation(req.body, block, users);
+    if (Object.keys(errors).length) {
+      res.status(422);
+      res.flashNow('danger', req.t('errors.reviewFields'));
+      return await renderBlocked(req, res, { sprintId, form: { taskId: task.id, action: 'escalate', values: req.body, errors: blockFieldErrors(errors, req.t) } });
+    }
+    await escalateBlock(api, { task, block, responsavelId, note, actor: req.session.user, users });
+    const responsible = users.find(u => u.id === responsavelId);
+    res.flash('success', req.t('flash.blockEscalated', { title: task.title, name: responsible.name }));
+    res.redirect(blockedPath(sprintId));
+  } catch (err) {
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.escalateFailed', err));
+    res.redirect(blockedPath(sprintId));
+  }
+});
+
+// Modelos de estimativa PERT (Admin). ?edit=<id> abre o modelo no formulário da página
+function renderEstimateTemplates(req, res, { editing = null, values = null, fieldErrors = {} } = {}) {
+  const templates = listTemplates().map(tpl => ({ ...tpl, expected: taskStats(tpl.phases).expected }));
+  res.render('estimates/templates', {
+    title: req.t('titles.estimateTemplates'),
+    templates,
+    editing,
+    values,
+    fieldErrors,
+    riskOptions: ['Baixo', 'Médio', 'Alto'],
+    complexityOptions: ['Baixa', 'Média', 'Alta']
+  });
+}
+
+// Erros de parseTemplate (chaves de estimates.errors.*) como mensagens por campo
+function templateFieldErrors(errors, t) {
+  return Object.fromEntries(Object.entries(errors).map(([field, key]) => [field, t(`estimates.errors.${key}`)]));
+}
+
+app.get('/estimates/templates', ensureAuth, ensureAdmin, (req, res) => {
+  const editing = req.query.edit ? getTemplate(req.query.edit) : null;
+  if (req.query.edit && !editing) {
+    res.flash('warning', req.t('flash.estimateTemplateNotFound'));
+    return res.redirect('/estimates/templates');
+  }
+  renderEstimateTemplates(req, res, { editing });
+});
+
+app.post('/estimates/templates', ensureAuth, ensureAdmin, (req, res) => {
+  const { template, errors } = parseTemplate(req.body);
+  if (Object.keys(errors).length) {
+    res.status(422);
+    res.flashNow('danger', req.t('errors.reviewFields'));
+    return renderEstimateTemplates(req, res, { values: req.body, fieldErrors: templateFieldErrors(errors, req.t) });
+  }
+  createTemplate(template, req.session.user);
+  res.flash('success', req.t('flash.estimateTemplateCreated', { name: template.name }));
+  res.redirect('/estimates/templates');
+});
+
+app.post('/estimates/templates/:id', ensureAuth, ensureAdmin, (req, res) => {
+  const editing = getTemplate(req.params.id);
+  if (!editing) {
+    res.flash('warning', req.t('flash.estimateTemplateNotFound'));
+    return res.redirect('/estimates/templates');
+  }
+  const { template, errors } = parseTemplate(req.body, { id: editing.id });
+  if (Object.keys(errors).length) {
+    res.status(422);
+    res.flashNow('danger', req.t('errors.reviewFields'));
+    return renderEstimateTemplates(req, res, { editing, values: req.body, fieldErrors: templateFieldErrors(errors, req.t) });
+  }
+  updateTemplate(editing.id, template);
+  res.flash('success', req.t('flash.estimateTemplateUpdated', { name: template.name }));
+  res.redirect('/estimates/templates');
+});
+
+app.post('/estimates/templates/:id/delete', ensureAuth, ensureAdmin, (req, res) => {
+  if (deleteTemplate(req.params.id)) {
+    res.flash('success', req.t('flash.estimateTemplateDeleted'));
+  } else {
+    res.flash('warning', req.t('flash.estimateTemplateNotFound'));
+  }
+  res.redirect('/estimates/templates');
+});
+
+// Sugestão de O/M/P pelo histórico (JSON, usada pelo formulário de tarefa)
+app.get('/estimates/suggest', ensureAuth, async (req, res, next) => {
+  try {
+    const risco = typeof req.query.risco === 'string' ? req.query.risco : '';
+    const complexidade = typeof req.query.complexidade === 'string' ? req.query.complexidade : '';
+    res.json({ ok: true, ...(await historySuggestion(requestApi(req), { risco, complexidade })) });
+  } catch (err) {
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
     const status = err.response?.status;
-    const msg = err.response?.data?.[0]?.message || err.response?.data?.message || err.message;
-    res.flash('danger', `Falha ao carregar usuários (${status || 'erro'}): ${msg}`);
-    res.render('users/list', { title: 'Usuários - TaskWise', users: [] });
+    res.status(status || 500).json({ ok: false, status: status || null, error: apiErrorMessage(err, req.t) });
+  }
+});
+
+// Meu trabalho: tarefas do usuário por status, bloqueios sob sua responsabilidade,
+// próximos prazos e o perfil (timezone e preferências)
+async function renderMyWork(req, res, { values = null, fieldErrors = {} } = {}) {
+  const api = requestApi(req);
+  const userId = req.session.user.id;
+  const [work, users] = await Promise.all([
+    loadMyWork(api, userId, { today: todayIn(req.session.tz) }),
+    fetchAvailableUsers(api, req)
+  ]);
+  const prefs = getPreferences(userId);
+  res.render('me/index', {
+    title: req.t('titles.me'),
+    ...work,
+    users,
+    statuses: MY_WORK_STATUSES,
+    profileValues: values || { locale: prefs.locale || '', timezone: prefs.timezone || '' },
+    fieldErrors,
+    timezones: timezoneOptions(),
+    subscription: getSubscription(userId)
+  });
+}
+
+app.get('/me', ensureAuth, async (req, res, next) => {
+  try {
+    await renderMyWork(req, res);
+  } catch (err) {
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.myWorkLoadFailed', err));
+    res.redirect('/dashboard');
+  }
+});
+
+// Preferências do perfil; campos vazios voltam a seguir o navegador
+app.post('/me/profile', ensureAuth, async (req, res, next) => {
+  const userId = req.session.user.id;
+  const locale = req.body.locale ? normalizeLocale(req.body.locale) : null;
+  const timezone = String(req.body.timezone || '').trim();
+  const errors = {};
+  if (req.body.locale && !locale) errors.locale = req.t('me.errors.locale');
+  if (timezone && !isValidTimezone(timezone)) errors.timezone = req.t('me.errors.timezone');
+  if (Object.keys(errors).length) {
+    res.status(422);
+    res.flashNow('danger', req.t('errors.reviewFields'));
+    return renderMyWork(req, res, { values: { locale: req.body.locale || '', timezone }, fieldErrors: errors }).catch(next);
+  }
+  setPreference(userId, 'locale', locale || undefined);
+  setPreference(userId, 'timezone', timezone || undefined);
+  if (locale) req.session.locale = locale;
+  else delete req.session.locale;
+  if (timezone) req.session.tz = timezone;
+  res.flash('success', translatorFor(locale || req.i18n.locale).t('flash.profileSaved'));
+  res.redirect('/me');
+});
+
+app.get('/users', ensureAuth, ensureAdmin, async (req, res, next) => {
+  try {
+    const api = requestApi(req);
+    const users = (await api.get('/users')).data.items || [];
+    res.render('users/list', { title: req.t('titles.users'), users });
+  } catch (err) {
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.usersLoadFailed', err));
+    res.render('users/list', { title: req.t('titles.users'), users: [] });
   }
 });
 
 // Cadastro de usuário
 app.get('/users/new', ensureAuth, ensureAdmin, (req, res) => {
-  res.render('users/new', { title: 'Novo Usuário - TaskWise', actionPath: '/users' });
+  res.render('users/new', { title: req.t('titles.newUser'), actionPath: '/users' });
 });
 
-app.post('/users', ensureAuth, ensureAdmin, async (req, res) => {
+app.post('/users', ensureAuth, ensureAdmin, async (req, res, next) => {
   try {
-    const api = apiClient(req.session.token, req.session.tz);
+    const api = requestApi(req);
     await api.post('/users', { name: req.body.name, email: req.body.email, password: req.body.password });
-    res.flash('success', 'Usuário criado com sucesso');
+    res.flash('success', req.t('flash.userCreated'));
     res.redirect('/users');
   } catch (err) {
-    const status = err.response?.status;
-    const msg = status === 422 ? 'Validação de usuário falhou.' : (err.response?.data?.[0]?.message || err.response?.data?.message || err.message);
-    res.flash('danger', `Falha ao criar usuário (${status || 'erro'}): ${msg}`);
-    res.redirect('/users/new');
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    userCreateFailed(req, res, err, { title: req.t('titles.newUser'), actionPath: '/users', flashKey: 'flash.userCreateFailed' });
+  }
+});
+
+// Tokens de acesso pessoal para a API JSON (/api/v1)
+app.get('/settings/tokens', ensureAuth, (req, res) => {
+  // O token completo é exibido uma única vez, logo após a criação
+  const created = req.session.newAccessToken || null;
+  delete req.session.newAccessToken;
+  const tokens = listAccessTokens(req.session.user.id).map(t => ({
+    ...t,
+    createdAt: req.i18n.formatDate(t.createdAt),
+    lastUsedAt: t.lastUsedAt ? req.i18n.formatDate(t.lastUsedAt) : null
+  }));
+  res.render('settings/tokens', { title: req.t('titles.tokens'), tokens, created });
+});
+
+app.post('/settings/tokens', ensureAuth, (req, res) => {
+  const { token, record } = issueAccessToken({ name: req.body.name, user: req.session.user, apiToken: req.session.token });
+  req.session.newAccessToken = { token, name: record.name };
+  res.flash('success', req.t('flash.tokenCreated', { name: record.name }));
+  res.redirect('/settings/tokens');
+});
+
+app.post('/settings/tokens/:id/revoke', ensureAuth, (req, res) => {
+  if (revokeAccessToken(req.session.user.id, req.params.id)) {
+    res.flash('success', req.t('flash.tokenRevoked'));
+  } else {
+    res.flash('warning', req.t('flash.tokenNotFound'));
+  }
+  res.redirect('/settings/tokens');
+});
+
+// Eventos em tempo real (SSE) das mudanças nas tarefas e no resumo das sprints
+app.get('/events', ensureAuth, (req, res) => {
+  subscribeLiveUpdates(req, res, { sprintId: typeof req.query.sprintId === 'string' ? req.query.sprintId : null });
+});
+
+// Calendário de prazos: tarefas atribuídas ao usuário ou uma sprint, em grade mensal/semanal
+function requestBaseUrl(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+app.get('/calendar', ensureAuth, async (req, res, next) => {
+  const view = CALENDAR_VIEWS.includes(req.query.view) ? req.query.view : 'month';
+  const today = todayIn(req.session.tz);
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(req.query.date || '') && dayjs(req.query.date).isValid() ? req.query.date : today;
+  const sprintId = req.query.sprintId || '';
+  try {
+    const api = requestApi(req);
+    const [sprints, calendar] = await Promise.all([
+      api.get('/sprints').then(r => r.data.items || []),
+      sprintId ? sprintCalendar(api, sprintId) : userCalendar(api, req.session.user.id).then(entries => ({ sprint: null, entries }))
+    ]);
+    const grid = calendarGrid(view, dayjs(date));
+    // O link completo do feed é exibido uma única vez, logo após a criação
+    const created = req.session.newCalendarFeed || null;
+    delete req.session.newCalendarFeed;
+    const feeds = listCalendarFeeds(req.session.user.id).map(f => ({
+      ...f,
+      createdAt: req.i18n.formatDate(f.createdAt),
+      lastUsedAt: f.lastUsedAt ? req.i18n.formatDate(f.lastUsedAt) : null
+    }));
+    res.render('calendar/index', {
+      // Sem a conta de serviço os links dependem do token desta sessão e expiram com ele
+      sessionBoundFeeds: !isServiceAccountConfigured(),
+      title: req.t('titles.calendar'),
+      grid,
+      days: entriesByDay(calendar.entries, grid),
+      today,
+      sprint: calendar.sprint,
+      sprints,
+      sprintId,
+      feeds,
+      created: created && { ...created, url: `${requestBaseUrl(req)}${created.path}` }
+    });
+  } catch (err) {
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.calendarLoadFailed', err));
+    res.redirect(sprintId ? '/calendar' : '/dashboard');
+  }
+});
+
+app.post('/calendar/feeds', ensureAuth, async (req, res, next) => {
+  const sprintId = req.body.sprintId || '';
+  try {
+    const sprint = sprintId ? (await requestApi(req).get(`/sprints/${sprintId}`)).data : null;
+    const { secret, record } = issueCalendarFeed({
+      kind: sprint ? 'sprint' : 'user',
+      sprint,
+      user: req.session.user,
+      apiToken: req.session.token,
+      tz: req.session.tz
+    });
+    req.session.newCalendarFeed = { path: `/calendar/feeds/${record.id}/${secret}.ics`, name: sprint ? sprint.name : req.session.user.name };
+    res.flash('success', req.t('flash.calendarFeedCreated'));
+  } catch (err) {
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.calendarFeedFailed', err));
+  }
+  res.redirect(`/calendar${sprintId ? `?sprintId=${encodeURIComponent(sprintId)}` : ''}`);
+});
+
+// Novo link para o mesmo feed, com o token da sessão atual (o link anterior deixa de valer)
+app.post('/calendar/feeds/:id/renew', ensureAuth, (req, res) => {
+  const renewed = renewCalendarFeed(req.session.user.id, req.params.id, { apiToken: req.session.token, tz: req.session.tz });
+  if (renewed) {
+    const { secret, record } = renewed;
+    req.session.newCalendarFeed = {
+      path: `/calendar/feeds/${record.id}/${secret}.ics`,
+      name: record.kind === 'sprint' ? record.sprintName : req.session.user.name
+    };
+    res.flash('success', req.t('flash.calendarFeedRenewed'));
+  } else {
+    res.flash('warning', req.t('flash.calendarFeedNotFound'));
+  }
+  res.redirect('/calendar');
+});
+
+app.post('/calendar/feeds/:id/revoke', ensureAuth, (req, res) => {
+  if (revokeCalendarFeed(req.session.user.id, req.params.id)) {
+    res.flash('success', req.t('flash.calendarFeedRevoked'));
+  } else {
+    res.flash('warning', req.t('flash.calendarFeedNotFound'));
   }
+  res.redirect('/calendar');
 });
 
+// Feed .ics assinado pelo segredo da URL (clientes de calendário não mantêm sessão).
+// Lido pela conta de serviço quando configurada; senão, com o token vinculado ao feed
+async function loadFeedCalendar(api, feed) {
+  return feed.kind === 'sprint'
+    ? sprintCalendar(api, feed.sprintId)
+    : { sprint: null, entries: await userCalendar(api, feed.user.id) };
+}
+
+app.get('/calendar/feeds/:id/:secret.ics', async (req, res) => {
+  const feed = resolveCalendarFeed(req.params.id, req.params.secret);
+  if (!feed) return res.status(404).type('text/plain').send(req.t('calendar.feedErrors.notFound'));
+  const i18n = translatorFor(getPreferences(feed.user.id).locale);
+  const byService = isServiceAccountConfigured();
+  try {
+    const { sprint, entries } = byService
+      ? await withServiceApi(api => loadFeedCalendar(api, feed), feed.tz)
+      : await loadFeedCalendar(scopedApi(feed.apiToken, feed.tz), feed);
+    const name = sprint ? i18n.t('calendar.feedNameSprint', { name: sprint.name }) : i18n.t('calendar.feedNameUser', { name: feed.user.name });
+    res.type('text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(toIcs(entries, { name, tz: feed.tz, baseUrl: requestBaseUrl(req), i18n }));
+  } catch (err) {
+    // O token da API vinculado ao feed expirou: o usuário precisa renovar o link em /calendar
+    if (isSessionExpired(err) && !byService) {
+      markCalendarFeedExpired(feed.id);
+      return res.status(410).type('text/plain').send(i18n.t('calendar.feedErrors.expired'));
+    }
+    if (isApiUnavailable(err)) return res.status(503).set('Retry-After', '60').type('text/plain').send(i18n.t('calendar.feedErrors.unavailable'));
+    const status = err.response?.status === 404 ? 404 : 502;
+    res.status(status).type('text/plain').send(i18n.t(status === 404 ? 'calendar.feedErrors.sprintNotFound' : 'calendar.feedErrors.failed'));
+  }
+});
+
+// Roadmap: linha do tempo das sprints e tarefas em SVG, com zoom por semana ou mês
+function roadmapOptions(query) {
+  return {
+    zoom: ROADMAP_ZOOMS.includes(query.zoom) ? query.zoom : 'week',
+    showTasks: query.tasks !== '0'
+  };
+}
+
+app.get('/roadmap', ensureAuth, async (req, res, next) => {
+  const { zoom, showTasks } = roadmapOptions(req.query);
+  try {
+    const roadmap = await loadRoadmap(requestApi(req), { today: todayIn(req.session.tz) });
+    res.render('roadmap/index', {
+      title: req.t('titles.roadmap'),
+      zoom,
+      showTasks,
+      roadmap,
+      svg: roadmapSvg(roadmap, { zoom, showTasks, i18n: req.i18n })
+    });
+  } catch (err) {
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.roadmapLoadFailed', err));
+    res.redirect('/sprints');
+  }
+});
+
+// Arquivo SVG para download; os links apontam para o endereço completo da aplicação
+app.get('/roadmap.svg', ensureAuth, async (req, res, next) => {
+  const { zoom, showTasks } = roadmapOptions(req.query);
+  try {
+    const roadmap = await loadRoadmap(requestApi(req), { today: todayIn(req.session.tz) });
+    const svg = roadmapSvg(roadmap, { zoom, showTasks, linkBase: requestBaseUrl(req), i18n: req.i18n });
+    res.attachment(`roadmap-${roadmap.today.format('YYYYMMDD')}-${zoom}.svg`);
+    res.type('image/svg+xml; charset=utf-8');
+    res.send(`<?xml version="1.0" encoding="UTF-8"?>\n${svg}`);
+  } catch (err) {
+    if (isApiUnavailable(err) || isSessionExpired(err)) return next(err);
+    res.flash('danger', failureMessage(req.t, 'flash.roadmapLoadFailed', err));
+    res.redirect('/roadmap');
+  }
+});
+
+// Assinatura de notificações (e-mail e webhook pessoais) por evento
+function renderNotificationSettings(req, res, subscription, fieldErrors = {}) {
+  const deliveries = recentDeliveries(req.session.user.id).map(d => ({
+    ...d,
+    createdAt: req.i18n.formatDate(d.createdAt),
+    lastAttemptAt: d.lastAttemptAt ? req.i18n.formatDate(d.lastAttemptAt) : null
+  }));
+  res.render('settings/notifications', {
+    title: req.t('titles.notifications'),
+    subscription,
+    eventTypes: EVENT_TYPES,
+    webhookFormats: WEBHOOK_FORMATS,
+    emailEnabled: emailEnabled(),
+    teamWebhooks: config.notifications.webhooks.length,
+    deliveries,
+    fieldErrors
+  });
+}
+
+app.get('/settings/notifications', ensureAuth, (req, res) => {
+  renderNotificationSettings(req, res, getSubscription(req.session.user.id));
+});
+
+app.post('/settings/notifications', ensureAuth, (req, res) => {
+  const error = saveSubscription(req.session.user, req.body);
+  if (error) {
+    res.status(422);
+    res.flashNow('danger', req.t('errors.reviewFields'));
+    return renderNotificationSettings(req, res, {
+      ...getSubscription(req.session.user.id),
+      events: [].concat(req.body.events || []),
+      email: req.body.email === 'on',
+      onlyMine: req.body.onlyMine === 'on',
+      webhookUrl: req.body.webhookUrl || '',
+      webhookFormat: req.body.webhookFormat
+    }, { webhookUrl: req.t(`notifications.errors.${error}`) });
+  }
+  res.flash('success', req.t('flash.notificationsSaved'));
+  res.redirect('/settings/notifications');
+});
+
+app.post('/settings/notifications/test', ensureAuth, (req, res) => {
+  if (notifyTest(req.session.user)) {
+    res.flash('success', req.t('flash.notificationTestQueued'));
+  } else {
+    res.flash('warning', req.t('flash.notificationNoChannel'));
+  }
+  res.redirect('/settings/notifications');
+});
+
+// Trilha de auditoria (Admin): alterações feitas pela aplicação, com filtros e exportação CSV
+const AUDIT_PAGE_SIZE = 50;
+
+function auditFilters(query) {
+  const text = key => (typeof query[key] === 'string' && query[key].trim()) || undefined;
+  const day = key => (/^\d{4}-\d{2}-\d{2}$/.test(query[key] || '') ? query[key] : undefined);
+  return {
+    action: AUDIT_ACTIONS.includes(query.action) ? query.action : undefined,
+    entity: AUDIT_ENTITIES.includes(query.entity) ? query.entity : undefined,
+    actorId: text('actorId'),
+    entityId: text('entityId'),
+    from: day('from'),
+    to: day('to')
+  };
+}
+
+app.get('/audit', ensureAuth, ensureAdmin, (req, res) => {
+  const filters = auditFilters(req.query);
+  const entries = queryAudit(filters);
+  const totalPages = Math.max(1, Math.ceil(entries.length / AUDIT_PAGE_SIZE));
+  const page = Math.min(totalPages, Math.max(1, parseInt(req.query.page, 10) || 1));
+  const items = entries
+    .slice((page - 1) * AUDIT_PAGE_SIZE, page * AUDIT_PAGE_SIZE)
+    .map(entry => ({ ...entry, changes: changedFields(entry) }));
+  const filterQuery = new URLSearchParams(Object.entries(filters).filter(([, v]) => v)).toString();
+  res.render('audit/list', {
+    title: req.t('titles.audit'),
+    filters,
+    filterQuery,
+    items,
+    total: entries.length,
+    page,
+    totalPages,
+    actors: auditActors(),
+    actions: AUDIT_ACTIONS,
+    entities: AUDIT_ENTITIES
+  });
+});
+
+app.get('/audit/export.csv', ensureAuth, ensureAdmin, (req, res) => {
+  const entries = queryAudit(auditFilters(req.query));
+  res.attachment(`auditoria-${dayjs().format('YYYYMMDD-HHmm')}.csv`);
+  res.type('text/csv; charset=utf-8');
+  res.send(auditCsv(entries, req.t));
+});
+
+// Falhas de indisponibilidade da API e token expirado encaminhados pelas rotas
+app.use(apiUnavailableHandler);
+app.use(sessionExpiredHandler);
+
 // Porta
-const PORT = process.env.PORT || 4000;
+const PORT = config.port;
 app.listen(PORT, () => {
   // eslint-disable-next-line no-console
   console.log(`TaskWise Web ouvindo em http://localhost:${PORT}`);
+  startSnapshotRecorder();
+  startNotificationWorker();
+  startNotificationScanner();
+  startLivePoller();
 });
 
 module.exports = app;
@@ -0,0 +1,124 @@
+'use strict';
+
+const path = require('path');
+
+// Configuração centralizada da aplicação web, lida de variáveis de ambiente.
+// Valores padrão mantêm o comportamento de desenvolvimento local (API em :3000).
+
+function intFromEnv(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : fallback;
+}
+
+const config = {
+  port: intFromEnv('PORT', 4000),
+  // Diretório dos dados locais da aplicação web (snapshots, preferências etc.)
+  dataDir: path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data')),
+  session: {
+    // Segredo dos cookies de sessão; vazio gera um segredo persistido em DATA_DIR
+    secret: process.env.SESSION_SECRET || '',
+    // Encerra a sessão após este tempo sem requisições (renovado a cada acesso)
+    idleTimeoutMs: intFromEnv('SESSION_IDLE_TIMEOUT_MS', 30 * 60 * 1000),
+    // Tempo máximo desde o login, independentemente de atividade
+    absoluteTimeoutMs: intFromEnv('SESSION_ABSOLUTE_TIMEOUT_MS', 12 * 60 * 60 * 1000),
+    // Cookie apenas via HTTPS (habilite atrás de TLS)
+    secureCookie: process.env.SESSION_COOKIE_SECURE === '1'
+  },
+  // Confiar no X-Forwarded-* do proxy reverso (IP real no rate limit, HTTPS no cookie seguro)
+  trustProxy: process.env.TRUST_PROXY === '1',
+  rateLimit: {
+    login: {
+      // Falhas de login por e-mail e por IP dentro da janela antes do bloqueio
+      maxPerEmail: intFromEnv('LOGIN_MAX_ATTEMPTS_PER_EMAIL', 5),
+      maxPerIp: intFromEnv('LOGIN_MAX_ATTEMPTS_PER_IP', 20),
+      windowMs: intFromEnv('LOGIN_WINDOW_MS', 15 * 60 * 1000),
+      lockoutMs: intFromEnv('LOGIN_LOCKOUT_MS', 15 * 60 * 1000)
+    },
+    signup: {
+      // Cadastros por IP dentro da janela
+      maxPerIp: intFromEnv('SIGNUP_MAX_PER_IP', 5),
+      windowMs: intFromEnv('SIGNUP_WINDOW_MS', 60 * 60 * 1000)
+    }
+  },
+  // Conta de serviço usada por tarefas em segundo plano (ex.: snapshots periódicos)
+  serviceAccount: {
+    email: process.env.SERVICE_ACCOUNT_EMAIL || '',
+    password: process.env.SERVICE_ACCOUNT_PASSWORD || ''
+  },
+  // Duração padrão (dias úteis) da janela da sprint no planejamento de capacidade
+  sprintWindowDays: intFromEnv('SPRINT_WINDOW_DAYS', 10),
+  snapshots: {
+    // Intervalo da gravação periódica (0 desativa; depende da conta de serviço)
+    intervalMs: intFromEnv('SNAPSHOT_INTERVAL_MS', 60 * 60 * 1000)
+  },
+  notifications: {
+    // Endereço público da aplicação, para os links nas mensagens
+    baseUrl: (process.env.APP_BASE_URL || `http://localhost:${intFromEnv('PORT', 4000)}`).replace(/\/+$/, ''),
+    // Webhooks da equipe, separados por vírgula, que recebem todos os eventos.
+    // Prefixo "slack:" envia no formato de Incoming Webhook do Slack; sem prefixo, JSON genérico
+    webhooks: (process.env.NOTIFY_WEBHOOKS || '').split(',').map(s => s.trim()).filter(Boolean),
+    // Hosts aceitos nos webhooks pessoais (ex.: hooks.slack.com), separados por vírgula;
+    // vazio aceita qualquer host público. Endereços internos são sempre recusados
+    webhookAllowedHosts: (process.env.NOTIFY_WEBHOOK_ALLOWED_HOSTS || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean),
+    // Varredura periódica do dashboard (0 desativa; depende da conta de serviço)
+    scanIntervalMs: intFromEnv('NOTIFY_SCAN_INTERVAL_MS', 15 * 60 * 1000),
+    // Idade (dias) a partir da qual um bloqueio gera alerta
+    blockAgeDays: intFromEnv('NOTIFY_BLOCK_AGE_DAYS', 2),
+    // Novas tentativas de entrega com backoff exponencial a partir de retryBaseMs
+    maxAttempts: intFromEnv('NOTIFY_MAX_ATTEMPTS', 5),
+    retryBaseMs: intFromEnv('NOTIFY_RETRY_BASE_MS', 60 * 1000),
+    webhookTimeoutMs: intFromEnv('NOTIFY_WEBHOOK_TIMEOUT_MS', 5000)
+  },
+  blocks: {
+    // SLA dos bloqueios (dias desde o bloqueio): a partir de warningDays o item é
+    // destacado; a partir de breachDays, o SLA está estourado
+    slaWarningDays: intFromEnv('BLOCK_SLA_WARNING_DAYS', 2),
+    slaBreachDays: intFromEnv('BLOCK_SLA_BREACH_DAYS', 5)
+  },
+  live: {
+    // Verificação periódica de mudanças feitas fora da aplicação (0 desativa; depende da conta de serviço)
+    pollIntervalMs: intFromEnv('LIVE_POLL_INTERVAL_MS', 15 * 1000),
+    // Comentário enviado periodicamente para manter a conexão SSE aberta em proxies
+    heartbeatMs: intFromEnv('LIVE_HEARTBEAT_MS', 25 * 1000),
+    // Espera sugerida ao navegador antes de reconectar
+    retryMs: intFromEnv('LIVE_RETRY_MS', 5000)
+  },
+  smtp: {
+    // Sem SMTP_HOST o canal de e-mail fica desativado
+    host: process.env.SMTP_HOST || '',
+    port: intFromEnv('SMTP_PORT', 587),
+    // TLS implícito (porta 465); caso contrário STARTTLS, obrigatório quando há SMTP_USER
+    secure: process.env.SMTP_SECURE === '1',
+    user: process.env.SMTP_USER || '',
+    password: process.env.SMTP_PASSWORD || '',
+    from: process.env.SMTP_FROM || 'taskwise@localhost'
+  },
+  api: {
+    baseURL: (process.env.API_BASE_URL || 'http://localhost:3000').replace(/\/+$/, ''),
+    // Tempo máximo (ms) de cada requisição à API antes de abortar
+    timeoutMs: intFromEnv('API_TIMEOUT_MS', 10000),
+    cache: {
+      // TTL (ms) do cache compartilhado de sprints e usuários disponíveis (0 desativa)
+      ttlMs: intFromEnv('API_CACHE_TTL_MS', 15000)
+    },
+    // Registra no log as chamadas à API de cada requisição (tempo, cache, paralelismo)
+    timingLog: process.env.API_TIMING_LOG === '1',
+    retry: {
+      // Número de novas tentativas para requisições idempotentes (GET/HEAD/OPTIONS)
+      retries: intFromEnv('API_RETRIES', 2),
+      // Atraso base do backoff exponencial (ms): base, base*2, base*4...
+      baseDelayMs: intFromEnv('API_RETRY_BASE_DELAY_MS', 200),
+      maxDelayMs: intFromEnv('API_RETRY_MAX_DELAY_MS', 2000)
+    },
+    circuitBreaker: {
+      // Falhas consecutivas de indisponibilidade até abrir o circuito
+      failureThreshold: intFromEnv('API_BREAKER_THRESHOLD', 5),
+      // Tempo (ms) com o circuito aberto antes de permitir uma tentativa
+      resetTimeoutMs: intFromEnv('API_BREAKER_RESET_MS', 30000)
+    }
+  }
+};
+
+module.exports = { config, intFromEnv };
@@ -0,0 +1,102 @@
+'use strict';
+
+const crypto = require('crypto');
+const { jsonStore } = require('./jsonStore');
+
+// Tokens de acesso pessoal da API JSON (/api/v1). O token tem o formato
+// "twp_<id>.<segredo>": guardamos apenas o hash do segredo e o token da API
+// TaskWise do usuário cifrado com uma chave derivada do próprio segredo, de modo
+// que o arquivo local sozinho não permite agir em nome de ninguém.
+const PREFIX = 'twp_';
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const store = jsonStore('access-tokens.json', { tokens: [] }, { mode: 0o600 });
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+// purpose separa as chaves de cada tipo de credencial (tokens da API, feeds de calendário)
+function keyFor(secret, id, purpose = 'pat') {
+  return Buffer.from(crypto.hkdfSync('sha256', Buffer.from(secret, 'base64url'), Buffer.from(id), `taskwise-web:${purpose}`, 32));
+}
+
+function encrypt(plain, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+  return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+function decrypt(box, key) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(box.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(box.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(box.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// Token da API TaskWise guardado cifrado com a chave derivada do segredo entregue ao usuário
+function sealApiToken(apiToken, secret, id, purpose) {
+  return encrypt(apiToken, keyFor(secret, id, purpose));
+}
+
+// null se o segredo não confere com o registro
+function openApiToken(record, secret, purpose) {
+  if (!crypto.timingSafeEqual(sha256(secret), Buffer.from(record.secretHash, 'hex'))) return null;
+  try {
+    return decrypt(record.apiToken, keyFor(secret, record.id, purpose));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Dados exibidos na tela de tokens (nunca o segredo nem o token da API)
+function publicView(record) {
+  const { id, name, createdAt, lastUsedAt } = record;
+  return { id, name, createdAt, lastUsedAt };
+}
+
+function issueAccessToken({ name, user, apiToken }) {
+  const id = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const record = {
+    id,
+    name: String(name || '').trim() || 'Token sem nome',
+    user: { id: user.id, name: user.name, email: user.email, role: user.role },
+    secretHash: sha256(secret).toString('hex'),
+    apiToken: sealApiToken(apiToken, secret, id),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null
+  };
+  store.update((data) => { data.tokens.push(record); });
+  return { token: `${PREFIX}${id}.${secret}`, record: publicView(record) };
+}
+
+// Resolve o token apresentado no Authorization: Bearer; null se inválido ou revogado
+function resolveAccessToken(token) {
+  if (typeof token !== 'string' || !token.startsWith(PREFIX)) return null;
+  const [id, secret] = token.slice(PREFIX.length).split('.');
+  if (!id || !secret) return null;
+  const record = store.read().tokens.find(t => t.id === id);
+  if (!record) return null;
+  const apiToken = openApiToken(record, secret);
+  if (!apiToken) return null;
+  const now = Date.now();
+  if (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) > TOUCH_INTERVAL_MS) {
+    store.update(() => { record.lastUsedAt = new Date(now).toISOString(); });
+  }
+  return { id: record.id, user: record.user, apiToken };
+}
+
+function listAccessTokens(userId) {
+  return store.read().tokens.filter(t => t.user.id === userId).map(publicView);
+}
+
+function revokeAccessToken(userId, id) {
+  return store.update((data) => {
+    const before = data.tokens.length;
+    data.tokens = data.tokens.filter(t => !(t.id === id && t.user.id === userId));
+    return data.tokens.length !== before;
+  });
+}
+
+module.exports = { issueAccessToken, resolveAccessToken, listAccessTokens, revokeAccessToken, sealApiToken, openApiToken, sha256 };
@@ -1,10 +1,100 @@
 'use strict';
 
 const axios = require('axios');
+const { config } = require('../config');
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options'];
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE'];
+const UNAVAILABLE_STATUSES = [502, 503, 504];
+
+// Erro lançado quando o circuito está aberto (API considerada indisponível)
+class ApiUnavailableError extends Error {
+  constructor(message) {
+    super(message || 'API TaskWise indisponível');
+    this.name = 'ApiUnavailableError';
+    this.code = 'EAPIUNAVAILABLE';
+  }
+}
+
+// Indica se o erro representa indisponibilidade da API (rede, timeout, 502/503/504 ou circuito aberto)
+function isApiUnavailable(err) {
+  if (!err) return false;
+  if (err instanceof ApiUnavailableError) return true;
+  if (err.response) return UNAVAILABLE_STATUSES.includes(err.response.status);
+  return NETWORK_ERROR_CODES.includes(err.code);
+}
+
+// Token da API recusado (expirado ou inválido): a sessão do usuário precisa ser refeita
+function isSessionExpired(err) {
+  return err?.response?.status === 401;
+}
+
+// Circuit breaker compartilhado por baseURL: após N falhas consecutivas de
+// indisponibilidade, as requisições falham imediatamente até resetTimeoutMs;
+// então uma única requisição de teste é liberada (half-open).
+const breakers = new Map();
+
+function getBreaker(baseURL) {
+  if (!breakers.has(baseURL)) {
+    breakers.set(baseURL, { state: 'closed', failures: 0, openedAt: 0, probing: false });
+  }
+  return breakers.get(baseURL);
+}
+
+function breakerAllows(breaker) {
+  const { resetTimeoutMs } = config.api.circuitBreaker;
+  if (breaker.state === 'closed') return true;
+  if (breaker.state === 'open' && Date.now() - breaker.openedAt >= resetTimeoutMs) {
+    breaker.state = 'half-open';
+    breaker.probing = false;
+  }
+  if (breaker.state === 'half-open' && !breaker.probing) {
+    breaker.probing = true;
+    return true;
+  }
+  return false;
+}
+
+function recordSuccess(breaker) {
+  breaker.state = 'closed';
+  breaker.failures = 0;
+  breaker.probing = false;
+}
+
+function recordFailure(breaker) {
+  const { failureThreshold } = config.api.circuitBreaker;
+  breaker.failures += 1;
+  breaker.probing = false;
+  if (breaker.state === 'half-open' || (failureThreshold > 0 && breaker.failures >= failureThreshold)) {
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+}
+
+// Estado atual do circuito (usado pelo middleware para falhar rápido)
+function isCircuitOpen(baseURL = config.api.baseURL) {
+  const breaker = breakers.get(baseURL);
+  if (!breaker || breaker.state === 'closed') return false;
+  return breaker.state === 'open' && Date.now() - breaker.openedAt < config.api.circuitBreaker.resetTimeoutMs;
+}
+
+function retryDelay(attempt) {
+  const { baseDelayMs, maxDelayMs } = config.api.retry;
+  const exp = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  // Jitter de até 20% para evitar rajadas sincronizadas
+  return Math.round(exp * (0.8 + Math.random() * 0.2));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
 function apiClient(token, timezone) {
+  const { baseURL } = config.api;
+  const breaker = getBreaker(baseURL);
   const instance = axios.create({
-    baseURL: 'http://localhost:3000',
+    baseURL,
+    timeout: config.api.timeoutMs,
     headers: token ? { Authorization: `Bearer ${token}` } : {}
   });
   // Interceptor para inserir X-Timezone em todas as requisições
@@ -14,9 +104,42 @@ function apiClient(token, timezone) {
     config.headers['X-Timezone'] = tz;
     return config;
   });
+  // Circuit breaker: falha rápido enquanto o circuito estiver aberto
+  instance.interceptors.request.use((reqConfig) => {
+    if (!breakerAllows(breaker)) {
+      return Promise.reject(new ApiUnavailableError());
+    }
+    return reqConfig;
+  });
+  // Retry com backoff para requisições idempotentes e registro no circuit breaker
+  instance.interceptors.response.use(
+    (response) => {
+      recordSuccess(breaker);
+      return response;
+    },
+    async (err) => {
+      if (err instanceof ApiUnavailableError) throw err;
+      if (!isApiUnavailable(err)) {
+        // A API respondeu (4xx/5xx de negócio): está disponível. Sem resposta (ex.:
+        // requisição cancelada) conta como falha, o que também libera a próxima
+        // tentativa de teste quando o circuito está half-open
+        if (err.response) recordSuccess(breaker);
+        else recordFailure(breaker);
+        throw err;
+      }
+      recordFailure(breaker);
+      const reqConfig = err.config;
+      const method = (reqConfig?.method || '').toLowerCase();
+      const attempt = reqConfig?.__retryCount || 0;
+      if (!reqConfig || !IDEMPOTENT_METHODS.includes(method) || attempt >= config.api.retry.retries) {
+        throw err;
+      }
+      reqConfig.__retryCount = attempt + 1;
+      await sleep(retryDelay(attempt));
+      return instance.request(reqConfig);
+    }
+  );
   return instance;
 }
 
-module.exports = { apiClient };
-
-
+module.exports = { apiClient, ApiUnavailableError, isApiUnavailable, isSessionExpired, isCircuitOpen };
@@ -0,0 +1,46 @@
+'use strict';
+
+// Tradução dos erros da API (ErrorArray: [{ code, field, message }]) para a interface:
+// mensagem geral do flash, com mapeamento por status HTTP de cada rota, e erros por
+// campo para reexibir os formulários.
+
+function apiErrorItems(err) {
+  const data = err?.response?.data;
+  if (Array.isArray(data)) return data.filter(item => item && typeof item === 'object');
+  if (data && typeof data === 'object' && (data.message || data.code)) return [data];
+  return [];
+}
+
+// Mensagem original da API ou, sem resposta, do próprio erro
+function apiMessage(err) {
+  return apiErrorItems(err)[0]?.message || err?.response?.data?.message || err?.message;
+}
+
+// byStatus: { 422: 'errors.pertOrData', ... } — chaves do catálogo, interpoladas com {msg}
+function apiErrorMessage(err, t, byStatus = {}) {
+  const msg = apiMessage(err);
+  const key = byStatus[err?.response?.status];
+  return key ? t(key, { msg }) : msg;
+}
+
+// Texto do flash "Falha ao ... ({status}): {msg}"
+function failureMessage(t, key, err, byStatus) {
+  const status = err?.response?.status;
+  return t(key, { status: status || t('common.error'), msg: apiErrorMessage(err, t, byStatus) });
+}
+
+// Erros por campo ({ 'phases.execucao': 'mensagem' }) a partir de um erro da API ou de
+// itens no mesmo formato; o code é traduzido por fieldErrors.<CODE> quando o catálogo o conhece
+function fieldErrors(source, t) {
+  const items = Array.isArray(source) ? source : apiErrorItems(source);
+  const out = {};
+  for (const { code, field, message } of items) {
+    if (!field || out[field]) continue;
+    const key = `fieldErrors.${code}`;
+    const translated = code ? t(key) : key;
+    out[field] = translated !== key ? translated : (message || t('common.unknownError'));
+  }
+  return out;
+}
+
+module.exports = { apiErrorItems, apiMessage, apiErrorMessage, failureMessage, fieldErrors };
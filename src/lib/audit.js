@@ -0,0 +1,148 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('../config');
+const { toCsv } = require('./csv');
+
+// Trilha de auditoria das alterações feitas pela aplicação web. Cada escrita na API
+// reconhecida abaixo vira uma linha JSON em DATA_DIR/audit.log, aberto somente para
+// acréscimo: quem fez (usuário da sessão ou do token), quando, por qual rota e o
+// estado da entidade antes e depois.
+const AUDIT_FILE = path.join(config.dataDir, 'audit.log');
+
+// Escritas auditadas: o grupo capturado é o id da entidade (antes da alteração)
+const AUDITED_WRITES = [
+  { method: 'post', pattern: /^\/tasks$/, action: 'task.create', entity: 'task' },
+  { method: 'put', pattern: /^\/tasks\/([^/]+)$/, action: 'task.update', entity: 'task' },
+  { method: 'delete', pattern: /^\/tasks\/([^/]+)$/, action: 'task.delete', entity: 'task' },
+  { method: 'patch', pattern: /^\/tasks\/([^/]+)\/status$/, action: 'task.status', entity: 'task' },
+  { method: 'patch', pattern: /^\/tasks\/([^/]+)\/assign\/[^/]+$/, action: 'task.assign', entity: 'task' },
+  { method: 'post', pattern: /^\/sprints$/, action: 'sprint.create', entity: 'sprint' },
+  { method: 'patch', pattern: /^\/sprints\/([^/]+)\/start$/, action: 'sprint.start', entity: 'sprint' },
+  { method: 'patch', pattern: /^\/sprints\/([^/]+)\/close$/, action: 'sprint.close', entity: 'sprint' },
+  { method: 'patch', pattern: /^\/sprints\/([^/]+)\/tasks$/, action: 'sprint.addTasks', entity: 'sprint' },
+  { method: 'patch', pattern: /^\/sprints\/([^/]+)\/tasks\/remove$/, action: 'sprint.removeTasks', entity: 'sprint' },
+  { method: 'patch', pattern: /^\/sprints\/([^/]+)\/capacity$/, action: 'sprint.capacity', entity: 'sprint' },
+  { method: 'post', pattern: /^\/users$/, action: 'user.create', entity: 'user' }
+];
+const ACTIONS = AUDITED_WRITES.map(w => w.action);
+const ENTITIES = [...new Set(AUDITED_WRITES.map(w => w.entity))];
+
+// Identifica a escrita; snapshotUrl é de onde ler o estado anterior (null em criações)
+function auditedWrite(method, url) {
+  for (const write of AUDITED_WRITES) {
+    const match = write.method === method && write.pattern.exec(url);
+    if (!match) continue;
+    const entityId = match[1] ? decodeURIComponent(match[1]) : null;
+    return { ...write, entityId, snapshotUrl: match[1] ? `/${write.entity}s/${match[1]}` : null };
+  }
+  return null;
+}
+
+function actorOf(user) {
+  if (!user) return null;
+  const { id, name, email, role } = user;
+  return { id, name, email, role };
+}
+
+// Acrescenta a entrada ao log; falhas de gravação não desfazem a alteração já feita na API
+function recordAudit({ actor, action, entity, entityId, before = null, after = null, via, route }) {
+  const entry = {
+    id: crypto.randomBytes(8).toString('hex'),
+    at: new Date().toISOString(),
+    actor: actorOf(actor),
+    action,
+    entity,
+    entityId: entityId || after?.id || before?.id || null,
+    via,
+    route: route || null,
+    before,
+    after
+  };
+  try {
+    fs.mkdirSync(path.dirname(AUDIT_FILE), { recursive: true });
+    fs.appendFileSync(AUDIT_FILE, `${JSON.stringify(entry)}\n`);
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.error(`Falha ao gravar a auditoria em ${AUDIT_FILE}:`, e.message, JSON.stringify(entry));
+  }
+  return entry;
+}
+
+function readEntries() {
+  let text;
+  try {
+    text = fs.readFileSync(AUDIT_FILE, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const entries = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      // Linha truncada (ex.: queda durante a gravação): ignorada na leitura
+    }
+  }
+  return entries;
+}
+
+// Entradas mais recentes primeiro, filtradas por ação, entidade, usuário, id e período (YYYY-MM-DD)
+function queryAudit({ action, entity, actorId, entityId, from, to } = {}) {
+  const fromTs = from ? Date.parse(`${from}T00:00:00`) : null;
+  const toTs = to ? Date.parse(`${to}T23:59:59.999`) : null;
+  return readEntries()
+    .filter((e) => {
+      const at = Date.parse(e.at);
+      return (!action || e.action === action) &&
+        (!entity || e.entity === entity) &&
+        (!actorId || e.actor?.id === actorId) &&
+        (!entityId || e.entityId === entityId) &&
+        (!fromTs || at >= fromTs) &&
+        (!toTs || at <= toTs);
+    })
+    .reverse();
+}
+
+// Autores presentes no log, para o filtro da página
+function auditActors() {
+  const byId = new Map();
+  for (const e of readEntries()) if (e.actor) byId.set(e.actor.id, e.actor);
+  return [...byId.values()].sort((a, b) => String(a.name).localeCompare(String(b.name)));
+}
+
+// Campos de primeiro nível que mudaram entre before e after
+function changedFields(entry) {
+  const before = entry.before || {};
+  const after = entry.after || {};
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(k => k !== 'updatedAt');
+  return keys
+    .filter(k => JSON.stringify(before[k]) !== JSON.stringify(after[k]))
+    .map(k => ({ field: k, before: before[k], after: after[k] }));
+}
+
+// CSV com um registro por entrada; t traduz cabeçalhos e nomes das ações
+function auditCsv(entries, t) {
+  const columns = ['at', 'actor', 'email', 'action', 'entity', 'entityId', 'via', 'route', 'changes', 'before', 'after']
+    .map(key => ({ key, header: t(`audit.csv.${key}`) }));
+  const records = entries.map(e => ({
+    at: e.at,
+    actor: e.actor?.name || t('audit.anonymous'),
+    email: e.actor?.email || '',
+    action: t(`audit.actions.${e.action}`),
+    entity: e.entity,
+    entityId: e.entityId,
+    via: e.via,
+    route: e.route,
+    changes: changedFields(e).map(c => c.field).join(', '),
+    before: e.before ? JSON.stringify(e.before) : '',
+    after: e.after ? JSON.stringify(e.after) : ''
+  }));
+  return toCsv(columns, records);
+}
+
+module.exports = { AUDIT_FILE, ACTIONS, ENTITIES, auditedWrite, recordAudit, queryAudit, auditActors, changedFields, auditCsv };
@@ -0,0 +1,166 @@
+'use strict';
+
+const { jsonStore } = require('./jsonStore');
+const { notify } = require('./notifications');
+const { config } = require('../config');
+
+// Tarefas bloqueadas das sprints iniciadas. A tarefa da API não traz os dados do
+// bloqueio: motivo, responsável e idade vêm das bloqueadas do /dashboard/summary.
+// Desbloqueios (com nota de resolução e o status de retorno) e escalonamentos (troca
+// do responsável pelo bloqueio) ficam registrados no histórico local.
+const RETURN_STATUSES = ['Em Andamento', 'Backlog', 'Concluída'];
+const SLA_LEVELS = ['ok', 'warning', 'breached'];
+const MAX_NOTE_LENGTH = 500;
+const MAX_HISTORY = 500;
+
+const store = jsonStore('block-history.json', { entries: [] });
+
+function slaLevel(days) {
+  const { slaWarningDays, slaBreachDays } = config.blocks;
+  if (slaBreachDays && days >= slaBreachDays) return 'breached';
+  if (slaWarningDays && days >= slaWarningDays) return 'warning';
+  return 'ok';
+}
+
+function record(entry) {
+  store.update((data) => {
+    data.entries.push({ ...entry, at: new Date().toISOString() });
+    if (data.entries.length > MAX_HISTORY) data.entries.splice(0, data.entries.length - MAX_HISTORY);
+  });
+}
+
+// Histórico mais recente primeiro, opcionalmente de uma tarefa
+function blockHistory({ taskId = null, limit = 20 } = {}) {
+  return store.read().entries.filter(e => !taskId || e.taskId === taskId).slice(-limit).reverse();
+}
+
+// Escalonamentos feitos desde o último desbloqueio registrado da tarefa
+function openEscalations(taskId) {
+  const entries = store.read().entries.filter(e => e.taskId === taskId);
+  const lastResolved = entries.map(e => e.type).lastIndexOf('resolved');
+  return entries.slice(lastResolved + 1).filter(e => e.type === 'escalated');
+}
+
+// Bloqueios das sprints iniciadas (ou só de sprintId), do mais antigo para o mais recente.
+// users: lista de /users/available para os nomes do responsável e do executor
+async function loadBlockedItems(api, { sprintId = null, users = [] } = {}) {
+  const [sprints, tasks] = await Promise.all([
+    api.get('/sprints').then(r => r.data.items || []),
+    api.get('/tasks', { params: { status: 'Bloqueada', page: 1, pageSize: 1000 } }).then(r => r.data.items || [])
+  ]);
+  const watched = sprints.filter(s => (sprintId ? s.id === sprintId : s.status === 'Started'));
+  const summaries = await Promise.all(watched.map(s => api.get('/dashboard/summary', { params: { sprintId: s.id } })
+    .then(r => ({ sprint: s, summary: r.data }))));
+  const usersById = new Map(users.map(u => [u.id, u]));
+  const tasksById = new Map(tasks.map(t => [t.id, t]));
+  const items = [];
+  for (const { sprint, summary } of summaries) {
+    for (const b of summary.bloqueadas || []) {
+      const task = tasksById.get(b.id) || null;
+      const days = Number(b.idade_do_bloqueio_dias) || 0;
+      items.push({
+        ...b,
+        days,
+        sla: slaLevel(days),
+        sprint,
+        task,
+        responsible: usersById.get(b.responsavelId) || null,
+        assignee: task?.assigneeId ? usersById.get(task.assigneeId) || null : null,
+        escalations: openEscalations(b.id).length
+      });
+    }
+  }
+  items.sort((a, b) => b.days - a.days || String(a.title).localeCompare(String(b.title)));
+  const counts = Object.fromEntries(SLA_LEVELS.map(level => [level, items.filter(i => i.sla === level).length]));
+  return { sprints, items, counts };
+}
+
+// Bloqueio atual da tarefa (null se ela não está mais bloqueada)
+async function currentBlock(api, taskId) {
+  const task = (await api.get(`/tasks/${taskId}`)).data;
+  if (task.status !== 'Bloqueada' || !task.sprintId) return { task, block: null };
+  const summary = (await api.get('/dashboard/summary', { params: { sprintId: task.sprintId } })).data;
+  return { task, block: (summary.bloqueadas || []).find(b => b.id === taskId) || null };
+}
+
+// Valida o desbloqueio; errors traz chaves de blocked.errors.* por campo
+function parseUnblock(body) {
+  const resolution = String(body.resolution || '').trim();
+  const returnStatus = RETURN_STATUSES.includes(body.returnStatus) ? body.returnStatus : null;
+  const errors = {};
+  if (!resolution) errors.resolution = 'resolutionRequired';
+  else if (resolution.length > MAX_NOTE_LENGTH) errors.resolution = 'noteTooLong';
+  if (!returnStatus) errors.returnStatus = 'returnStatusInvalid';
+  return { resolution, returnStatus, errors };
+}
+
+function parseEscalation(body, block, users) {
+  const responsavelId = String(body.responsavelId || '');
+  const note = String(body.note || '').trim();
+  const errors = {};
+  if (!users.some(u => u.id === responsavelId)) errors.responsavelId = 'responsibleInvalid';
+  else if (responsavelId === block.responsavelId) errors.responsavelId = 'responsibleUnchanged';
+  if (note.length > MAX_NOTE_LENGTH) errors.note = 'noteTooLong';
+  return { responsavelId, note, errors };
+}
+
+async function unblockTask(api, { task, block, resolution, returnStatus, actor }) {
+  await api.patch(`/tasks/${task.id}/status`, { status: returnStatus });
+  record({
+    type: 'resolved',
+    taskId: task.id,
+    taskTitle: task.title,
+    sprintId: task.sprintId,
+    motivo: block.motivo,
+    responsavelId: block.responsavelId,
+    days: block.idade_do_bloqueio_dias,
+    returnStatus,
+    note: resolution,
+    actor: { id: actor.id, name: actor.name }
+  });
+}
+
+// Bloqueia de novo com o novo responsável e o mesmo motivo; a API mantém a data
+// de início do bloqueio, então a idade (e o SLA) continuam contando
+async function escalateBlock(api, { task, block, responsavelId, note, actor, users }) {
+  await api.patch(`/tasks/${task.id}/status`, { status: 'Bloqueada', block: { motivo: block.motivo, responsavelId } });
+  record({
+    type: 'escalated',
+    taskId: task.id,
+    taskTitle: task.title,
+    sprintId: task.sprintId,
+    motivo: block.motivo,
+    fromResponsavelId: block.responsavelId,
+    responsavelId,
+    days: block.idade_do_bloqueio_dias,
+    note,
+    actor: { id: actor.id, name: actor.name }
+  });
+  const nameOf = id => users.find(u => u.id === id)?.name || id;
+  notify('block.escalated', {
+    taskId: task.id,
+    taskTitle: task.title,
+    assigneeId: task.assigneeId || null,
+    motivo: block.motivo,
+    responsavelId,
+    responsavelName: nameOf(responsavelId),
+    fromName: nameOf(block.responsavelId),
+    days: block.idade_do_bloqueio_dias,
+    note,
+    actorName: actor.name
+  }, { actor });
+}
+
+module.exports = {
+  RETURN_STATUSES,
+  SLA_LEVELS,
+  MAX_NOTE_LENGTH,
+  slaLevel,
+  blockHistory,
+  loadBlockedItems,
+  currentBlock,
+  parseUnblock,
+  parseEscalation,
+  unblockTask,
+  escalateBlock
+};
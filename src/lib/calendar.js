@@ -0,0 +1,146 @@
+'use strict';
+
+const dayjs = require('dayjs');
+const { parseApiDate } = require('./workdays');
+
+// Datas de entrega no calendário: prazo das tarefas (dueDate, definido quando a tarefa
+// vai para Em Andamento) e início/prazo das sprints. As datas da API já vêm no timezone
+// do usuário, então cada item vira um evento de dia inteiro naquele dia local.
+const VIEWS = ['month', 'week'];
+const PRODID = '-//TaskWise//TaskWise Web//PT';
+
+function taskEntry(task) {
+  const date = parseApiDate(task.dueDate);
+  if (!date) return null;
+  return { uid: `task-${task.id}`, kind: 'taskDue', date, title: task.title, status: task.status, statusGroup: 'taskStatus', taskId: task.id, path: `/tasks/${task.id}` };
+}
+
+function sprintEntries(sprint) {
+  const entries = [];
+  const started = parseApiDate(sprint.startedAt);
+  const due = parseApiDate(sprint.dueDate);
+  const base = { title: sprint.name, status: sprint.status, statusGroup: 'sprintStatus', sprintId: sprint.id, path: `/sprints/${sprint.id}` };
+  if (started) entries.push({ ...base, uid: `sprint-${sprint.id}-start`, kind: 'sprintStart', date: started });
+  if (due) entries.push({ ...base, uid: `sprint-${sprint.id}-due`, kind: 'sprintDue', date: due });
+  return entries;
+}
+
+function byDate(a, b) {
+  return a.date.valueOf() - b.date.valueOf() || String(a.title).localeCompare(String(b.title));
+}
+
+// Tarefas atribuídas ao usuário que já têm prazo
+async function userCalendar(api, userId) {
+  const tasks = (await api.get('/tasks', { params: { assigneeId: userId, page: 1, pageSize: 1000 } })).data.items || [];
+  return tasks.map(taskEntry).filter(Boolean).sort(byDate);
+}
+
+// Início e prazo da sprint e os prazos de todas as suas tarefas
+async function sprintCalendar(api, sprintId) {
+  const [sprint, tasks] = await Promise.all([
+    api.get(`/sprints/${sprintId}`).then(r => r.data),
+    api.get('/tasks', { params: { sprintId, page: 1, pageSize: 1000 } }).then(r => r.data.items || [])
+  ]);
+  const entries = [...sprintEntries(sprint), ...tasks.map(taskEntry).filter(Boolean)].sort(byDate);
+  return { sprint, entries };
+}
+
+// Texto de propriedade iCalendar (RFC 5545 §3.3.11)
+function icsText(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Linhas com mais de 75 octetos continuam na linha seguinte iniciada por espaço
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// Calendário .ics; i18n (t, tv, formatDate) no idioma do dono do feed
+function toIcs(entries, { name, tz, baseUrl, i18n }) {
+  const { t, tv, formatDate } = i18n;
+  const stamp = dayjs().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(name)}`
+  ];
+  if (tz) lines.push(`X-WR-TIMEZONE:${icsText(tz)}`);
+  for (const entry of entries) {
+    const details = [
+      entry.status ? `${t('calendar.status')}: ${tv(entry.statusGroup, entry.status)}` : null,
+      `${t(`calendar.kinds.${entry.kind}`)}: ${formatDate(entry.date)}`,
+      `${baseUrl}${entry.path}`
+    ].filter(Boolean);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${entry.uid}@taskwise`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${entry.date.format('YYYYMMDD')}`,
+      `DTEND;VALUE=DATE:${entry.date.add(1, 'day').format('YYYYMMDD')}`,
+      `SUMMARY:${icsText(t(`calendar.summaries.${entry.kind}`, { title: entry.title }))}`,
+      `DESCRIPTION:${icsText(details.join('\n'))}`,
+      `URL:${baseUrl}${entry.path}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+// Data de hoje (YYYY-MM-DD) no timezone do usuário; timezone inválido cai no do servidor
+function todayIn(tz) {
+  try {
+    if (tz) return new Intl.DateTimeFormat('en-CA', { timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date());
+  } catch (e) {
+    // RangeError: timezone desconhecido
+  }
+  return dayjs().format('YYYY-MM-DD');
+}
+
+// Semanas (domingo a sábado) visíveis no mês ou na semana da data de referência
+function calendarGrid(view, reference) {
+  const unit = view === 'week' ? 'week' : 'month';
+  const start = reference.startOf(unit).startOf('week');
+  const end = reference.endOf(unit).endOf('week');
+  const weeks = [];
+  for (let day = start; day.isBefore(end); day = day.add(1, 'day')) {
+    if (day.day() === 0) weeks.push([]);
+    weeks[weeks.length - 1].push(day);
+  }
+  return {
+    view: unit,
+    reference,
+    weeks,
+    start,
+    end,
+    previous: reference.subtract(1, unit).format('YYYY-MM-DD'),
+    next: reference.add(1, unit).format('YYYY-MM-DD')
+  };
+}
+
+// Itens agrupados por dia (YYYY-MM-DD) dentro do intervalo da grade
+function entriesByDay(entries, grid) {
+  const days = {};
+  for (const entry of entries) {
+    if (entry.date.isBefore(grid.start, 'day') || entry.date.isAfter(grid.end, 'day')) continue;
+    const key = entry.date.format('YYYY-MM-DD');
+    (days[key] = days[key] || []).push(entry);
+  }
+  return days;
+}
+
+module.exports = { VIEWS, userCalendar, sprintCalendar, toIcs, todayIn, calendarGrid, entriesByDay };
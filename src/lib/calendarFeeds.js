@@ -0,0 +1,106 @@
+'use strict';
+
+const crypto = require('crypto');
+const { jsonStore } = require('./jsonStore');
+const { sealApiToken, openApiToken, sha256 } = require('./accessTokens');
+
+// Links de assinatura .ics para clientes de calendário, que não enviam cabeçalhos de
+// autenticação: o segredo vai na própria URL. Como nos tokens de acesso pessoal,
+// guardamos só o hash do segredo e o token da API cifrado, além do timezone da
+// sessão no momento da criação (as datas da API vêm nesse timezone). Com a conta de
+// serviço configurada o feed é lido por ela, a partir do id do dono; sem ela vale o
+// token da sessão, e o link para de funcionar quando esse token expira (expiredAt),
+// até ser renovado.
+const KINDS = ['user', 'sprint'];
+const PURPOSE = 'calendar';
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const store = jsonStore('calendar-feeds.json', { feeds: [] }, { mode: 0o600 });
+
+function publicView(record) {
+  const { id, kind, sprintId, sprintName, tz, createdAt, lastUsedAt, expiredAt = null } = record;
+  return { id, kind, sprintId, sprintName, tz, createdAt, lastUsedAt, expiredAt };
+}
+
+function newSecret() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+// kind "user": tarefas atribuídas ao usuário; kind "sprint": tarefas e datas da sprint
+function issueCalendarFeed({ kind, sprint = null, user, apiToken, tz }) {
+  const id = crypto.randomBytes(6).toString('hex');
+  const secret = newSecret();
+  const record = {
+    id,
+    kind,
+    sprintId: sprint ? sprint.id : null,
+    sprintName: sprint ? sprint.name : null,
+    user: { id: user.id, name: user.name, email: user.email, role: user.role },
+    tz: tz || null,
+    secretHash: sha256(secret).toString('hex'),
+    apiToken: sealApiToken(apiToken, secret, id, PURPOSE),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null
+  };
+  store.update((data) => { data.feeds.push(record); });
+  return { secret, record: publicView(record) };
+}
+
+// Resolve o par id/segredo da URL; null se inválido ou revogado
+function resolveCalendarFeed(id, secret) {
+  if (typeof secret !== 'string' || !secret) return null;
+  const record = store.read().feeds.find(f => f.id === id);
+  if (!record) return null;
+  const apiToken = openApiToken(record, secret, PURPOSE);
+  if (!apiToken) return null;
+  const now = Date.now();
+  if (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) > TOUCH_INTERVAL_MS) {
+    store.update(() => { record.lastUsedAt = new Date(now).toISOString(); });
+  }
+  return { ...publicView(record), user: record.user, apiToken };
+}
+
+// O token da API vinculado ao feed expirou (a API respondeu 401)
+function markCalendarFeedExpired(id) {
+  store.update((data) => {
+    const record = data.feeds.find(f => f.id === id);
+    if (record && !record.expiredAt) record.expiredAt = new Date().toISOString();
+  });
+}
+
+// Troca o segredo (o link muda) e vincula o token da sessão atual; null se não encontrado
+function renewCalendarFeed(userId, id, { apiToken, tz }) {
+  const secret = newSecret();
+  const record = store.update((data) => {
+    const found = data.feeds.find(f => f.id === id && f.user.id === userId);
+    if (!found) return null;
+    found.secretHash = sha256(secret).toString('hex');
+    found.apiToken = sealApiToken(apiToken, secret, id, PURPOSE);
+    found.tz = tz || null;
+    found.expiredAt = null;
+    return found;
+  });
+  return record ? { secret, record: publicView(record) } : null;
+}
+
+function listCalendarFeeds(userId) {
+  return store.read().feeds.filter(f => f.user.id === userId).map(publicView);
+}
+
+function revokeCalendarFeed(userId, id) {
+  return store.update((data) => {
+    const before = data.feeds.length;
+    data.feeds = data.feeds.filter(f => !(f.id === id && f.user.id === userId));
+    return data.feeds.length !== before;
+  });
+}
+
+module.exports = {
+  KINDS,
+  issueCalendarFeed,
+  resolveCalendarFeed,
+  markCalendarFeedExpired,
+  renewCalendarFeed,
+  listCalendarFeeds,
+  revokeCalendarFeed
+};
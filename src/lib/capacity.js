@@ -0,0 +1,85 @@
+'use strict';
+
+// Produtividade (horas úteis/dia) por nível de QA, a mesma informada em sprints/detail.ejs
+const PRODUCTIVITY = { junior: 4.8, pleno: 6.0, senior: 7.2 };
+
+// Horas úteis por dia disponíveis na sprint segundo a capacidade cadastrada
+function dailyCapacityHours(capacity) {
+  const c = capacity || {};
+  return Object.keys(PRODUCTIVITY).reduce((acc, level) => acc + (Number(c[level]) || 0) * PRODUCTIVITY[level], 0);
+}
+
+const LEVELS = Object.keys(PRODUCTIVITY);
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function headcount(capacity) {
+  const c = capacity || {};
+  return LEVELS.reduce((acc, level) => acc + (Number(c[level]) || 0), 0);
+}
+
+// Capacidade com ajustes hipotéticos (ex.: { senior: 1 }), sem valores negativos
+function applyScenario(capacity, delta) {
+  const out = {};
+  for (const level of LEVELS) {
+    out[level] = Math.max(0, (Number(capacity?.[level]) || 0) + (Number(delta?.[level]) || 0));
+  }
+  return out;
+}
+
+// Carga planejada (horas das tarefas) x capacidade disponível na janela da sprint
+// elapsedDays: dias úteis já decorridos da janela (sprints iniciadas)
+function capacityPlan({ tasks, capacity, windowDays, elapsedDays = 0 }) {
+  const dailyHours = dailyCapacityHours(capacity);
+  const loadHours = tasks.reduce((acc, t) => acc + (Number(t.totalHours) || 0), 0);
+  const remainingHours = tasks.filter(t => t.status !== 'Concluída').reduce((acc, t) => acc + (Number(t.totalHours) || 0), 0);
+  const availableHours = dailyHours * windowDays;
+  const heads = headcount(capacity);
+  return {
+    capacity: applyScenario(capacity, {}),
+    headcount: heads,
+    windowDays,
+    dailyHours: round2(dailyHours),
+    availableHours: round2(availableHours),
+    loadHours: round2(loadHours),
+    remainingHours: round2(remainingHours),
+    // Dias úteis necessários para a carga com a capacidade informada
+    daysNeeded: dailyHours > 0 ? round2(loadHours / dailyHours) : null,
+    utilization: availableHours > 0 ? Math.round((loadHours / availableHours) * 100) : null,
+    overCommitted: availableHours > 0 ? loadHours > availableHours : loadHours > 0,
+    balanceHours: round2(availableHours - loadHours),
+    elapsedDays: round2(elapsedDays),
+    remainingAvailableHours: round2(dailyHours * Math.max(0, windowDays - elapsedDays)),
+    remainingOverCommitted: remainingHours > dailyHours * Math.max(0, windowDays - elapsedDays),
+    // Capacidade média por pessoa na janela, referência para a carga individual
+    perHeadHours: heads > 0 ? round2(availableHours / heads) : null
+  };
+}
+
+// Carga por responsável (assigneeId), com as tarefas sem responsável agrupadas à parte
+// (name nulo, rotulado pela view)
+function loadByAssignee(tasks, users = [], perHeadHours = null) {
+  const names = new Map(users.map(u => [u.id, u.name]));
+  const groups = new Map();
+  for (const t of tasks) {
+    const key = t.assigneeId || null;
+    const g = groups.get(key) || { assigneeId: key, name: key ? (names.get(key) || key) : null, tasks: 0, hours: 0, remainingHours: 0 };
+    g.tasks += 1;
+    g.hours += Number(t.totalHours) || 0;
+    if (t.status !== 'Concluída') g.remainingHours += Number(t.totalHours) || 0;
+    groups.set(key, g);
+  }
+  return [...groups.values()]
+    .map(g => ({
+      ...g,
+      hours: round2(g.hours),
+      remainingHours: round2(g.remainingHours),
+      utilization: g.assigneeId && perHeadHours ? Math.round((g.hours / perHeadHours) * 100) : null,
+      overloaded: Boolean(g.assigneeId && perHeadHours && g.hours > perHeadHours)
+    }))
+    .sort((a, b) => (a.assigneeId === null) - (b.assigneeId === null) || b.hours - a.hours);
+}
+
+module.exports = { PRODUCTIVITY, LEVELS, dailyCapacityHours, headcount, applyScenario, capacityPlan, loadByAssignee };
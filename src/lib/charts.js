@@ -0,0 +1,110 @@
+'use strict';
+
+const dayjs = require('dayjs');
+const { parseApiDate } = require('./workdays');
+const { translatorFor } = require('./i18n');
+
+function esc(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function niceMax(value) {
+  if (!(value > 0)) return 1;
+  const exp = Math.pow(10, Math.floor(Math.log10(value)));
+  const f = value / exp;
+  const nice = f <= 1 ? 1 : f <= 2 ? 2 : f <= 5 ? 5 : 10;
+  return nice * exp;
+}
+
+// Gráfico de linhas em SVG com eixo X por dia, renderizado no servidor.
+// series: [{ label, color, dashed, points: [{ date: 'YYYY-MM-DD', value }] }]
+// formatDay e formatValue formatam as datas do eixo X e os valores das dicas
+function lineChartSvg({ title, startDate, endDate, series, yLabel = 'h', width = 640, height = 280, formatDay = d => dayjs(d).format('DD/MM'), formatValue = String }) {
+  const pad = { top: 36, right: 20, bottom: 48, left: 52 };
+  const start = dayjs(startDate).startOf('day');
+  const end = dayjs(endDate).startOf('day');
+  const spanDays = Math.max(1, end.diff(start, 'day'));
+  const maxValue = niceMax(Math.max(0, ...series.flatMap(s => s.points.map(p => Number(p.value) || 0))));
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+  const x = (date) => pad.left + (dayjs(date).startOf('day').diff(start, 'day') / spanDays) * plotW;
+  const y = (value) => pad.top + plotH - (value / maxValue) * plotH;
+
+  const parts = [];
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${esc(title)}" class="chart-svg">`);
+  parts.push(`<text x="${pad.left}" y="20" font-size="14" font-weight="600" fill="#363636">${esc(title)}</text>`);
+
+  // Grade e rótulos do eixo Y
+  for (let i = 0; i <= 4; i++) {
+    const v = (maxValue / 4) * i;
+    const yy = y(v).toFixed(1);
+    parts.push(`<line x1="${pad.left}" y1="${yy}" x2="${width - pad.right}" y2="${yy}" stroke="#ededed"/>`);
+    parts.push(`<text x="${pad.left - 6}" y="${yy}" font-size="10" fill="#7a7a7a" text-anchor="end" dominant-baseline="middle">${Math.round(v * 10) / 10}${i === 4 ? ` ${esc(yLabel)}` : ''}</text>`);
+  }
+  // Rótulos do eixo X (no máximo ~8 datas)
+  const step = Math.max(1, Math.ceil(spanDays / 8));
+  for (let d = 0; d <= spanDays; d += step) {
+    const date = start.add(d, 'day');
+    const xx = x(date).toFixed(1);
+    parts.push(`<line x1="${xx}" y1="${pad.top + plotH}" x2="${xx}" y2="${pad.top + plotH + 4}" stroke="#b5b5b5"/>`);
+    parts.push(`<text x="${xx}" y="${pad.top + plotH + 16}" font-size="10" fill="#7a7a7a" text-anchor="middle">${esc(formatDay(date))}</text>`);
+  }
+  parts.push(`<line x1="${pad.left}" y1="${pad.top + plotH}" x2="${width - pad.right}" y2="${pad.top + plotH}" stroke="#b5b5b5"/>`);
+
+  series.forEach((s, idx) => {
+    const pts = s.points.filter(p => p.value !== null && p.value !== undefined);
+    if (pts.length) {
+      const d = pts.map(p => `${x(p.date).toFixed(1)},${y(Number(p.value)).toFixed(1)}`).join(' ');
+      parts.push(`<polyline fill="none" stroke="${s.color}" stroke-width="2"${s.dashed ? ' stroke-dasharray="6 4"' : ''} points="${d}"/>`);
+      if (!s.dashed) {
+        for (const p of pts) parts.push(`<circle cx="${x(p.date).toFixed(1)}" cy="${y(Number(p.value)).toFixed(1)}" r="3" fill="${s.color}"><title>${esc(`${s.label} ${formatDay(p.date)}: ${formatValue(p.value)}`)}</title></circle>`);
+      }
+    }
+    // Legenda
+    const lx = pad.left + idx * 150;
+    const ly = height - 12;
+    parts.push(`<line x1="${lx}" y1="${ly - 4}" x2="${lx + 18}" y2="${ly - 4}" stroke="${s.color}" stroke-width="2"${s.dashed ? ' stroke-dasharray="6 4"' : ''}/>`);
+    parts.push(`<text x="${lx + 24}" y="${ly}" font-size="11" fill="#4a4a4a">${esc(s.label)}</text>`);
+  });
+
+  parts.push('</svg>');
+  return parts.join('');
+}
+
+// Burndown (restante x ideal) e burnup (escopo x concluído) a partir do histórico da
+// sprint, com rótulos e datas no idioma do tradutor informado
+function sprintCharts(sprint, history, i18n = translatorFor()) {
+  const { t } = i18n;
+  const formatDay = d => i18n.formatDate(dayjs(d), 'shortDate');
+  const formatValue = v => i18n.formatNumber(v);
+  if (!history.length) return null;
+  const startedAt = parseApiDate(sprint.startedAt);
+  const first = dayjs(history[0].date);
+  const last = dayjs(history[history.length - 1].date);
+  const start = startedAt && startedAt.isBefore(first) ? startedAt : first;
+  const candidates = [last, parseApiDate(sprint.dueDate), parseApiDate(sprint.closedAt)].filter(Boolean);
+  const end = candidates.reduce((a, b) => (b.isAfter(a) ? b : a), start.add(1, 'day'));
+  const due = parseApiDate(sprint.dueDate);
+  const points = (key) => history.map(p => ({ date: p.date, value: p[key] }));
+
+  const series = [];
+  if (due) {
+    series.push({ label: t('charts.ideal'), color: '#b5b5b5', dashed: true, points: [{ date: start, value: history[0].totalHours }, { date: due, value: 0 }] });
+  }
+  series.push({ label: t('charts.remaining'), color: '#f14668', points: points('remainingHours') });
+  const burndown = lineChartSvg({ title: t('charts.burndown'), startDate: start, endDate: end, series, formatDay, formatValue });
+  const burnup = lineChartSvg({
+    title: t('charts.burnup'),
+    startDate: start,
+    endDate: end,
+    formatDay,
+    formatValue,
+    series: [
+      { label: t('charts.scope'), color: '#3273dc', points: points('totalHours') },
+      { label: t('charts.done'), color: '#48c774', points: points('doneHours') }
+    ]
+  });
+  return { burndown, burnup, points: history.length };
+}
+
+module.exports = { lineChartSvg, sprintCharts };
@@ -0,0 +1,71 @@
+'use strict';
+
+// Detecta o separador pela primeira linha: planilhas em pt-BR costumam exportar com ';'
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const counts = [';', ',', '\t'].map(d => [d, firstLine.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+// Parser CSV (RFC 4180): aspas duplas, aspas escapadas ("") e quebras de linha dentro de campos
+function parseCsv(input, delimiter) {
+  const text = String(input).replace(/^\uFEFF/, '');
+  const sep = delimiter || detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === sep) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(v => String(v).trim() !== ''));
+}
+
+// Texto iniciado por =, +, -, @, tab ou CR vira fórmula ao abrir no Excel/Sheets
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value, sep) {
+  if (value === undefined || value === null) return '';
+  // Com ';' (padrão do Excel pt-BR) números saem com vírgula decimal
+  const text = typeof value === 'number' && sep === ';' ? String(value).replace('.', ',') : String(value);
+  // Prefixo ' faz a planilha tratar a célula como texto (números negativos não passam por aqui)
+  if (typeof value === 'string' && FORMULA_START.test(text)) return `"'${text.replace(/"/g, '""')}"`;
+  return /["\r\n]/.test(text) || text.includes(sep) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Gera CSV a partir de colunas [{ key, header }] e registros; inclui BOM para o Excel reconhecer UTF-8
+function toCsv(columns, records, sep = ';') {
+  const lines = [columns.map(c => csvCell(c.header, sep)).join(sep)];
+  for (const r of records) lines.push(columns.map(c => csvCell(r[c.key], sep)).join(sep));
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { parseCsv, detectDelimiter, toCsv };
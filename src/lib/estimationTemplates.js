@@ -0,0 +1,121 @@
+'use strict';
+
+const crypto = require('crypto');
+const { jsonStore } = require('./jsonStore');
+const { PHASES, phasesFromBody, phaseErrors } = require('./pert');
+
+// Modelos de estimativa: O/M/P das quatro fases com nome (e, opcionalmente, o risco e a
+// complexidade a que se aplicam), mantidos pelo Admin e usados para preencher o
+// formulário de tarefa. A sugestão pelo histórico usa as tarefas concluídas com o
+// mesmo risco/complexidade.
+const MAX_NAME_LENGTH = 80;
+const RISKS = ['Baixo', 'Médio', 'Alto'];
+const COMPLEXITIES = ['Baixa', 'Média', 'Alta'];
+
+const store = jsonStore('estimation-templates.json', { templates: [] });
+
+function listTemplates() {
+  return store.read().templates.slice().sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function getTemplate(id) {
+  return store.read().templates.find(t => t.id === id) || null;
+}
+
+function toNumber(value) {
+  return Math.round(parseFloat(value) * 100) / 100;
+}
+
+// Lê nome, risco, complexidade e os campos am_O..do_P; errors traz mensagens de
+// estimates.errors.* por campo (name, risco, complexidade, phases.<fase>)
+function parseTemplate(body, { id = null } = {}) {
+  const name = String(body.name || '').trim();
+  const risco = RISKS.includes(body.risco) ? body.risco : null;
+  const complexidade = COMPLEXITIES.includes(body.complexidade) ? body.complexidade : null;
+  const raw = phasesFromBody(body);
+  const errors = {};
+  if (!name) errors.name = 'nameRequired';
+  else if (name.length > MAX_NAME_LENGTH) errors.name = 'nameTooLong';
+  else if (store.read().templates.some(t => t.id !== id && t.name.toLowerCase() === name.toLowerCase())) errors.name = 'nameTaken';
+  if (body.risco && !risco) errors.risco = 'invalidOption';
+  if (body.complexidade && !complexidade) errors.complexidade = 'invalidOption';
+  for (const { code, field } of phaseErrors(raw)) errors[field] = code === 'PERT_ORDER' ? 'pertOrder' : 'phaseInvalid';
+  const phases = {};
+  for (const { key } of PHASES) phases[key] = { O: toNumber(raw[key].O), M: toNumber(raw[key].M), P: toNumber(raw[key].P) };
+  return { template: { name, risco, complexidade, phases }, errors };
+}
+
+function createTemplate(template, user) {
+  const record = {
+    id: crypto.randomBytes(6).toString('hex'),
+    ...template,
+    createdBy: user.id,
+    createdAt: new Date().toISOString(),
+    updatedAt: null
+  };
+  store.update((data) => { data.templates.push(record); });
+  return record;
+}
+
+// Retorna o modelo atualizado ou null se ele não existe mais
+function updateTemplate(id, template) {
+  return store.update((data) => {
+    const record = data.templates.find(t => t.id === id);
+    if (!record) return null;
+    Object.assign(record, template, { updatedAt: new Date().toISOString() });
+    return record;
+  });
+}
+
+function deleteTemplate(id) {
+  return store.update((data) => {
+    const before = data.templates.length;
+    data.templates = data.templates.filter(t => t.id !== id);
+    return data.templates.length < before;
+  });
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Mediana de O, M e P por fase nas tarefas concluídas. Como cada amostra já respeita
+// O <= M <= P, as medianas mantêm a ordem; o arredondamento (passo 0,1 do formulário) também.
+function suggestFromHistory(tasks, { risco = null, complexidade = null } = {}) {
+  const samples = tasks.filter(t => t.status === 'Concluída'
+    && (!risco || t.risco === risco)
+    && (!complexidade || t.complexidade === complexidade)
+    && PHASES.every(({ key }) => t.phases && t.phases[key]));
+  if (!samples.length) return { samples: 0, phases: null };
+  const phases = {};
+  for (const { key } of PHASES) {
+    phases[key] = {};
+    for (const k of ['O', 'M', 'P']) {
+      phases[key][k] = Math.round(median(samples.map(t => Number(t.phases[key][k]) || 0)) * 10) / 10;
+    }
+  }
+  return { samples: samples.length, phases };
+}
+
+// Tarefas concluídas da API com o risco/complexidade informados
+async function historySuggestion(api, { risco, complexidade }) {
+  const params = { status: 'Concluída', page: 1, pageSize: 1000 };
+  if (risco) params.risco = risco;
+  if (complexidade) params.complexidade = complexidade;
+  const tasks = (await api.get('/tasks', { params })).data.items || [];
+  return { risco: risco || null, complexidade: complexidade || null, ...suggestFromHistory(tasks, { risco, complexidade }) };
+}
+
+module.exports = {
+  MAX_NAME_LENGTH,
+  listTemplates,
+  getTemplate,
+  parseTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  suggestFromHistory,
+  historySuggestion
+};
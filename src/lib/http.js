@@ -0,0 +1,8 @@
+'use strict';
+
+// Indica se a requisição espera JSON (fetch/XHR) em vez de uma página HTML
+function wantsJson(req) {
+  return req.xhr || req.is('application/json') || req.accepts(['html', 'json']) === 'json';
+}
+
+module.exports = { wantsJson };
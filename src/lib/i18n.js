@@ -0,0 +1,90 @@
+'use strict';
+
+const dayjs = require('dayjs');
+require('dayjs/locale/pt-br');
+require('dayjs/locale/es');
+const { parseApiDate } = require('./workdays');
+
+// Catálogos de mensagens da interface (views e flash). Chaves aninhadas são
+// acessadas por caminho ("tasks.title"), com interpolação de {parametro}; chaves
+// ausentes em um idioma caem no pt-BR e, por fim, na própria chave.
+const LOCALES = ['pt-BR', 'en', 'es'];
+const DEFAULT_LOCALE = 'pt-BR';
+// Identificadores de locale correspondentes no dayjs
+const DAYJS_LOCALES = { 'pt-BR': 'pt-br', en: 'en', es: 'es' };
+
+const catalogs = Object.fromEntries(LOCALES.map(locale => [locale, require(`../locales/${locale}.json`)]));
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function interpolate(message, params, escape = String) {
+  if (!params) return message;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined || params[name] === null ? match : escape(params[name])));
+}
+
+// Locale suportado mais próximo de um valor livre ("en-US" -> "en", "pt" -> "pt-BR")
+function normalizeLocale(value) {
+  if (!value) return null;
+  const v = String(value).trim().toLowerCase();
+  return LOCALES.find(l => l.toLowerCase() === v) || LOCALES.find(l => l.split('-')[0].toLowerCase() === v.split('-')[0]) || null;
+}
+
+function createTranslator(locale) {
+  const catalog = catalogs[locale];
+  const numberFormats = new Map();
+
+  function message(key) {
+    const found = lookup(catalog, key) ?? lookup(catalogs[DEFAULT_LOCALE], key);
+    return typeof found === 'string' ? found : null;
+  }
+
+  function t(key, params) {
+    const found = message(key);
+    return found === null ? key : interpolate(found, params);
+  }
+
+  // Mensagens com marcação HTML no catálogo (<code>, <strong>): para uso com <%- %>,
+  // escapando os parâmetros
+  function th(key, params) {
+    const found = message(key);
+    return found === null ? escapeHtml(key) : interpolate(found, params, escapeHtml);
+  }
+
+  // Valores de domínio vindos da API (status, risco, semáforo...) mantêm o valor
+  // original nos formulários e são traduzidos só na exibição
+  function tv(group, value) {
+    if (value === undefined || value === null || value === '') return value;
+    const label = lookup(catalog, `values.${group}`)?.[value] ?? lookup(catalogs[DEFAULT_LOCALE], `values.${group}`)?.[value];
+    return label ?? value;
+  }
+
+  // Datas da API ("DD-MM-YYYY HH:mm"), ISO ou Date no padrão do idioma; kind: date, dateTime ou shortDate
+  function formatDate(value, kind = 'dateTime') {
+    const d = value && dayjs.isDayjs(value) ? value : parseApiDate(value);
+    if (!d) return value || '';
+    return d.locale(DAYJS_LOCALES[locale]).format(t(`formats.${kind}`));
+  }
+
+  function formatNumber(value, { maximumFractionDigits = 2, ...options } = {}) {
+    if (value === undefined || value === null || value === '' || Number.isNaN(Number(value))) return value ?? '';
+    const key = JSON.stringify({ maximumFractionDigits, ...options });
+    if (!numberFormats.has(key)) numberFormats.set(key, new Intl.NumberFormat(locale, { maximumFractionDigits, ...options }));
+    return numberFormats.get(key).format(Number(value));
+  }
+
+  return { locale, dayjsLocale: DAYJS_LOCALES[locale], t, th, tv, formatDate, formatNumber };
+}
+
+const translators = new Map(LOCALES.map(locale => [locale, createTranslator(locale)]));
+
+function translatorFor(locale) {
+  return translators.get(normalizeLocale(locale) || DEFAULT_LOCALE);
+}
+
+module.exports = { LOCALES, DEFAULT_LOCALE, normalizeLocale, translatorFor };
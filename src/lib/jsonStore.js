@@ -0,0 +1,48 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+
+// Armazenamento local em arquivo JSON dentro de DATA_DIR, com cache em memória
+// e escrita atômica (arquivo temporário + rename). Adequado a uma única instância.
+// mode define as permissões do arquivo (ex.: 0o600 para dados de sessão e credenciais).
+function jsonStore(fileName, defaults, { mode } = {}) {
+  const file = path.join(config.dataDir, fileName);
+  let cache = null;
+
+  function load() {
+    if (cache) return cache;
+    try {
+      cache = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        // eslint-disable-next-line no-console
+        console.error(`Falha ao ler ${file}; iniciando vazio:`, e.message);
+      }
+      cache = typeof defaults === 'function' ? defaults() : JSON.parse(JSON.stringify(defaults));
+    }
+    return cache;
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(cache, null, 2), { mode });
+    fs.renameSync(tmp, file);
+  }
+
+  return {
+    file,
+    read: load,
+    // Aplica uma alteração e persiste; retorna o valor devolvido pelo mutator
+    update(mutator) {
+      const data = load();
+      const result = mutator(data);
+      save();
+      return result;
+    }
+  };
+}
+
+module.exports = { jsonStore };
@@ -0,0 +1,147 @@
+'use strict';
+
+const crypto = require('crypto');
+const { withServiceApi, isServiceAccountConfigured } = require('./serviceSession');
+const { config } = require('../config');
+
+// Atualizações em tempo real por Server-Sent Events. Os navegadores abertos no
+// dashboard, na listagem de tarefas ou no detalhe de sprint recebem eventos "change"
+// ({ sprintId, taskIds, reason }) e recarregam no lugar as regiões marcadas da página.
+// As mudanças vêm das escritas feitas pelas próprias rotas e de uma verificação
+// periódica (conta de serviço) que compara /dashboard/summary e /tasks?sprintId=.
+const clients = new Set();
+// Última versão vista pela verificação periódica, por sprint
+const fingerprints = new Map();
+// Escritas recentes das rotas, para a verificação não repetir o mesmo aviso
+const recentWrites = new Map();
+
+function send(client, event, data) {
+  client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Busca da página feita pelo script do layout ao receber um "change": leitura em segundo
+// plano, que não conta como atividade do usuário (sessão, flash, snapshots)
+function isLiveRefresh(req) {
+  return req.get('X-Live-Refresh') === '1';
+}
+
+// Conexão SSE; sprintId vazio recebe as mudanças de todas as sprints
+function subscribe(req, res, { sprintId = null } = {}) {
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Desativa o buffer de proxies reversos (nginx)
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${config.live.retryMs}\n\n`);
+  const client = { id: crypto.randomBytes(6).toString('hex'), res, sprintId: sprintId || null, userId: req.session.user?.id };
+  clients.add(client);
+  send(client, 'ready', { sprintId: client.sprintId });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), config.live.heartbeatMs);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+  return client;
+}
+
+function publish({ sprintId = null, taskIds = [], reason }) {
+  const data = { sprintId, taskIds, reason, at: new Date().toISOString() };
+  for (const client of clients) {
+    if (client.sprintId && sprintId && client.sprintId !== sprintId) continue;
+    send(client, 'change', data);
+  }
+  return data;
+}
+
+// Sprints afetadas por uma escrita auditada (a tarefa pode ter saído de uma e entrado em outra)
+function publishWrite(entry) {
+  if (!clients.size) return;
+  let sprintIds;
+  let taskIds = [];
+  if (entry.entity === 'task') {
+    taskIds = [entry.entityId].filter(Boolean);
+    sprintIds = [...new Set([entry.before?.sprintId, entry.after?.sprintId])];
+  } else if (entry.entity === 'sprint') {
+    // Em inclusões/remoções, as tarefas afetadas vêm dos snapshots da sprint
+    sprintIds = [entry.entityId];
+    taskIds = [...new Set([...(entry.before?.taskIds || []), ...(entry.after?.taskIds || [])])];
+  } else {
+    return;
+  }
+  for (const sprintId of sprintIds) {
+    const key = sprintId || '';
+    const known = recentWrites.get(key);
+    recentWrites.set(key, { at: Date.now(), taskIds: new Set([...(known ? known.taskIds : []), ...taskIds]) });
+    publish({ sprintId: sprintId || null, taskIds, reason: 'write' });
+  }
+}
+
+// Campos que aparecem nas páginas atualizadas; updatedAt cobre o restante
+function taskFingerprint(task) {
+  return JSON.stringify([task.status, task.title, task.assigneeId, task.dueDate, task.sprintId, task.totalHours, task.updatedAt]);
+}
+
+// Compara a sprint com a última verificação; retorna as tarefas que mudaram ou null
+async function diffSprint(api, sprintId) {
+  const [summary, tasks] = await Promise.all([
+    api.get('/dashboard/summary', { params: { sprintId } }).then(r => r.data),
+    api.get('/tasks', { params: { sprintId, page: 1, pageSize: 1000 } }).then(r => r.data.items || [])
+  ]);
+  const current = { summary: JSON.stringify(summary), tasks: new Map(tasks.map(t => [t.id, taskFingerprint(t)])) };
+  const previous = fingerprints.get(sprintId);
+  fingerprints.set(sprintId, current);
+  if (!previous) return null;
+  const changed = [...new Set([...current.tasks.keys(), ...previous.tasks.keys()])]
+    .filter(id => current.tasks.get(id) !== previous.tasks.get(id));
+  if (!changed.length && current.summary === previous.summary) return null;
+  return changed;
+}
+
+// Sprints observadas pelos navegadores conectados; sem filtro, as sprints iniciadas
+async function watchedSprints(api) {
+  const ids = new Set([...clients].map(c => c.sprintId).filter(Boolean));
+  if ([...clients].some(c => !c.sprintId)) {
+    const sprints = (await api.get('/sprints')).data.items || [];
+    sprints.filter(s => s.status === 'Started').forEach(s => ids.add(s.id));
+  }
+  return [...ids];
+}
+
+async function pollChanges(api) {
+  const sprintIds = await watchedSprints(api);
+  for (const id of fingerprints.keys()) if (!sprintIds.includes(id)) fingerprints.delete(id);
+  const since = Date.now() - config.live.pollIntervalMs;
+  for (const sprintId of sprintIds) {
+    const changed = await diffSprint(api, sprintId);
+    if (!changed) continue;
+    // Já avisado pela escrita da rota desde a última verificação
+    const write = recentWrites.get(sprintId);
+    if (write && write.at >= since && changed.length && changed.every(id => write.taskIds.has(id))) continue;
+    publish({ sprintId, taskIds: changed, reason: 'poll' });
+  }
+  for (const [key, write] of recentWrites) if (write.at < since) recentWrites.delete(key);
+}
+
+// Verificação periódica com a conta de serviço, apenas enquanto houver navegadores conectados
+function startLivePoller() {
+  const { pollIntervalMs } = config.live;
+  if (!pollIntervalMs || !isServiceAccountConfigured()) return null;
+  let running = false;
+  const timer = setInterval(() => {
+    if (!clients.size || running) return;
+    running = true;
+    withServiceApi(pollChanges)
+      .catch((err) => {
+        // eslint-disable-next-line no-console
+        console.error('Falha na verificação de atualizações em tempo real:', err.message);
+      })
+      .finally(() => { running = false; });
+  }, pollIntervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { isLiveRefresh, subscribe, publish, publishWrite, pollChanges, startLivePoller };
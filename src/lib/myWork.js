@@ -0,0 +1,82 @@
+'use strict';
+
+const dayjs = require('dayjs');
+const { parseApiDate } = require('./workdays');
+const { enrichTasks } = require('./requestApi');
+
+// Página "Meu trabalho": tarefas atribuídas ao usuário em todas as sprints, bloqueios
+// pelos quais ele responde (bloqueadas do resumo das sprints iniciadas, já que a
+// tarefa não traz os dados do bloqueio) e os próximos prazos.
+const STATUSES = ['Backlog', 'Em Andamento', 'Bloqueada', 'Concluída'];
+// Janela dos próximos prazos, em dias corridos a partir de hoje
+const UPCOMING_DAYS = 14;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// today: YYYY-MM-DD no timezone do usuário (as datas da API já vêm nesse timezone)
+async function loadMyWork(api, userId, { today }) {
+  const [profile, tasks, sprints] = await Promise.all([
+    api.get('/users/me').then(r => r.data),
+    // A listagem pode vir sem totalHours; as horas por status e restantes dependem dele
+    api.get('/tasks', { params: { assigneeId: userId, page: 1, pageSize: 1000 } }).then(r => enrichTasks(api, r.data.items || [])),
+    api.get('/sprints').then(r => r.data.items || [])
+  ]);
+  const sprintsById = new Map(sprints.map(s => [s.id, s]));
+  const started = sprints.filter(s => s.status === 'Started');
+  // Resumo indisponível para uma sprint não impede o restante da página
+  const summaries = await Promise.all(started.map(s => api.get('/dashboard/summary', { params: { sprintId: s.id } })
+    .then(r => ({ sprint: s, summary: r.data }), () => ({ sprint: s, summary: null }))));
+
+  const blocking = [];
+  const blockOf = {};
+  for (const { sprint, summary } of summaries) {
+    for (const b of summary?.bloqueadas || []) {
+      blockOf[b.id] = b;
+      if (b.responsavelId === userId) blocking.push({ ...b, sprint });
+    }
+  }
+
+  const groups = STATUSES.map((status) => {
+    const items = tasks.filter(t => t.status === status).map(t => ({ ...t, sprint: sprintsById.get(t.sprintId) || null, block: blockOf[t.id] || null }));
+    return { status, tasks: items, hours: round2(items.reduce((sum, t) => sum + (Number(t.totalHours) || 0), 0)) };
+  });
+  const pending = tasks.filter(t => t.status !== 'Concluída');
+
+  const start = dayjs(today);
+  const limit = start.add(UPCOMING_DAYS, 'day');
+  const upcoming = pending
+    .map(t => ({ ...t, sprint: sprintsById.get(t.sprintId) || null, due: parseApiDate(t.dueDate) }))
+    .filter(t => t.due && !t.due.isAfter(limit, 'day'))
+    .map(t => ({ ...t, overdue: t.due.isBefore(start, 'day') }))
+    .sort((a, b) => a.due.valueOf() - b.due.valueOf());
+
+  return {
+    profile,
+    groups,
+    blocking,
+    upcoming,
+    upcomingDays: UPCOMING_DAYS,
+    remainingHours: round2(pending.reduce((sum, t) => sum + (Number(t.totalHours) || 0), 0)),
+    pendingCount: pending.length
+  };
+}
+
+// Timezone IANA reconhecido pelo Intl do Node
+function isValidTimezone(tz) {
+  if (!tz) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz }).format(new Date());
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Lista para o campo de timezone do perfil (Node sem Intl.supportedValuesOf: vazia)
+function timezoneOptions() {
+  return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+}
+
+module.exports = { STATUSES, UPCOMING_DAYS, loadMyWork, isValidTimezone, timezoneOptions };
@@ -0,0 +1,72 @@
+'use strict';
+
+const dayjs = require('dayjs');
+const { jsonStore } = require('./jsonStore');
+const { parseApiDate } = require('./workdays');
+const { notify } = require('./notifications');
+const { withServiceApi, isServiceAccountConfigured } = require('./serviceSession');
+const { config } = require('../config');
+
+// Varredura periódica das sprints iniciadas para os alertas que não nascem de uma
+// rota: bloqueio antigo, semáforo que passou a Vermelho e tarefa com prazo vencido.
+// O estado guarda o que já foi notificado, para cada situação gerar um único alerta.
+const store = jsonStore('notification-scan.json', { semaphore: {}, agedBlocks: {}, overdue: {} });
+
+async function scanSprint(api, sprint, state) {
+  const summary = (await api.get('/dashboard/summary', { params: { sprintId: sprint.id } })).data;
+  const sprintData = { sprintId: sprint.id, sprintName: sprint.name };
+
+  // Só a transição gera alerta: o primeiro valor visto apenas registra o estado
+  const previous = state.semaphore[sprint.id];
+  if (summary.status_semaforo === 'Vermelho' && previous && previous !== 'Vermelho') {
+    notify('semaphore.red', { ...sprintData, progressReal: summary.progresso_real_percent, progressExpected: summary.progresso_esperado_percent });
+  }
+  state.semaphore[sprint.id] = summary.status_semaforo;
+
+  for (const block of summary.bloqueadas || []) {
+    if (block.idade_do_bloqueio_dias < config.notifications.blockAgeDays || state.agedBlocks[block.id]) continue;
+    notify('block.aged', { ...sprintData, taskId: block.id, taskTitle: block.title, motivo: block.motivo || '', responsavelId: block.responsavelId || null, days: block.idade_do_bloqueio_dias });
+    state.agedBlocks[block.id] = new Date().toISOString();
+  }
+  // Bloqueios resolvidos voltam a poder alertar se a tarefa for bloqueada de novo
+  const blockedIds = new Set((summary.bloqueadas || []).map(b => b.id));
+  for (const id of Object.keys(state.agedBlocks)) if (!blockedIds.has(id)) delete state.agedBlocks[id];
+
+  const tasks = (await api.get('/tasks', { params: { sprintId: sprint.id, page: 1, pageSize: 1000 } })).data.items || [];
+  const now = dayjs();
+  for (const task of tasks) {
+    const due = parseApiDate(task.dueDate);
+    if (!due || task.status === 'Concluída' || !due.isBefore(now)) continue;
+    // Um novo prazo (replanejamento) gera um novo alerta
+    const key = `${task.id}@${task.dueDate}`;
+    if (state.overdue[key]) continue;
+    notify('task.overdue', { ...sprintData, taskId: task.id, taskTitle: task.title, assigneeId: task.assigneeId || null, dueDate: task.dueDate });
+    state.overdue[key] = new Date().toISOString();
+  }
+}
+
+// Verifica todas as sprints iniciadas; retorna quantas foram varridas
+async function scanForNotifications(api) {
+  const sprints = (await api.get('/sprints')).data.items || [];
+  const started = sprints.filter(s => s.status === 'Started');
+  const state = JSON.parse(JSON.stringify(store.read()));
+  for (const sprint of started) await scanSprint(api, sprint, state);
+  store.update((data) => Object.assign(data, state));
+  return started.length;
+}
+
+// Varredura periódica com a conta de serviço; sem ela, só os eventos das rotas são enviados
+function startNotificationScanner() {
+  const { scanIntervalMs } = config.notifications;
+  if (!scanIntervalMs || !isServiceAccountConfigured()) return null;
+  const run = () => withServiceApi(scanForNotifications).catch((err) => {
+    // eslint-disable-next-line no-console
+    console.error('Falha na varredura de notificações:', err.message);
+  });
+  run();
+  const timer = setInterval(run, scanIntervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { scanForNotifications, startNotificationScanner };
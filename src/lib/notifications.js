@@ -0,0 +1,277 @@
+'use strict';
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { jsonStore } = require('./jsonStore');
+const { sendMail } = require('./smtp');
+const { webhookUrlError, guardedRequestOptions } = require('./webhookGuard');
+const { translatorFor } = require('./i18n');
+const { getPreferences, setPreference, usersWithPreference } = require('./preferences');
+const { config } = require('../config');
+
+// Notificações de saída. Eventos das rotas (tarefa bloqueada, sprint iniciada/encerrada)
+// e da varredura periódica (bloqueio antigo, semáforo vermelho, tarefa atrasada) viram
+// entregas por webhook (JSON genérico ou Slack) e e-mail. As entregas ficam numa fila
+// persistida e são reenviadas com backoff exponencial até config.notifications.maxAttempts.
+const EVENT_TYPES = ['task.blocked', 'sprint.started', 'sprint.closed', 'block.aged', 'block.escalated', 'semaphore.red', 'task.overdue'];
+// Eventos de sprint interessam a todos; os de tarefa podem ser limitados às "minhas"
+const SPRINT_EVENTS = ['sprint.started', 'sprint.closed', 'semaphore.red'];
+const WEBHOOK_FORMATS = ['generic', 'slack'];
+const HISTORY_LIMIT = 200;
+
+const DEFAULT_SUBSCRIPTION = { events: [], email: false, emailAddress: '', onlyMine: false, webhookUrl: '', webhookFormat: 'generic' };
+
+const outbox = jsonStore('notification-outbox.json', { deliveries: [] });
+
+function getSubscription(userId) {
+  return { ...DEFAULT_SUBSCRIPTION, ...(getPreferences(userId).notifications || {}) };
+}
+
+// Valida e grava a assinatura; retorna a chave do erro (notifications.errors.*) ou null
+function saveSubscription(user, input) {
+  const webhookUrl = String(input.webhookUrl || '').trim();
+  const urlError = webhookUrl ? webhookUrlError(webhookUrl) : null;
+  if (urlError) return urlError;
+  const events = [].concat(input.events || []).filter(e => EVENT_TYPES.includes(e));
+  setPreference(user.id, 'notifications', {
+    events,
+    email: input.email === 'on' || input.email === true,
+    // O e-mail da conta no momento da assinatura: a varredura roda sem sessão de usuário
+    emailAddress: user.email,
+    onlyMine: input.onlyMine === 'on' || input.onlyMine === true,
+    webhookUrl,
+    webhookFormat: WEBHOOK_FORMATS.includes(input.webhookFormat) ? input.webhookFormat : 'generic'
+  });
+  return null;
+}
+
+function emailEnabled() {
+  return Boolean(config.smtp.host);
+}
+
+// Webhooks da equipe (NOTIFY_WEBHOOKS): "slack:https://..." ou "https://..."
+function teamTargets() {
+  return config.notifications.webhooks.map((spec) => {
+    const slack = spec.startsWith('slack:');
+    return { channel: 'webhook', target: slack ? spec.slice(6) : spec, format: slack ? 'slack' : 'generic', userId: null };
+  });
+}
+
+function userTargets(userId, subscription, prefs = getPreferences(userId)) {
+  const targets = [];
+  const locale = prefs.locale;
+  if (subscription.email && subscription.emailAddress && emailEnabled()) {
+    targets.push({ channel: 'email', target: subscription.emailAddress, locale, userId });
+  }
+  if (subscription.webhookUrl) {
+    targets.push({ channel: 'webhook', target: subscription.webhookUrl, format: subscription.webhookFormat, locale, userId });
+  }
+  return targets;
+}
+
+function involves(event, userId) {
+  if (SPRINT_EVENTS.includes(event.type)) return true;
+  return event.data.assigneeId === userId || event.data.responsavelId === userId;
+}
+
+// Destinos do evento: webhooks da equipe e assinantes (exceto quem fez a alteração)
+function targetsFor(event) {
+  const targets = teamTargets();
+  for (const { userId, value, prefs } of usersWithPreference('notifications')) {
+    const subscription = { ...DEFAULT_SUBSCRIPTION, ...value };
+    if (!subscription.events.includes(event.type)) continue;
+    if (event.actor && event.actor.id === userId) continue;
+    if (subscription.onlyMine && !involves(event, userId)) continue;
+    targets.push(...userTargets(userId, subscription, prefs));
+  }
+  return targets;
+}
+
+function enqueue(event, targets) {
+  if (!targets.length) return 0;
+  const now = new Date().toISOString();
+  outbox.update((data) => {
+    for (const target of targets) {
+      data.deliveries.push({
+        id: crypto.randomBytes(8).toString('hex'),
+        ...target,
+        event,
+        status: 'pending',
+        attempts: 0,
+        createdAt: now,
+        nextAttemptAt: now,
+        lastError: null
+      });
+    }
+  });
+  setImmediate(() => processOutbox().catch(logFailure));
+  return targets.length;
+}
+
+// Dispara um evento (type em EVENT_TYPES); data traz os campos usados nas mensagens
+function notify(type, data, { actor = null } = {}) {
+  const event = {
+    id: crypto.randomBytes(8).toString('hex'),
+    type,
+    at: new Date().toISOString(),
+    actor: actor ? { id: actor.id, name: actor.name } : null,
+    data
+  };
+  return enqueue(event, targetsFor(event));
+}
+
+// Mensagem de teste para os canais do próprio usuário
+function notifyTest(user) {
+  const event = { id: crypto.randomBytes(8).toString('hex'), type: 'test', at: new Date().toISOString(), actor: null, data: { userName: user.name } };
+  return enqueue(event, userTargets(user.id, getSubscription(user.id)));
+}
+
+// Eventos das escritas feitas pelas rotas (chamado após a auditoria de cada escrita);
+// falhas ao enfileirar não afetam a alteração já feita na API
+function notifyWrite(entry, payload) {
+  try {
+    eventsForWrite(entry, payload);
+  } catch (err) {
+    logFailure(err);
+  }
+}
+
+function eventsForWrite(entry, payload) {
+  const actor = entry.actor;
+  if (entry.action === 'task.status' && entry.after?.status === 'Bloqueada' && entry.before?.status !== 'Bloqueada') {
+    const task = entry.after;
+    notify('task.blocked', {
+      taskId: task.id,
+      taskTitle: task.title,
+      assigneeId: task.assigneeId || null,
+      motivo: payload?.block?.motivo || '',
+      responsavelId: payload?.block?.responsavelId || null,
+      actorName: actor?.name || ''
+    }, { actor });
+  } else if (entry.action === 'sprint.start' || entry.action === 'sprint.close') {
+    const sprint = entry.after || entry.before || {};
+    notify(entry.action === 'sprint.start' ? 'sprint.started' : 'sprint.closed', {
+      sprintId: sprint.id || entry.entityId,
+      sprintName: sprint.name || entry.entityId,
+      dueDate: sprint.dueDate || '',
+      actorName: actor?.name || ''
+    }, { actor });
+  }
+}
+
+function eventPath(event) {
+  if (event.data.taskId) return `/tasks/${event.data.taskId}`;
+  if (event.data.sprintId) return `/sprints/${event.data.sprintId}`;
+  return '/dashboard';
+}
+
+// Assunto, texto e link no idioma do destinatário
+function renderMessage(event, locale) {
+  const { t } = translatorFor(locale);
+  return {
+    subject: t(`notifications.events.${event.type}.subject`, event.data),
+    text: t(`notifications.events.${event.type}.text`, event.data),
+    url: `${config.notifications.baseUrl}${eventPath(event)}`,
+    openLabel: t('notifications.open')
+  };
+}
+
+// Texto de mensagem do Slack: &, < e > formam links e menções (<@U123>, <!channel>)
+function slackEscape(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+async function deliver(delivery) {
+  const message = renderMessage(delivery.event, delivery.locale);
+  if (delivery.channel === 'email') {
+    if (!emailEnabled()) throw new Error('SMTP não configurado (SMTP_HOST).');
+    return sendMail(config.smtp, { to: delivery.target, subject: message.subject, text: `${message.text}\n\n${message.openLabel}: ${message.url}\n` });
+  }
+  const body = delivery.format === 'slack'
+    ? { text: `*${slackEscape(message.subject)}*\n${slackEscape(message.text)}\n<${message.url}|${slackEscape(message.openLabel)}>` }
+    : { event: delivery.event.type, id: delivery.event.id, at: delivery.event.at, subject: message.subject, text: message.text, url: message.url, data: delivery.event.data };
+  // Webhooks da equipe vêm da configuração; os pessoais passam pela proteção contra SSRF
+  if (!delivery.userId) return axios.post(delivery.target, body, { timeout: config.notifications.webhookTimeoutMs });
+  const urlError = webhookUrlError(delivery.target);
+  if (urlError) throw new Error(translatorFor(delivery.locale).t(`notifications.errors.${urlError}`));
+  await axios.post(delivery.target, body, { timeout: config.notifications.webhookTimeoutMs, ...guardedRequestOptions });
+}
+
+function logFailure(err) {
+  // eslint-disable-next-line no-console
+  console.error('Falha ao processar notificações:', err.message);
+}
+
+let processing = false;
+
+// Envia as entregas pendentes vencidas; falhas são reagendadas até maxAttempts
+async function processOutbox() {
+  if (processing) return;
+  processing = true;
+  try {
+    const now = Date.now();
+    const due = outbox.read().deliveries.filter(d => d.status === 'pending' && Date.parse(d.nextAttemptAt) <= now);
+    for (const delivery of due) {
+      let error = null;
+      try {
+        await deliver(delivery);
+      } catch (err) {
+        error = err.response ? `HTTP ${err.response.status}` : err.message;
+      }
+      outbox.update((data) => {
+        const item = data.deliveries.find(d => d.id === delivery.id);
+        if (!item) return;
+        item.attempts += 1;
+        item.lastAttemptAt = new Date().toISOString();
+        item.lastError = error;
+        if (!error) {
+          item.status = 'sent';
+        } else if (item.attempts >= config.notifications.maxAttempts) {
+          item.status = 'failed';
+        } else {
+          item.nextAttemptAt = new Date(Date.now() + config.notifications.retryBaseMs * 2 ** (item.attempts - 1)).toISOString();
+        }
+      });
+    }
+    // Mantém as pendentes e apenas o histórico recente das concluídas
+    outbox.update((data) => {
+      const pending = data.deliveries.filter(d => d.status === 'pending');
+      const finished = data.deliveries.filter(d => d.status !== 'pending').slice(-HISTORY_LIMIT);
+      data.deliveries = [...finished, ...pending];
+    });
+  } finally {
+    processing = false;
+  }
+}
+
+// Últimas entregas para os canais de um usuário (mais recentes primeiro)
+function recentDeliveries(userId, limit = 10) {
+  return outbox.read().deliveries
+    .filter(d => d.userId === userId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+}
+
+// Reprocessa a fila periodicamente (novas tentativas após reinício ou falha)
+function startNotificationWorker() {
+  const intervalMs = Math.min(config.notifications.retryBaseMs || 30000, 30000);
+  const timer = setInterval(() => processOutbox().catch(logFailure), intervalMs);
+  timer.unref();
+  processOutbox().catch(logFailure);
+  return timer;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  WEBHOOK_FORMATS,
+  getSubscription,
+  saveSubscription,
+  emailEnabled,
+  notify,
+  notifyTest,
+  notifyWrite,
+  renderMessage,
+  processOutbox,
+  recentDeliveries,
+  startNotificationWorker
+};
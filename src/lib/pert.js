@@ -0,0 +1,224 @@
+'use strict';
+
+const crypto = require('crypto');
+const { addBusinessDays, API_DAY_FORMAT } = require('./workdays');
+
+// Fases PERT de uma tarefa e o prefixo dos campos O/M/P usados nos formulários
+const PHASES = [
+  { key: 'analiseModelagem', label: 'Análise e Modelagem', prefix: 'am' },
+  { key: 'execucao', label: 'Execução', prefix: 'ex' },
+  { key: 'reteste', label: 'Reteste', prefix: 're' },
+  { key: 'documentacao', label: 'Documentação', prefix: 'do' }
+];
+
+// Validação mínima O<=M<=P por fase (a API repete a validação e responde 422)
+function validPhase(p) {
+  if (!p) return false;
+  const O = parseFloat(p.O), M = parseFloat(p.M), P = parseFloat(p.P);
+  return !Number.isNaN(O) && !Number.isNaN(M) && !Number.isNaN(P) && O <= M && M <= P;
+}
+
+// Monta o objeto phases a partir dos campos am_O, am_M, ..., do_P
+function phasesFromBody(body) {
+  const phases = {};
+  for (const { key, prefix } of PHASES) {
+    phases[key] = { O: body[`${prefix}_O`], M: body[`${prefix}_M`], P: body[`${prefix}_P`] };
+  }
+  return phases;
+}
+
+function validPhases(phases) {
+  return PHASES.every(({ key }) => validPhase(phases[key]));
+}
+
+// Fases inválidas no formato do ErrorArray da API (mesmos code e field), para os erros por campo
+function phaseErrors(phases) {
+  const errors = [];
+  for (const { key } of PHASES) {
+    const p = phases[key] || {};
+    const values = [p.O, p.M, p.P].map(v => parseFloat(v));
+    if (values.some(v => Number.isNaN(v) || v < 0)) {
+      errors.push({ code: 'PHASE_INVALID', field: `phases.${key}` });
+    } else if (!validPhase(p)) {
+      errors.push({ code: 'PERT_ORDER', field: `phases.${key}` });
+    }
+  }
+  return errors;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Valores z da normal padrão para os percentis exibidos
+const Z = { p50: 0, p85: 1.036, p95: 1.645 };
+
+// Estimativa PERT de uma fase: E = (O+4M+P)/6, σ = (P−O)/6
+function phaseStats(p) {
+  if (!validPhase(p)) return null;
+  const O = parseFloat(p.O), M = parseFloat(p.M), P = parseFloat(p.P);
+  const sd = (P - O) / 6;
+  return { O, M, P, expected: (O + 4 * M + P) / 6, sd, variance: sd * sd };
+}
+
+// Soma das fases de uma tarefa; as variâncias se somam (fases independentes)
+function taskStats(phases) {
+  const out = { phases: {}, expected: 0, variance: 0, complete: true };
+  for (const { key } of PHASES) {
+    const st = phaseStats(phases?.[key]);
+    out.phases[key] = st;
+    if (!st) {
+      out.complete = false;
+      continue;
+    }
+    out.expected += st.expected;
+    out.variance += st.variance;
+  }
+  out.sd = Math.sqrt(out.variance);
+  return out;
+}
+
+// Esforço agregado de um conjunto de tarefas pela aproximação normal (teorema central do limite)
+function effortPercentiles(tasks) {
+  let expected = 0;
+  let variance = 0;
+  for (const t of tasks) {
+    const st = taskStats(t.phases);
+    expected += st.expected;
+    variance += st.variance;
+  }
+  const sd = Math.sqrt(variance);
+  return {
+    count: tasks.length,
+    expected: round2(expected),
+    sd: round2(sd),
+    p50: round2(expected + Z.p50 * sd),
+    p85: round2(expected + Z.p85 * sd),
+    p95: round2(expected + Z.p95 * sd)
+  };
+}
+
+// PRNG determinístico (mulberry32) para que a previsão não mude a cada recarga
+function seededRandom(seed) {
+  let a = 0;
+  for (const ch of String(seed)) a = (Math.imul(a, 31) + ch.charCodeAt(0)) | 0;
+  return function () {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function normalSample(rand) {
+  let u = 0;
+  while (u === 0) u = rand();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rand());
+}
+
+// Gamma(shape, 1) por Marsaglia-Tsang
+function gammaSample(shape, rand) {
+  if (shape < 1) return gammaSample(shape + 1, rand) * Math.pow(rand() || 1e-12, 1 / shape);
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = normalSample(rand);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = rand();
+    if (u < 1 - 0.0331 * x ** 4 || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+// Amostra da distribuição Beta-PERT definida por O, M e P
+function pertSample(O, M, P, rand) {
+  if (P <= O) return O;
+  const alpha = 1 + (4 * (M - O)) / (P - O);
+  const beta = 1 + (4 * (P - M)) / (P - O);
+  const x = gammaSample(alpha, rand);
+  const y = gammaSample(beta, rand);
+  return O + (x / (x + y)) * (P - O);
+}
+
+function percentile(sorted, q) {
+  if (!sorted.length) return 0;
+  const idx = Math.min(sorted.length - 1, Math.max(0, Math.ceil(q * sorted.length) - 1));
+  return sorted[idx];
+}
+
+// A simulação roda no laço de eventos: o número de iterações cai com a quantidade de
+// fases para limitar o total de sorteios, e os esforços simulados ficam em cache pelas
+// entradas (fases, semente e iterações) para as próximas renderizações.
+const MAX_ITERATIONS = 2000;
+const MIN_ITERATIONS = 500;
+const SAMPLE_BUDGET = 200000;
+const CACHE_SIZE = 50;
+const effortCache = new Map();
+
+function simulateEfforts(phaseList, iterations, seed) {
+  const key = crypto.createHash('sha1')
+    .update(JSON.stringify([seed, iterations, phaseList.map(st => [st.O, st.M, st.P])]))
+    .digest('hex');
+  const cached = effortCache.get(key);
+  if (cached) {
+    // Reinsere para manter a ordem de uso (LRU)
+    effortCache.delete(key);
+    effortCache.set(key, cached);
+    return cached;
+  }
+  const rand = seededRandom(seed);
+  const efforts = new Array(iterations);
+  for (let i = 0; i < iterations; i++) {
+    let total = 0;
+    for (const st of phaseList) total += pertSample(st.O, st.M, st.P, rand);
+    efforts[i] = total;
+  }
+  efforts.sort((a, b) => a - b);
+  effortCache.set(key, efforts);
+  if (effortCache.size > CACHE_SIZE) effortCache.delete(effortCache.keys().next().value);
+  return efforts;
+}
+
+// Simulação Monte Carlo da data de conclusão: sorteia cada fase das tarefas
+// pendentes e converte o esforço total em dias úteis pela capacidade diária.
+function monteCarloForecast({ tasks, dailyHours, start = new Date(), iterations = null, seed = 'taskwise' }) {
+  if (!(dailyHours > 0)) return null;
+  const phaseList = [];
+  for (const t of tasks) {
+    for (const { key } of PHASES) {
+      const st = phaseStats(t.phases?.[key]);
+      if (st) phaseList.push(st);
+    }
+  }
+  if (!iterations) {
+    iterations = Math.max(MIN_ITERATIONS, Math.min(MAX_ITERATIONS, Math.floor(SAMPLE_BUDGET / Math.max(1, phaseList.length))));
+  }
+  const efforts = simulateEfforts(phaseList, iterations, seed);
+  const result = { iterations, tasks: tasks.length, dailyHours: round2(dailyHours), effort: {}, days: {}, dates: {} };
+  for (const [name, q] of [['p50', 0.5], ['p85', 0.85], ['p95', 0.95]]) {
+    const effort = percentile(efforts, q);
+    const days = effort / dailyHours;
+    result.effort[name] = round2(effort);
+    result.days[name] = round2(days);
+    result.dates[name] = addBusinessDays(start, days).format(API_DAY_FORMAT);
+  }
+  return result;
+}
+
+module.exports = {
+  PHASES,
+  validPhase,
+  validPhases,
+  phaseErrors,
+  phasesFromBody,
+  phaseStats,
+  taskStats,
+  effortPercentiles,
+  monteCarloForecast,
+  seededRandom,
+  pertSample
+};
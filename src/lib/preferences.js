@@ -0,0 +1,25 @@
+'use strict';
+
+const { jsonStore } = require('./jsonStore');
+
+// Preferências por usuário guardadas pela aplicação web (ex.: idioma da interface)
+const store = jsonStore('preferences.json', { users: {} });
+
+function getPreferences(userId) {
+  return { ...(store.read().users[userId] || {}) };
+}
+
+function setPreference(userId, key, value) {
+  store.update((data) => {
+    data.users[userId] = { ...(data.users[userId] || {}), [key]: value };
+  });
+}
+
+// Usuários que definiram a preferência, com o valor de cada um
+function usersWithPreference(key) {
+  return Object.entries(store.read().users)
+    .filter(([, prefs]) => prefs[key] !== undefined)
+    .map(([userId, prefs]) => ({ userId, value: prefs[key], prefs: { ...prefs } }));
+}
+
+module.exports = { getPreferences, setPreference, usersWithPreference };
@@ -0,0 +1,60 @@
+'use strict';
+
+// Limitador em memória por chave (IP, e-mail): após `max` tentativas dentro de
+// `windowMs`, a chave fica bloqueada por `lockoutMs`. Adequado a uma única instância.
+function createRateLimiter({ windowMs, max, lockoutMs = windowMs }) {
+  const entries = new Map();
+
+  function current(key, now) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.lockedUntil && entry.lockedUntil <= now) {
+      entries.delete(key);
+      return null;
+    }
+    if (!entry.lockedUntil && now - entry.windowStart >= windowMs) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  const pruneTimer = setInterval(() => {
+    const now = Date.now();
+    for (const key of entries.keys()) current(key, now);
+  }, Math.max(windowMs, 60 * 1000));
+  pruneTimer.unref();
+
+  return {
+    // Milissegundos restantes de bloqueio (0 se liberado)
+    retryAfterMs(key) {
+      const now = Date.now();
+      const entry = current(key, now);
+      return entry?.lockedUntil ? entry.lockedUntil - now : 0;
+    },
+    // Registra uma tentativa; devolve true se ela causou o bloqueio
+    hit(key) {
+      const now = Date.now();
+      let entry = current(key, now);
+      if (!entry) {
+        entry = { count: 0, windowStart: now, lockedUntil: 0 };
+        entries.set(key, entry);
+      }
+      entry.count += 1;
+      if (max > 0 && entry.count >= max && !entry.lockedUntil) {
+        entry.lockedUntil = now + lockoutMs;
+        return true;
+      }
+      return false;
+    },
+    reset(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+function minutesUntil(ms) {
+  return Math.max(1, Math.ceil(ms / 60000));
+}
+
+module.exports = { createRateLimiter, minutesUntil };
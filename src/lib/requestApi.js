@@ -0,0 +1,167 @@
+'use strict';
+
+const { apiClient } = require('./apiClient');
+const { auditedWrite, recordAudit } = require('./audit');
+const { notifyWrite } = require('./notifications');
+const { publishWrite } = require('./liveUpdates');
+const { config } = require('../config');
+
+// Camada de cache em torno do apiClient:
+// - por requisição: GETs idênticos dentro da mesma página viram uma única chamada;
+// - compartilhado: sprints e usuários disponíveis (iguais para qualquer usuário)
+//   ficam em cache por um TTL curto, separados por timezone (a API formata as datas);
+// - escritas feitas por esta aplicação invalidam os caches afetados.
+const SHARED_RESOURCES = [
+  { name: 'sprints', pattern: /^\/sprints(\/[^/]+)?$/ },
+  { name: 'users', pattern: /^\/users\/available$/ }
+];
+// Tarefas alteram taskIds/dueDate das sprints, por isso também invalidam 'sprints'
+const INVALIDATIONS = [
+  { pattern: /^\/tasks(\/|$)/, resources: ['sprints'] },
+  { pattern: /^\/sprints(\/|$)/, resources: ['sprints'] },
+  { pattern: /^\/users(\/|$)/, resources: ['users'] }
+];
+const ENRICH_CONCURRENCY = 5;
+
+const sharedCaches = new Map(SHARED_RESOURCES.map(({ name }) => [name, new Map()]));
+
+function sharedResourceFor(url) {
+  return SHARED_RESOURCES.find(({ pattern }) => pattern.test(url))?.name || null;
+}
+
+function invalidateShared(url) {
+  for (const { pattern, resources } of INVALIDATIONS) {
+    if (pattern.test(url)) resources.forEach(name => sharedCaches.get(name).clear());
+  }
+}
+
+function cacheKey(url, params) {
+  const entries = Object.entries(params || {}).filter(([, v]) => v !== undefined && v !== null && v !== '').sort(([a], [b]) => a.localeCompare(b));
+  return entries.length ? `${url}?${new URLSearchParams(entries)}` : url;
+}
+
+// Cada consumidor recebe sua cópia: rotas podem alterar data.items sem afetar o cache
+function cloneResponse(resp) {
+  return { status: resp.status, headers: resp.headers, data: structuredClone(resp.data) };
+}
+
+// Cliente da API com a mesma interface usada pelas rotas (get/post/put/patch/delete).
+// timings, se informado, recebe { method, url, source, ms } de cada chamada.
+// audit ({ actor, via, route }), se informado, registra as escritas na trilha de auditoria.
+function scopedApi(token, timezone, { timings, audit } = {}) {
+  const client = apiClient(token, timezone);
+  const tzKey = timezone || process.env.TZ || 'UTC';
+  const requestCache = new Map();
+
+  async function measure(method, url, source, promise) {
+    const started = process.hrtime.bigint();
+    try {
+      return await promise;
+    } finally {
+      if (timings) timings.push({ method, url, source, ms: Number(process.hrtime.bigint() - started) / 1e6 });
+    }
+  }
+
+  function fetchShared(resource, key, url, options) {
+    const cache = sharedCaches.get(resource);
+    const sharedKey = `${tzKey} ${key}`;
+    const hit = cache.get(sharedKey);
+    if (hit && hit.expiresAt > Date.now()) return { promise: hit.promise, source: 'shared' };
+    const promise = client.get(url, options);
+    cache.set(sharedKey, { promise, expiresAt: Date.now() + config.api.cache.ttlMs });
+    // Falhas não ficam em cache
+    promise.catch(() => {
+      if (cache.get(sharedKey)?.promise === promise) cache.delete(sharedKey);
+    });
+    return { promise, source: 'network' };
+  }
+
+  function get(url, options = {}) {
+    const key = cacheKey(url, options.params);
+    if (requestCache.has(key)) {
+      return measure('GET', key, 'request', requestCache.get(key)).then(cloneResponse);
+    }
+    const resource = config.api.cache.ttlMs > 0 ? sharedResourceFor(url) : null;
+    const { promise, source } = resource
+      ? fetchShared(resource, key, url, options)
+      : { promise: client.get(url, options), source: 'network' };
+    requestCache.set(key, promise);
+    promise.catch(() => requestCache.delete(key));
+    return measure('GET', key, source, promise).then(cloneResponse);
+  }
+
+  // Estado da entidade antes da escrita auditada (direto da API, sem cache)
+  async function auditSnapshot(audited) {
+    if (!audited?.snapshotUrl) return null;
+    return client.get(audited.snapshotUrl).then(r => r.data, () => null);
+  }
+
+  async function write(method, url, ...args) {
+    const audited = audit ? auditedWrite(method, url) : null;
+    const before = await auditSnapshot(audited);
+    const promise = client[method](url, ...args);
+    // Mesmo em erro a API pode ter aplicado parte da alteração: invalida sempre
+    const invalidate = () => {
+      requestCache.clear();
+      invalidateShared(url);
+    };
+    promise.then(invalidate, invalidate);
+    const resp = await measure(method.toUpperCase(), url, 'network', promise);
+    if (audited) {
+      const after = method === 'delete' ? null : (resp.data && typeof resp.data === 'object' ? resp.data : await auditSnapshot(audited));
+      const entry = recordAudit({ ...audit, action: audited.action, entity: audited.entity, entityId: audited.entityId, before, after });
+      notifyWrite(entry, args[0]);
+      publishWrite(entry);
+    }
+    return resp;
+  }
+
+  return {
+    get,
+    post: (url, data, options) => write('post', url, data, options),
+    put: (url, data, options) => write('put', url, data, options),
+    patch: (url, data, options) => write('patch', url, data, options),
+    delete: (url, options) => write('delete', url, options)
+  };
+}
+
+// Dados de auditoria das escritas feitas pela requisição: autor e rota de origem
+function auditContext(req, actor, via = 'web') {
+  return { actor, via, route: `${req.method} ${req.originalUrl}` };
+}
+
+// Cliente da requisição atual (token/timezone da sessão), criado uma vez por requisição
+function requestApi(req) {
+  if (!req.scopedApi) {
+    req.scopedApi = scopedApi(req.session.token, req.session.tz, { timings: req.apiTimings, audit: auditContext(req, req.session.user) });
+  }
+  return req.scopedApi;
+}
+
+// Executa fn sobre os itens com no máximo `limit` chamadas simultâneas
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Completa itens da listagem que vieram sem totalHours/totalDays com o detalhe da
+// tarefa, em paralelo limitado; falhas mantêm o item original. dueDate não entra no
+// critério: só existe após "Em Andamento" e o detalhe de uma tarefa em Backlog também
+// vem sem ela (buscá-lo gerava uma chamada por tarefa sem ganho algum).
+async function enrichTasks(api, tasks) {
+  const needDetails = tasks.filter(t => t.totalHours == null || t.totalDays == null);
+  if (!needDetails.length) return tasks;
+  const details = await mapLimit(needDetails, ENRICH_CONCURRENCY, t => api.get(`/tasks/${t.id}`).then(r => r.data).catch(() => null));
+  const mapById = new Map(details.filter(Boolean).map(d => [d.id, d]));
+  return tasks.map(t => mapById.get(t.id) || t);
+}
+
+module.exports = { scopedApi, requestApi, auditContext, enrichTasks, mapLimit };
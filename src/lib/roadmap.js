@@ -0,0 +1,243 @@
+'use strict';
+
+const dayjs = require('dayjs');
+const { parseApiDate, addBusinessDays, subtractBusinessDays } = require('./workdays');
+const { dailyCapacityHours } = require('./capacity');
+const { translatorFor } = require('./i18n');
+
+// Linha do tempo (Gantt) das sprints com as suas tarefas. Sprints iniciadas e fechadas vão
+// de startedAt até dueDate/closedAt; as Created ainda não têm datas e recebem uma barra
+// projetada, em sequência após o trabalho em andamento, com a soma de totalDays das
+// tarefas convertida pela capacidade diária da sprint. A tarefa da API não traz a data de
+// início: ela é o dueDate menos totalDays dias úteis.
+const ZOOMS = ['week', 'month'];
+const DAY_WIDTH = { week: 24, month: 6 };
+const WORKDAY_HOURS = 8;
+const DONE = 'Concluída';
+
+const SPRINT_COLORS = { Closed: '#b5b5b5', Started: '#3273dc', Created: '#3273dc' };
+const TASK_COLORS = { Backlog: '#b5b5b5', 'Em Andamento': '#3e8ed0', Bloqueada: '#ffb70f', 'Concluída': '#48c774' };
+const OVERDUE_COLOR = '#f14668';
+
+function esc(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function maxDate(dates) {
+  return dates.filter(Boolean).reduce((a, b) => (!a || b.isAfter(a) ? b : a), null);
+}
+
+function minDate(dates) {
+  return dates.filter(Boolean).reduce((a, b) => (!a || b.isBefore(a) ? b : a), null);
+}
+
+// Dias úteis da sprint: soma de totalDays (dias de 8 h) dividida pela capacidade diária;
+// sem capacidade cadastrada, a soma de totalDays. No mínimo um dia para a barra aparecer.
+function projectedDays(sprint, tasks) {
+  const taskDays = tasks.reduce((acc, t) => acc + (Number(t.totalDays) || 0), 0);
+  const perDay = dailyCapacityHours(sprint.capacity);
+  const days = perDay > 0 ? (taskDays * WORKDAY_HOURS) / perDay : taskDays;
+  return Math.max(1, Math.round(days * 100) / 100);
+}
+
+// Barra da tarefa; start projetado quando a tarefa ainda não tem dueDate
+function taskBar(task, { projectedStart, today }) {
+  const days = Number(task.totalDays) || 0;
+  const due = parseApiDate(task.dueDate);
+  const bar = { kind: 'task', id: task.id, label: task.title, status: task.status, assigneeId: task.assigneeId || null, days };
+  if (due) {
+    const overdue = task.status !== DONE && due.isBefore(today, 'day');
+    return { ...bar, start: subtractBusinessDays(due, days), end: due, projected: false, overdue, overdueUntil: overdue ? today : null };
+  }
+  if (!projectedStart || task.status === DONE) return { ...bar, start: null, end: null, projected: false, overdue: false, overdueUntil: null };
+  return { ...bar, start: projectedStart, end: addBusinessDays(projectedStart, days), projected: true, overdue: false, overdueUntil: null };
+}
+
+// Monta as linhas da linha do tempo. today: 'YYYY-MM-DD' no timezone do usuário
+function buildRoadmap({ sprints, tasks, today }) {
+  const day = dayjs(today).startOf('day');
+  const tasksBySprint = new Map();
+  for (const t of tasks) {
+    if (!t.sprintId) continue;
+    if (!tasksBySprint.has(t.sprintId)) tasksBySprint.set(t.sprintId, []);
+    tasksBySprint.get(t.sprintId).push(t);
+  }
+  const byDate = key => (a, b) => (parseApiDate(a[key])?.valueOf() || 0) - (parseApiDate(b[key])?.valueOf() || 0);
+  const dated = sprints.filter(s => s.status !== 'Created' && parseApiDate(s.startedAt)).sort(byDate('startedAt'));
+  const planned = sprints.filter(s => !dated.includes(s)).sort(byDate('createdAt'));
+
+  const rows = [];
+  for (const sprint of dated) {
+    const sprintTasks = tasksBySprint.get(sprint.id) || [];
+    const start = parseApiDate(sprint.startedAt);
+    const due = parseApiDate(sprint.dueDate);
+    const closedAt = parseApiDate(sprint.closedAt);
+    const bar = { kind: 'sprint', id: sprint.id, label: sprint.name, status: sprint.status, start, projected: false };
+    if (sprint.status === 'Closed' && closedAt) {
+      // Fechada depois do prazo: o atraso vai do dueDate ao fechamento
+      const late = Boolean(due && closedAt.isAfter(due, 'day'));
+      Object.assign(bar, { end: late ? due : closedAt, overdue: late, overdueUntil: late ? closedAt : null });
+    } else {
+      const end = due || addBusinessDays(start, projectedDays(sprint, sprintTasks));
+      const overdue = end.isBefore(day, 'day');
+      Object.assign(bar, { end, projected: !due, overdue, overdueUntil: overdue ? day : null });
+    }
+    const projectedStart = sprint.status === 'Started' ? maxDate([start, day]) : null;
+    bar.tasks = sprintTasks.map(t => taskBar(t, { projectedStart, today: day }));
+    rows.push(bar);
+  }
+
+  // Sprints Created em fila, a partir de hoje ou do fim previsto da última iniciada
+  let cursor = maxDate([day, ...rows.filter(r => r.status === 'Started').map(r => r.overdueUntil || r.end)]);
+  for (const sprint of planned) {
+    const sprintTasks = tasksBySprint.get(sprint.id) || [];
+    const days = projectedDays(sprint, sprintTasks);
+    const end = addBusinessDays(cursor, days);
+    rows.push({
+      kind: 'sprint',
+      id: sprint.id,
+      label: sprint.name,
+      status: sprint.status,
+      start: cursor,
+      end,
+      days,
+      projected: true,
+      overdue: false,
+      overdueUntil: null,
+      tasks: sprintTasks.map(t => taskBar(t, { projectedStart: cursor, today: day }))
+    });
+    cursor = end;
+  }
+
+  const bars = rows.flatMap(r => [r, ...r.tasks]).filter(r => r.start);
+  return {
+    today: day,
+    sprints: rows,
+    start: minDate([day, ...bars.map(b => b.start)]),
+    end: maxDate([day, ...bars.map(b => b.overdueUntil || b.end)]),
+    overdueCount: bars.filter(b => b.overdue).length
+  };
+}
+
+async function loadRoadmap(api, { today }) {
+  const [sprints, tasks] = await Promise.all([
+    api.get('/sprints').then(r => r.data.items || []),
+    api.get('/tasks', { params: { page: 1, pageSize: 1000 } }).then(r => r.data.items || [])
+  ]);
+  return buildRoadmap({ sprints, tasks, today });
+}
+
+// SVG autocontido (dimensões fixas, fonte e fundo próprios) para exibir na página e
+// baixar como arquivo. zoom: 'week' (grade semanal) ou 'month' (grade mensal).
+// showTasks: false mostra só as sprints. linkBase: prefixo absoluto dos links no arquivo exportado
+function roadmapSvg(roadmap, { zoom = 'week', showTasks = true, linkBase = '', i18n = translatorFor() } = {}) {
+  const { t, tv } = i18n;
+  const unit = zoom === 'month' ? 'month' : 'week';
+  const dayWidth = DAY_WIDTH[unit];
+  const rangeStart = roadmap.start.startOf(unit).startOf('day');
+  const rangeEnd = roadmap.end.endOf(unit).add(1, 'day').startOf('day');
+  const days = rangeEnd.diff(rangeStart, 'day');
+  const pad = { top: 56, left: 280, right: 20 };
+  const rowHeight = { sprint: 28, task: 22 };
+  const x = date => pad.left + (date.diff(rangeStart, 'minute') / 1440) * dayWidth;
+  const formatDay = d => i18n.formatDate(d, 'date');
+  const truncate = (text, max) => (String(text).length > max ? `${String(text).slice(0, max - 1)}…` : String(text));
+
+  const rows = roadmap.sprints.flatMap(s => [s, ...(showTasks ? s.tasks : [])]);
+  const legend = [
+    { label: tv('sprintStatus', 'Started'), color: SPRINT_COLORS.Started },
+    { label: tv('sprintStatus', 'Closed'), color: SPRINT_COLORS.Closed },
+    { label: t('roadmap.projected'), color: SPRINT_COLORS.Created, projected: true },
+    ...(showTasks ? Object.keys(TASK_COLORS).map(s => ({ label: tv('taskStatus', s), color: TASK_COLORS[s] })) : []),
+    { label: t('roadmap.overdue'), color: OVERDUE_COLOR }
+  ];
+  const legendWidth = legend.reduce((acc, item) => acc + 40 + item.label.length * 6.5, 24);
+  const width = Math.ceil(Math.max(pad.left + days * dayWidth + pad.right, legendWidth));
+  const bodyHeight = rows.reduce((acc, r) => acc + rowHeight[r.kind], 0) || rowHeight.sprint;
+  const height = pad.top + bodyHeight + 48;
+  const chartBottom = pad.top + bodyHeight;
+
+  const parts = [];
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif" role="img" aria-label="${esc(t('roadmap.heading'))}" class="roadmap-svg">`);
+  parts.push(`<rect width="${width}" height="${height}" fill="#ffffff"/>`);
+  parts.push(`<text x="12" y="22" font-size="14" font-weight="600" fill="#363636">${esc(t('roadmap.heading'))}</text>`);
+
+  // Fins de semana (só no zoom semanal) e grade com os rótulos do eixo
+  if (unit === 'week') {
+    for (let d = rangeStart; d.isBefore(rangeEnd); d = d.add(1, 'day')) {
+      if (d.day() === 0 || d.day() === 6) parts.push(`<rect x="${x(d).toFixed(1)}" y="${pad.top}" width="${dayWidth}" height="${bodyHeight}" fill="#fafafa"/>`);
+    }
+  }
+  for (let d = rangeStart; d.isBefore(rangeEnd); d = d.add(1, unit)) {
+    const xx = x(d).toFixed(1);
+    const label = unit === 'week' ? i18n.formatDate(d, 'shortDate') : d.locale(i18n.dayjsLocale).format(t('roadmap.monthFormat'));
+    parts.push(`<line x1="${xx}" y1="${pad.top - 16}" x2="${xx}" y2="${chartBottom}" stroke="#ededed"/>`);
+    parts.push(`<text x="${(Number(xx) + 4).toFixed(1)}" y="${pad.top - 6}" font-size="10" fill="#7a7a7a">${esc(label)}</text>`);
+  }
+  parts.push(`<line x1="${pad.left}" y1="${pad.top}" x2="${x(rangeEnd).toFixed(1)}" y2="${pad.top}" stroke="#b5b5b5"/>`);
+
+  let y = pad.top;
+  if (!rows.length) parts.push(`<text x="12" y="${y + 18}" font-size="12" fill="#7a7a7a">${esc(t('roadmap.empty'))}</text>`);
+  for (const row of rows) {
+    const h = rowHeight[row.kind];
+    const isSprint = row.kind === 'sprint';
+    const color = isSprint ? SPRINT_COLORS[row.status] || SPRINT_COLORS.Started : TASK_COLORS[row.status] || TASK_COLORS.Backlog;
+    const href = `${linkBase}/${isSprint ? 'sprints' : 'tasks'}/${encodeURIComponent(row.id)}`;
+    if (isSprint) parts.push(`<rect x="0" y="${y}" width="${width}" height="${h}" fill="#f5f5f5" fill-opacity="0.6"/>`);
+    parts.push(`<line x1="0" y1="${y + h}" x2="${width}" y2="${y + h}" stroke="#f0f0f0"/>`);
+
+    const labelColor = row.overdue ? OVERDUE_COLOR : '#363636';
+    parts.push(`<a href="${esc(href)}"><text x="${isSprint ? 12 : 28}" y="${y + h / 2}" font-size="${isSprint ? 12 : 11}"${isSprint ? ' font-weight="600"' : ''} fill="${labelColor}" dominant-baseline="middle">${esc(truncate(row.label, isSprint ? 38 : 40))}<title>${esc(row.label)}</title></text></a>`);
+
+    if (row.start && row.end) {
+      const barHeight = isSprint ? 14 : 10;
+      const by = y + (h - barHeight) / 2;
+      const x1 = x(row.start);
+      const x2 = Math.max(x1 + 2, x(row.end));
+      const tooltip = [
+        `${row.label} (${isSprint ? tv('sprintStatus', row.status) : tv('taskStatus', row.status)})`,
+        `${formatDay(row.start)} → ${formatDay(row.end)}`,
+        row.projected ? t('roadmap.projectedHint') : '',
+        row.overdue && row.status === 'Closed' ? t('roadmap.closedLateHint', { date: formatDay(row.end), closedAt: formatDay(row.overdueUntil) }) : '',
+        row.overdue && row.status !== 'Closed' ? t('roadmap.overdueHint', { date: formatDay(row.end) }) : ''
+      ].filter(Boolean).join('\n');
+      const style = row.projected
+        ? `fill="${color}" fill-opacity="0.25" stroke="${color}" stroke-width="1.5" stroke-dasharray="4 3"`
+        : `fill="${color}"${row.overdue ? ` stroke="${OVERDUE_COLOR}" stroke-width="1.5"` : ''}`;
+      parts.push(`<a href="${esc(href)}"><g><title>${esc(tooltip)}</title>`);
+      parts.push(`<rect x="${x1.toFixed(1)}" y="${by.toFixed(1)}" width="${(x2 - x1).toFixed(1)}" height="${barHeight}" rx="3" ${style}/>`);
+      if (row.overdueUntil) {
+        // Atraso: do prazo até hoje (ou até o fechamento, em sprints fechadas com atraso)
+        const ox2 = Math.max(x2 + 2, x(row.overdueUntil.endOf('day')));
+        parts.push(`<rect x="${x2.toFixed(1)}" y="${by.toFixed(1)}" width="${(ox2 - x2).toFixed(1)}" height="${barHeight}" rx="3" fill="${OVERDUE_COLOR}" fill-opacity="0.85"/>`);
+      }
+      parts.push('</g></a>');
+    } else {
+      parts.push(`<text x="${pad.left + 6}" y="${y + h / 2}" font-size="10" fill="#b5b5b5" dominant-baseline="middle">${esc(t('roadmap.noDates'))}</text>`);
+    }
+    y += h;
+  }
+
+  // Hoje
+  const tx = x(roadmap.today.add(12, 'hour')).toFixed(1);
+  parts.push(`<line x1="${tx}" y1="${pad.top - 16}" x2="${tx}" y2="${chartBottom}" stroke="${OVERDUE_COLOR}" stroke-width="1.5" stroke-dasharray="3 3"/>`);
+  parts.push(`<text x="${tx}" y="${pad.top - 22}" font-size="10" font-weight="600" fill="${OVERDUE_COLOR}" text-anchor="middle">${esc(t('roadmap.today'))}</text>`);
+  parts.push(`<line x1="${pad.left}" y1="0" x2="${pad.left}" y2="${chartBottom}" stroke="#dbdbdb"/>`);
+
+  // Legenda
+  let lx = 12;
+  const ly = chartBottom + 28;
+  for (const item of legend) {
+    const style = item.projected
+      ? `fill="${item.color}" fill-opacity="0.25" stroke="${item.color}" stroke-dasharray="4 3"`
+      : `fill="${item.color}"`;
+    parts.push(`<rect x="${lx}" y="${ly - 9}" width="18" height="10" rx="2" ${style}/>`);
+    parts.push(`<text x="${lx + 24}" y="${ly}" font-size="11" fill="#4a4a4a">${esc(item.label)}</text>`);
+    lx += 40 + item.label.length * 6.5;
+  }
+
+  parts.push('</svg>');
+  return parts.join('');
+}
+
+module.exports = { ZOOMS, projectedDays, buildRoadmap, loadRoadmap, roadmapSvg };
@@ -0,0 +1,44 @@
+'use strict';
+
+const crypto = require('crypto');
+const { jsonStore } = require('./jsonStore');
+
+// Visões salvas da listagem de tarefas: nome + parâmetros de filtro/busca/ordenação,
+// guardados pela aplicação web. Cada usuário lista as suas; o link /tasks/views/:id
+// abre a visão para qualquer usuário logado (compartilhamento).
+const MAX_NAME_LENGTH = 60;
+
+const store = jsonStore('saved-views.json', { views: [] });
+
+function listSavedViews(userId) {
+  return store.read().views
+    .filter(v => v.userId === userId)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function getSavedView(id) {
+  return store.read().views.find(v => v.id === id) || null;
+}
+
+function createSavedView({ userId, name, query }) {
+  const view = {
+    id: crypto.randomBytes(6).toString('hex'),
+    userId,
+    name: String(name).trim().slice(0, MAX_NAME_LENGTH),
+    query,
+    createdAt: new Date().toISOString()
+  };
+  store.update((data) => { data.views.push(view); });
+  return view;
+}
+
+// Só o dono remove; retorna false se a visão não existe ou é de outro usuário
+function deleteSavedView(id, userId) {
+  return store.update((data) => {
+    const before = data.views.length;
+    data.views = data.views.filter(v => !(v.id === id && v.userId === userId));
+    return data.views.length < before;
+  });
+}
+
+module.exports = { listSavedViews, getSavedView, createSavedView, deleteSavedView, MAX_NAME_LENGTH };
@@ -0,0 +1,35 @@
+'use strict';
+
+const { apiClient } = require('./apiClient');
+const { config } = require('../config');
+
+// Sessão da conta de serviço (SERVICE_ACCOUNT_*) para tarefas em segundo plano,
+// que rodam fora de uma requisição de usuário e portanto sem req.session.token.
+let token = null;
+
+function isServiceAccountConfigured() {
+  return Boolean(config.serviceAccount.email && config.serviceAccount.password);
+}
+
+async function login() {
+  const { email, password } = config.serviceAccount;
+  const resp = await apiClient().post('/auth/login', { email, password });
+  token = resp.data.token;
+  return token;
+}
+
+// Executa fn(api) autenticado; em 401 (token expirado) refaz o login uma vez.
+// timezone, se informado, vai no X-Timezone (formato das datas da API)
+async function withServiceApi(fn, timezone) {
+  if (!isServiceAccountConfigured()) throw new Error('Conta de serviço não configurada (SERVICE_ACCOUNT_EMAIL/PASSWORD).');
+  if (!token) await login();
+  try {
+    return await fn(apiClient(token, timezone));
+  } catch (err) {
+    if (err.response?.status !== 401) throw err;
+    await login();
+    return fn(apiClient(token, timezone));
+  }
+}
+
+module.exports = { withServiceApi, isServiceAccountConfigured };
@@ -0,0 +1,110 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const session = require('express-session');
+const { jsonStore } = require('./jsonStore');
+const { config } = require('../config');
+
+// Sessões persistidas em DATA_DIR/sessions.json para sobreviver a reinícios.
+// A expiração acompanha o cookie (timeout por inatividade com rolling) e
+// sessões vencidas são removidas periodicamente.
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+// touch() a cada requisição só regrava o arquivo se o vencimento avançou mais que isto
+const TOUCH_WRITE_THRESHOLD_MS = 60 * 1000;
+
+function expiresOf(sess) {
+  const expires = sess?.cookie?.expires;
+  return expires ? new Date(expires).getTime() : null;
+}
+
+function isExpired(entry, now = Date.now()) {
+  return entry.expires !== null && entry.expires <= now;
+}
+
+class FileSessionStore extends session.Store {
+  constructor({ fileName = 'sessions.json' } = {}) {
+    super();
+    this.store = jsonStore(fileName, { sessions: {} }, { mode: 0o600 });
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+    this.pruneTimer.unref();
+  }
+
+  get(sid, callback) {
+    try {
+      const entry = this.store.read().sessions[sid];
+      if (!entry) return callback(null, null);
+      if (isExpired(entry)) return this.destroy(sid, (err) => callback(err, null));
+      // Cópia: o objeto da sessão é alterado pela requisição antes de ser salvo
+      return callback(null, JSON.parse(JSON.stringify(entry.data)));
+    } catch (err) {
+      return callback(err);
+    }
+  }
+
+  set(sid, sess, callback = () => {}) {
+    try {
+      const data = JSON.parse(JSON.stringify(sess));
+      this.store.update((d) => { d.sessions[sid] = { expires: expiresOf(sess), data }; });
+      callback(null);
+    } catch (err) {
+      callback(err);
+    }
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    try {
+      const entry = this.store.read().sessions[sid];
+      const expires = expiresOf(sess);
+      if (entry && expires !== null && (entry.expires === null || expires - entry.expires > TOUCH_WRITE_THRESHOLD_MS)) {
+        this.store.update(() => {
+          entry.expires = expires;
+          entry.data.cookie = JSON.parse(JSON.stringify(sess.cookie));
+        });
+      }
+      callback(null);
+    } catch (err) {
+      callback(err);
+    }
+  }
+
+  destroy(sid, callback = () => {}) {
+    try {
+      if (this.store.read().sessions[sid]) {
+        this.store.update((d) => { delete d.sessions[sid]; });
+      }
+      callback(null);
+    } catch (err) {
+      callback(err);
+    }
+  }
+
+  prune() {
+    const now = Date.now();
+    const expired = Object.entries(this.store.read().sessions).filter(([, entry]) => isExpired(entry, now)).map(([sid]) => sid);
+    if (!expired.length) return;
+    this.store.update((d) => expired.forEach(sid => delete d.sessions[sid]));
+  }
+}
+
+// Segredo dos cookies: SESSION_SECRET ou, na ausência dele, um segredo aleatório
+// gerado uma vez e guardado em DATA_DIR (evita o valor fixo no código e mantém as
+// sessões válidas entre reinícios)
+function sessionSecret() {
+  if (config.session.secret) return config.session.secret;
+  const file = path.join(config.dataDir, 'session-secret');
+  try {
+    return fs.readFileSync(file, 'utf8').trim();
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(config.dataDir, { recursive: true });
+  fs.writeFileSync(file, secret, { mode: 0o600 });
+  // eslint-disable-next-line no-console
+  console.warn(`SESSION_SECRET não definido; usando segredo gerado em ${file}.`);
+  return secret;
+}
+
+module.exports = { FileSessionStore, sessionSecret };
@@ -0,0 +1,35 @@
+'use strict';
+
+const nodemailer = require('nodemailer');
+
+// Envio das notificações por e-mail via nodemailer: TLS implícito (secure, porta 465)
+// ou STARTTLS. Com usuário configurado o STARTTLS é obrigatório, para que o AUTH
+// nunca trafegue em texto puro.
+const TIMEOUT_MS = 15000;
+
+const transports = new Map();
+
+function transportFor({ host, port, secure, user, password }) {
+  const key = JSON.stringify([host, port, secure, user, password]);
+  if (!transports.has(key)) {
+    transports.set(key, nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      requireTLS: !secure && Boolean(user),
+      auth: user ? { user, pass: password } : undefined,
+      connectionTimeout: TIMEOUT_MS,
+      greetingTimeout: TIMEOUT_MS,
+      socketTimeout: TIMEOUT_MS
+    }));
+  }
+  return transports.get(key);
+}
+
+// Envia uma mensagem de texto UTF-8; rejeita com o erro do servidor em qualquer etapa recusada
+async function sendMail(options, { to, subject, text }) {
+  const recipients = [].concat(to).filter(Boolean);
+  await transportFor(options).sendMail({ from: options.from, to: recipients, subject, text });
+}
+
+module.exports = { sendMail };
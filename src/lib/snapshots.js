@@ -0,0 +1,76 @@
+'use strict';
+
+const dayjs = require('dayjs');
+const { jsonStore } = require('./jsonStore');
+const { withServiceApi, isServiceAccountConfigured } = require('./serviceSession');
+const { enrichTasks } = require('./requestApi');
+const { config } = require('../config');
+
+// Histórico diário por sprint (a API não guarda histórico): um ponto por dia,
+// sobrescrito a cada gravação daquele dia. Estrutura:
+// { sprints: { [sprintId]: { name, points: { 'YYYY-MM-DD': snapshot } } } }
+const store = jsonStore('snapshots.json', { sprints: {} });
+
+const STATUSES = ['Backlog', 'Em Andamento', 'Bloqueada', 'Concluída'];
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function summarize(tasks) {
+  const counts = Object.fromEntries(STATUSES.map(s => [s, 0]));
+  let totalHours = 0;
+  let doneHours = 0;
+  for (const t of tasks) {
+    const h = Number(t.totalHours) || 0;
+    totalHours += h;
+    if (t.status === 'Concluída') doneHours += h;
+    counts[t.status] = (counts[t.status] || 0) + 1;
+  }
+  return { totalHours: round2(totalHours), doneHours: round2(doneHours), remainingHours: round2(totalHours - doneHours), counts };
+}
+
+// Grava o ponto do dia para a sprint a partir das tarefas atuais (enriquecidas: itens
+// da listagem podem vir sem totalHours, que contaria como zero no histórico)
+async function recordSprintSnapshot(api, sprint) {
+  const items = (await api.get('/tasks', { params: { sprintId: sprint.id, page: 1, pageSize: 1000 } })).data.items || [];
+  const tasks = await enrichTasks(api, items);
+  const now = dayjs();
+  const point = { date: now.format('YYYY-MM-DD'), takenAt: now.toISOString(), sprintStatus: sprint.status, ...summarize(tasks) };
+  store.update((data) => {
+    const entry = data.sprints[sprint.id] || (data.sprints[sprint.id] = { name: sprint.name, points: {} });
+    entry.name = sprint.name;
+    entry.points[point.date] = point;
+  });
+  return point;
+}
+
+function sprintHistory(sprintId) {
+  const entry = store.read().sprints[sprintId];
+  if (!entry) return [];
+  return Object.values(entry.points).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Grava snapshots de todas as sprints iniciadas
+async function recordStartedSprints(api) {
+  const sprints = (await api.get('/sprints')).data.items || [];
+  const started = sprints.filter(s => s.status === 'Started');
+  for (const sprint of started) await recordSprintSnapshot(api, sprint);
+  return started.length;
+}
+
+// Gravação periódica com a conta de serviço; sem ela, os snapshots vêm só dos acessos ao dashboard
+function startSnapshotRecorder() {
+  const { intervalMs } = config.snapshots;
+  if (!intervalMs || !isServiceAccountConfigured()) return null;
+  const run = () => withServiceApi(recordStartedSprints).catch((err) => {
+    // eslint-disable-next-line no-console
+    console.error('Falha ao gravar snapshots das sprints:', err.message);
+  });
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { recordSprintSnapshot, recordStartedSprints, sprintHistory, startSnapshotRecorder, summarize };
@@ -0,0 +1,187 @@
+'use strict';
+
+const { recordSprintSnapshot } = require('./snapshots');
+
+// Assistente de encerramento de sprint. A API só encerra sprints sem tarefas pendentes
+// e não permite tirar uma tarefa de uma sprint iniciada, então cada pendência é
+// concluída ou levada para uma sprint Created (existente ou criada na hora) como uma
+// cópia, removendo a original. Os passos rodam em ordem; se um falha, os anteriores
+// são desfeitos na ordem inversa sempre que a API permite, e o relatório diz o que
+// foi feito, desfeito ou mantido. A exclusão das originais é o único passo sem volta:
+// fica para o fim, logo antes do encerramento, e só depois de conferir que nada além
+// do plano segue pendente na sprint (o motivo do 409 no encerramento).
+const NEW_SPRINT = 'new';
+const COMPLETE = 'complete';
+
+// Lê plan[<taskId>] = 'complete' | 'new' | <id de sprint Created>; errors traz chaves
+// de sprints.closeWizard.errors.* por campo (plan.<taskId>, newSprintName)
+function parseClosePlan(body, pendingTasks, targetSprints) {
+  const plan = body.plan && typeof body.plan === 'object' ? body.plan : {};
+  const newSprintName = String(body.newSprintName || '').trim();
+  const targets = new Map(targetSprints.map(s => [s.id, s]));
+  const errors = {};
+  const choices = pendingTasks.map((task) => {
+    const value = typeof plan[task.id] === 'string' ? plan[task.id] : '';
+    const field = `plan.${task.id}`;
+    if (value === COMPLETE) {
+      if (!task.assigneeId) errors[field] = 'assigneeRequired';
+      return { task, action: COMPLETE };
+    }
+    if (value === NEW_SPRINT) return { task, action: 'move', target: null };
+    if (targets.has(value)) return { task, action: 'move', target: targets.get(value) };
+    errors[field] = value ? 'targetInvalid' : 'choiceRequired';
+    return { task, action: null };
+  });
+  if (choices.some(c => c.action === 'move' && !c.target) && !newSprintName) errors.newSprintName = 'newSprintNameRequired';
+  return { choices, newSprintName, errors, values: { plan, newSprintName } };
+}
+
+// Campos aceitos na criação de tarefa, copiados da original
+function taskCopyPayload(task, sprintId) {
+  const { title, description, risco, complexidade, phases } = task;
+  return { title, description, risco, complexidade, phases, sprintId };
+}
+
+// Passos na ordem de execução: primeiro os reversíveis, depois a conferência das
+// pendências e por último as exclusões das originais (irreversíveis) e o encerramento
+function buildSteps(api, { sprint, choices, newSprintName, blocks }) {
+  const context = { newSprint: null };
+  const steps = [];
+  const moves = choices.filter(c => c.action === 'move');
+  const targetOf = choice => choice.target || context.newSprint;
+
+  if (moves.some(c => !c.target)) {
+    steps.push({
+      label: 'createSprint',
+      params: { name: newSprintName },
+      run: async () => {
+        context.newSprint = (await api.post('/sprints', { name: newSprintName, capacity: sprint.capacity })).data;
+      },
+      // Não há exclusão de sprint na API: a sprint criada fica vazia
+      keptReason: 'sprintCreated'
+    });
+  }
+
+  const copies = new Map();
+  for (const choice of moves) {
+    const { task } = choice;
+    const step = {
+      label: 'copyTask',
+      params: { title: task.title, target: choice.target ? choice.target.name : newSprintName },
+      run: async () => {
+        const copy = (await api.post('/tasks', taskCopyPayload(task, targetOf(choice).id))).data;
+        step.created = copy;
+        if (!task.assigneeId) return;
+        try {
+          await api.patch(`/tasks/${copy.id}/assign/${task.assigneeId}`);
+        } catch (err) {
+          // Passo com falha não entra no rollback: remove aqui a cópia incompleta
+          await api.delete(`/tasks/${copy.id}`).catch(() => {});
+          throw err;
+        }
+      },
+      undo: () => api.delete(`/tasks/${step.created.id}`)
+    };
+    copies.set(task.id, step);
+    steps.push(step);
+  }
+
+  for (const choice of choices.filter(c => c.action === COMPLETE)) {
+    const { task } = choice;
+    steps.push({
+      label: 'completeTask',
+      params: { title: task.title },
+      run: () => api.patch(`/tasks/${task.id}/status`, { status: 'Concluída' }),
+      // Bloqueios voltam com o motivo e o responsável lidos do dashboard antes do encerramento
+      undo: () => api.patch(`/tasks/${task.id}/status`, task.status === 'Bloqueada'
+        ? { status: 'Bloqueada', block: blocks[task.id] }
+        : { status: task.status })
+    });
+  }
+
+  steps.push({
+    label: 'checkPending',
+    params: { name: sprint.name },
+    run: async () => {
+      const moved = new Set(moves.map(c => c.task.id));
+      const items = (await api.get('/tasks', { params: { sprintId: sprint.id, page: 1, pageSize: 1000 } })).data.items || [];
+      const unplanned = items.filter(t => t.status !== 'Concluída' && !moved.has(t.id));
+      if (unplanned.length) {
+        const error = new Error(`Tarefas pendentes fora do plano: ${unplanned.map(t => t.title).join(', ')}`);
+        error.messageKey = 'sprints.closeWizard.errors.unplannedPending';
+        error.params = { titles: unplanned.map(t => t.title).join(', ') };
+        throw error;
+      }
+      // Último ponto do histórico com as tarefas movidas ainda na sprint (burndown)
+      if (moves.length) await recordSprintSnapshot(api, sprint).catch(() => {});
+    }
+  });
+
+  for (const choice of moves) {
+    const { task } = choice;
+    steps.push({
+      label: 'deleteOriginal',
+      params: { title: task.title, target: choice.target ? choice.target.name : newSprintName },
+      run: async () => {
+        await api.delete(`/tasks/${task.id}`);
+        // A cópia passa a ser a única versão da tarefa: não é mais desfeita
+        const copy = copies.get(task.id);
+        copy.undo = null;
+        copy.keptReason = 'taskMoved';
+      },
+      keptReason: 'originalDeleted'
+    });
+  }
+
+  steps.push({
+    label: 'closeSprint',
+    params: { name: sprint.name },
+    run: () => api.patch(`/sprints/${sprint.id}/close`)
+  });
+  return steps;
+}
+
+// Executa o plano; retorna { ok, steps: [{ label, params, status, error }] } com status
+// done, failed, undone, undoFailed, kept (não reversível, com keptReason) ou skipped
+async function runSprintClose(api, { sprint, choices, newSprintName }) {
+  const summary = await api.get('/dashboard/summary', { params: { sprintId: sprint.id } }).then(r => r.data, () => null);
+  const blocks = {};
+  for (const b of summary?.bloqueadas || []) blocks[b.id] = { motivo: b.motivo, responsavelId: b.responsavelId };
+
+  const steps = buildSteps(api, { sprint, choices, newSprintName, blocks });
+  let failedAt = -1;
+  for (let i = 0; i < steps.length; i++) {
+    try {
+      await steps[i].run();
+      steps[i].status = 'done';
+    } catch (err) {
+      steps[i].status = 'failed';
+      steps[i].error = err;
+      failedAt = i;
+      break;
+    }
+  }
+  if (failedAt >= 0) {
+    for (let i = steps.length - 1; i > failedAt; i--) steps[i].status = 'skipped';
+    for (let i = failedAt - 1; i >= 0; i--) {
+      const step = steps[i];
+      if (!step.undo) {
+        step.status = 'kept';
+        continue;
+      }
+      try {
+        await step.undo();
+        step.status = 'undone';
+      } catch (err) {
+        step.status = 'undoFailed';
+        step.error = err;
+      }
+    }
+  }
+  return {
+    ok: failedAt < 0,
+    steps: steps.map(({ label, params, status, error, keptReason }) => ({ label, params, status, error, keptReason: status === 'kept' ? keptReason : null }))
+  };
+}
+
+module.exports = { NEW_SPRINT, COMPLETE, parseClosePlan, runSprintClose };
@@ -0,0 +1,81 @@
+'use strict';
+
+const { toCsv } = require('./csv');
+const { PHASES } = require('./pert');
+const { translatorFor } = require('./i18n');
+
+// Colunas do CSV: dados da tarefa, nomes resolvidos, fases O/M/P e totais.
+// header é a chave do catálogo (export.*, phases.*) traduzida na exportação.
+const CSV_COLUMNS = [
+  { key: 'id', header: 'export.id' },
+  { key: 'title', header: 'export.title' },
+  { key: 'status', header: 'export.status' },
+  { key: 'sprintName', header: 'export.sprint' },
+  { key: 'assigneeName', header: 'export.assignee' },
+  { key: 'risco', header: 'export.risk' },
+  { key: 'complexidade', header: 'export.complexity' },
+  ...PHASES.flatMap(({ key, prefix }) => ['O', 'M', 'P'].map(v => ({ key: `${prefix}_${v}`, header: `phases.${key}`, suffix: ` ${v}` }))),
+  { key: 'totalHours', header: 'export.totalHours' },
+  { key: 'totalDays', header: 'export.totalDays' },
+  { key: 'dueDate', header: 'export.dueDate' }
+];
+
+// Registro de exportação com nomes de sprint/responsável no lugar dos IDs
+function exportRecord(task, { sprintsById, usersById }) {
+  const sprint = task.sprintId ? sprintsById.get(task.sprintId) : null;
+  const assignee = task.assigneeId ? usersById.get(task.assigneeId) : null;
+  const phases = {};
+  for (const { key } of PHASES) {
+    const p = task.phases?.[key] || {};
+    phases[key] = { O: p.O ?? null, M: p.M ?? null, P: p.P ?? null };
+  }
+  return {
+    id: task.id,
+    title: task.title,
+    description: task.description || null,
+    status: task.status,
+    sprintId: task.sprintId || null,
+    sprintName: sprint ? sprint.name : null,
+    assigneeId: task.assigneeId || null,
+    assigneeName: assignee ? assignee.name : null,
+    risco: task.risco || null,
+    complexidade: task.complexidade || null,
+    phases,
+    totalHours: task.totalHours ?? null,
+    totalDays: task.totalDays ?? null,
+    dueDate: task.dueDate || null
+  };
+}
+
+function exportRecords(tasks, { sprints = [], users = [] } = {}) {
+  const ctx = {
+    sprintsById: new Map(sprints.map(s => [s.id, s])),
+    usersById: new Map(users.map(u => [u.id, u]))
+  };
+  return tasks.map(t => exportRecord(t, ctx));
+}
+
+function recordsToCsv(records, t = translatorFor().t) {
+  const flat = records.map(r => {
+    const row = { ...r };
+    for (const { key, prefix } of PHASES) {
+      for (const v of ['O', 'M', 'P']) row[`${prefix}_${v}`] = r.phases[key][v];
+    }
+    return row;
+  });
+  const columns = CSV_COLUMNS.map(({ key, header, suffix = '' }) => ({ key, header: `${t(header)}${suffix}` }));
+  return toCsv(columns, flat);
+}
+
+// Envia a exportação no formato pedido como download (cabeçalhos do CSV no idioma de t)
+function sendExport(res, format, baseName, records, { meta = {}, t } = {}) {
+  if (format === 'csv') {
+    res.attachment(`${baseName}.csv`);
+    res.type('text/csv; charset=utf-8');
+    return res.send(recordsToCsv(records, t));
+  }
+  res.attachment(`${baseName}.json`);
+  return res.json({ ...meta, exportedAt: new Date().toISOString(), total: records.length, items: records });
+}
+
+module.exports = { exportRecords, recordsToCsv, sendExport, CSV_COLUMNS };
@@ -0,0 +1,170 @@
+'use strict';
+
+const { parseCsv } = require('./csv');
+const { PHASES, validPhase } = require('./pert');
+const { translatorFor } = require('./i18n');
+
+// Mensagens no idioma padrão quando a rota não informa o tradutor da requisição
+const defaultT = translatorFor().t;
+
+const MAX_ROWS = 500;
+
+// Cabeçalho esperado (também usado no modelo para download)
+const TEMPLATE_COLUMNS = [
+  'titulo', 'descricao', 'risco', 'complexidade', 'sprint',
+  ...PHASES.flatMap(({ prefix }) => [`${prefix}_O`, `${prefix}_M`, `${prefix}_P`])
+];
+
+// Sinônimos aceitos para cada coluna, após normalização (minúsculas, sem acentos)
+const HEADER_ALIASES = {
+  title: ['titulo', 'title', 'tarefa'],
+  description: ['descricao', 'description'],
+  risco: ['risco', 'risk'],
+  complexidade: ['complexidade', 'complexity'],
+  sprint: ['sprint', 'sprintid', 'sprint_id', 'sprint_nome']
+};
+for (const { key, prefix } of PHASES) {
+  for (const v of ['O', 'M', 'P']) {
+    HEADER_ALIASES[`${prefix}_${v}`] = [`${prefix}_${v}`.toLowerCase(), `${key}_${v}`.toLowerCase(), `${key.replace(/([A-Z])/g, '_$1')}_${v}`.toLowerCase()];
+  }
+}
+
+function normalize(value) {
+  return String(value == null ? '' : value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase();
+}
+
+function normalizeHeader(h) {
+  return normalize(h).replace(/[\s-]+/g, '_');
+}
+
+function columnFor(header) {
+  const h = normalizeHeader(header);
+  return Object.keys(HEADER_ALIASES).find(col => HEADER_ALIASES[col].includes(h)) || null;
+}
+
+// Aceita vírgula decimal ("1,5") comum em planilhas pt-BR
+function toNumber(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return NaN;
+  if (typeof value === 'number') return value;
+  return Number(String(value).trim().replace(',', '.'));
+}
+
+function cellText(cell) {
+  const v = cell && cell.value;
+  if (v == null) return '';
+  if (typeof v === 'object') {
+    if (v.richText) return v.richText.map(t => t.text).join('');
+    if (v.result !== undefined) return v.result;
+    if (v.text !== undefined) return v.text;
+  }
+  return v;
+}
+
+async function readXlsx(buffer) {
+  const ExcelJS = require('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const values = [];
+    for (let c = 1; c <= row.cellCount; c++) values.push(cellText(row.getCell(c)));
+    rows.push(values);
+  });
+  return rows;
+}
+
+// Lê o arquivo enviado (CSV ou XLSX) e devolve a matriz de células
+async function readSpreadsheet(file, { t = defaultT } = {}) {
+  const name = (file.originalname || '').toLowerCase();
+  if (name.endsWith('.xlsx')) return readXlsx(file.buffer);
+  if (name.endsWith('.csv') || name.endsWith('.txt') || !name.includes('.')) return parseCsv(file.buffer.toString('utf8'));
+  throw new Error(t('import.errors.unsupportedFormat'));
+}
+
+function matchOption(value, options) {
+  const n = normalize(value);
+  return options.find(o => normalize(o) === n) || null;
+}
+
+// Valida cada linha com as mesmas regras do formulário (título obrigatório, O ≤ M ≤ P)
+function validateRows(matrix, { sprints = [], riskOptions = [], complexityOptions = [], t = defaultT } = {}) {
+  if (!matrix.length) return { rows: [], headerErrors: [t('import.errors.emptyFile')] };
+  const [header, ...body] = matrix;
+  const columns = header.map(columnFor);
+  const missing = ['title', ...PHASES.flatMap(({ prefix }) => ['O', 'M', 'P'].map(v => `${prefix}_${v}`))]
+    .filter(col => !columns.includes(col));
+  if (missing.length) {
+    return { rows: [], headerErrors: [t('import.errors.missingColumns', { columns: missing.join(', ') })] };
+  }
+  const headerErrors = [];
+  if (body.length > MAX_ROWS) headerErrors.push(t('import.errors.tooManyRows', { max: MAX_ROWS }));
+
+  const rows = body.slice(0, MAX_ROWS).map((cells, idx) => {
+    const record = {};
+    columns.forEach((col, i) => {
+      if (col) record[col] = cells[i] == null ? '' : cells[i];
+    });
+    const errors = [];
+    const title = String(record.title || '').trim();
+    if (!title) errors.push(t('import.errors.titleRequired'));
+
+    let risco = null;
+    if (String(record.risco || '').trim()) {
+      risco = matchOption(record.risco, riskOptions);
+      if (!risco) errors.push(t('import.errors.invalidRisk', { value: record.risco, options: riskOptions.join(', ') }));
+    }
+    let complexidade = null;
+    if (String(record.complexidade || '').trim()) {
+      complexidade = matchOption(record.complexidade, complexityOptions);
+      if (!complexidade) errors.push(t('import.errors.invalidComplexity', { value: record.complexidade, options: complexityOptions.join(', ') }));
+    }
+    let sprint = null;
+    const sprintRef = String(record.sprint || '').trim();
+    if (sprintRef) {
+      sprint = sprints.find(s => s.id === sprintRef) || sprints.find(s => normalize(s.name) === normalize(sprintRef));
+      if (!sprint) errors.push(t('import.errors.sprintNotFound', { sprint: sprintRef }));
+      else if (sprint.status === 'Closed') errors.push(t('import.errors.sprintClosed', { sprint: sprint.name }));
+    }
+
+    const phases = {};
+    for (const { key, prefix } of PHASES) {
+      const label = t(`phases.${key}`);
+      const p = { O: toNumber(record[`${prefix}_O`]), M: toNumber(record[`${prefix}_M`]), P: toNumber(record[`${prefix}_P`]) };
+      phases[key] = p;
+      if ([p.O, p.M, p.P].some(v => Number.isNaN(v) || v < 0)) {
+        errors.push(t('import.errors.phaseNotNumeric', { phase: label }));
+      } else if (!validPhase(p)) {
+        errors.push(t('import.errors.phaseOrder', { phase: label }));
+      }
+    }
+
+    return {
+      line: idx + 2,
+      title,
+      sprintName: sprint ? sprint.name : (sprintRef || null),
+      errors,
+      payload: errors.length ? null : {
+        title,
+        description: String(record.description || '').trim() || undefined,
+        risco: risco || undefined,
+        complexidade: complexidade || undefined,
+        sprintId: sprint ? sprint.id : undefined,
+        phases
+      }
+    };
+  });
+  return { rows, headerErrors };
+}
+
+function templateCsv() {
+  const example = ['Validar login social', 'Google e Apple', 'Médio', 'Média', '', '1', '2', '3', '2', '4', '6', '1', '1,5', '2', '0,5', '1', '1'];
+  return `${TEMPLATE_COLUMNS.join(';')}\r\n${example.join(';')}\r\n`;
+}
+
+module.exports = { readSpreadsheet, validateRows, templateCsv, TEMPLATE_COLUMNS, MAX_ROWS };
@@ -0,0 +1,152 @@
+'use strict';
+
+const { enrichTasks } = require('./requestApi');
+const { parseApiDate } = require('./workdays');
+
+// Consulta da listagem de tarefas. Os filtros vão para a API; busca textual e
+// ordenação são feitas pela aplicação web (a API não as oferece) sobre a lista
+// completa, com paginação local.
+const FILTER_KEYS = ['status', 'sprintId', 'risco', 'complexidade', 'assigneeId'];
+// Parâmetros que definem uma visão salva (a página não faz parte dela)
+const VIEW_KEYS = [...FILTER_KEYS, 'q', 'sort', 'dir', 'pageSize'];
+// Valores dinâmicos dos filtros, resolvidos a cada requisição (visões compartilháveis)
+const CURRENT_USER = 'me';
+const CURRENT_SPRINT = 'current';
+const MAX_PAGE_SIZE = 100;
+
+const STATUS_ORDER = ['Backlog', 'Em Andamento', 'Bloqueada', 'Concluída'];
+const RISK_ORDER = ['Baixo', 'Médio', 'Alto'];
+
+function rank(order, value) {
+  const i = order.indexOf(value);
+  return i === -1 ? null : i;
+}
+
+// Colunas ordenáveis: valor comparável de cada tarefa (null vai para o fim)
+const SORTS = {
+  hours: t => (t.totalHours == null ? null : Number(t.totalHours)),
+  dueDate: t => parseApiDate(t.dueDate)?.valueOf() ?? null,
+  risco: t => rank(RISK_ORDER, t.risco),
+  status: t => rank(STATUS_ORDER, t.status)
+};
+
+function text(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : undefined;
+}
+
+function parseListQuery(query = {}) {
+  const filters = {};
+  for (const key of FILTER_KEYS) filters[key] = text(query[key]);
+  const sort = SORTS[query.sort] ? query.sort : undefined;
+  return {
+    filters,
+    q: text(query.q),
+    sort,
+    dir: sort && query.dir === 'desc' ? 'desc' : 'asc',
+    page: Math.max(1, parseInt(query.page, 10) || 1),
+    pageSize: Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.pageSize, 10) || 10)),
+    view: text(query.view)
+  };
+}
+
+// Definição de uma visão salva: somente os parâmetros preenchidos
+function viewDefinition(listQuery) {
+  const { filters, q, sort, dir, pageSize } = listQuery;
+  const all = { ...filters, q, sort, dir: sort ? dir : undefined, pageSize: pageSize !== 10 ? pageSize : undefined };
+  return Object.fromEntries(VIEW_KEYS.filter(key => all[key] != null).map(key => [key, String(all[key])]));
+}
+
+// URL da listagem (ou da exportação) para a consulta atual com alguns parâmetros trocados
+function listUrl(listQuery, overrides = {}, base = '/tasks') {
+  const params = new URLSearchParams({ ...viewDefinition(listQuery) });
+  const merged = { page: listQuery.page, view: listQuery.view, ...overrides };
+  for (const [key, value] of Object.entries(merged)) {
+    // Página 1 é o padrão e fica fora da URL
+    if (value == null || value === '' || (key === 'page' && Number(value) <= 1)) params.delete(key);
+    else params.set(key, String(value));
+  }
+  const qs = params.toString();
+  return qs ? `${base}?${qs}` : base;
+}
+
+// Troca "me" e "current" pelo usuário logado e pela sprint em andamento
+function resolveFilters(filters, { userId, sprints = [] }) {
+  const resolved = { ...filters };
+  if (resolved.assigneeId === CURRENT_USER) resolved.assigneeId = userId;
+  if (resolved.sprintId === CURRENT_SPRINT) {
+    // Sem sprint em andamento o filtro continua sem corresponder a nenhuma tarefa
+    resolved.sprintId = sprints.find(s => s.status === 'Started')?.id || CURRENT_SPRINT;
+  }
+  return resolved;
+}
+
+function normalize(value) {
+  return String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Todas as palavras buscadas precisam aparecer no título ou na descrição
+function searchTasks(tasks, q) {
+  const terms = normalize(q).split(/\s+/).filter(Boolean);
+  if (!terms.length) return tasks;
+  return tasks.filter((t) => {
+    const haystack = normalize(`${t.title} ${t.description || ''}`);
+    return terms.every(term => haystack.includes(term));
+  });
+}
+
+function sortTasks(tasks, sort, dir = 'asc') {
+  const valueOf = SORTS[sort];
+  if (!valueOf) return tasks;
+  const sign = dir === 'desc' ? -1 : 1;
+  return tasks
+    .map((task, index) => ({ task, index, value: valueOf(task) }))
+    .sort((a, b) => {
+      if (a.value == null || b.value == null) {
+        if (a.value == null && b.value == null) return a.index - b.index;
+        return a.value == null ? 1 : -1;
+      }
+      return (a.value - b.value) * sign || a.index - b.index;
+    })
+    .map(entry => entry.task);
+}
+
+// Tarefas filtradas, buscadas e ordenadas (todas), para listagem e exportação
+async function queryTasks(api, listQuery, filters) {
+  let items = await api.get('/tasks', { params: { ...filters, page: 1, pageSize: 1000 } }).then(r => r.data.items || []);
+  items = searchTasks(items, listQuery.q);
+  // Ordenar por horas exige os totais de todas as tarefas, não só os da página
+  if (listQuery.sort === 'hours') items = await enrichTasks(api, items);
+  return sortTasks(items, listQuery.sort, listQuery.dir);
+}
+
+// Página da listagem no mesmo formato da API ({ items, page, pageSize, total, totalPages })
+async function fetchTaskPage(api, listQuery, filters) {
+  const { page, pageSize } = listQuery;
+  let data;
+  if (listQuery.q || listQuery.sort) {
+    const all = await queryTasks(api, listQuery, filters);
+    const totalPages = Math.max(1, Math.ceil(all.length / pageSize));
+    data = { items: all.slice((page - 1) * pageSize, page * pageSize), page, pageSize, total: all.length, totalPages };
+  } else {
+    data = await api.get('/tasks', { params: { ...filters, page, pageSize } }).then(r => r.data);
+  }
+  // Enriquecer itens que não vieram completos (ex.: totalHours/totalDays)
+  if (Array.isArray(data.items) && data.items.length) {
+    data.items = await enrichTasks(api, data.items);
+  }
+  return data;
+}
+
+module.exports = {
+  FILTER_KEYS,
+  CURRENT_USER,
+  CURRENT_SPRINT,
+  parseListQuery,
+  viewDefinition,
+  listUrl,
+  resolveFilters,
+  searchTasks,
+  sortTasks,
+  queryTasks,
+  fetchTaskPage
+};
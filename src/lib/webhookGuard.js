@@ -0,0 +1,73 @@
+'use strict';
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { config } = require('../config');
+
+// Webhooks cadastrados pelos usuários: o servidor faz o POST e mostra o erro de volta,
+// então não pode alcançar a própria máquina nem a rede interna (SSRF). A URL é validada
+// ao salvar e o endereço é conferido de novo na conexão (o DNS pode mudar depois).
+const blocked = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) blocked.addSubnet(address, prefix, 'ipv4');
+for (const [address, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  blocked.addSubnet(address, prefix, 'ipv6');
+}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  // IPv4 mapeado em IPv6 (::ffff:10.0.0.1) segue as regras do IPv4
+  const mapped = family === 6 && /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return !blocked.check(mapped[1], 'ipv4');
+  return !blocked.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function hostAllowed(hostname) {
+  const allowed = config.notifications.webhookAllowedHosts;
+  if (!allowed.length) return true;
+  return allowed.some(h => hostname === h || hostname.endsWith(`.${h}`));
+}
+
+// Chave do erro (notifications.errors.*) ou null se a URL pode ser usada
+function webhookUrlError(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (e) {
+    return 'webhookInvalid';
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password) return 'webhookInvalid';
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (!hostAllowed(hostname)) return 'webhookHostNotAllowed';
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) return 'webhookPrivate';
+  if (net.isIP(hostname) && !isPublicAddress(hostname)) return 'webhookPrivate';
+  return null;
+}
+
+// lookup das conexões: recusa nomes que resolvem para endereços internos
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || addresses.some(a => !isPublicAddress(a.address))) {
+      const error = new Error('Endereço do webhook não permitido (rede interna).');
+      error.code = 'WEBHOOK_ADDRESS_BLOCKED';
+      return callback(error);
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Opções do axios para o POST ao webhook de um usuário (sem seguir redirecionamentos)
+const guardedRequestOptions = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+  maxRedirects: 0
+};
+
+module.exports = { isPublicAddress, webhookUrlError, guardedRequestOptions };
@@ -0,0 +1,64 @@
+'use strict';
+
+const dayjs = require('dayjs');
+const customParseFormat = require('dayjs/plugin/customParseFormat');
+
+dayjs.extend(customParseFormat);
+
+// A API devolve datas como "DD-MM-YYYY HH:mm" no timezone do usuário
+const API_DATE_FORMAT = 'DD-MM-YYYY HH:mm';
+// Datas sem horário no mesmo padrão (ex.: previsões calculadas localmente)
+const API_DAY_FORMAT = 'DD-MM-YYYY';
+
+function parseApiDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return dayjs(value);
+  const strict = dayjs(String(value), [API_DATE_FORMAT, API_DAY_FORMAT], true);
+  if (strict.isValid()) return strict;
+  const loose = dayjs(value);
+  return loose.isValid() ? loose : null;
+}
+
+function isWeekend(d) {
+  const wd = d.day();
+  return wd === 0 || wd === 6;
+}
+
+// Soma dias úteis (seg-sex); a fração do dia vira horas de uma jornada de 8h
+function addBusinessDays(start, days) {
+  let d = dayjs(start);
+  let whole = Math.floor(days);
+  const frac = days - whole;
+  while (whole > 0) {
+    d = d.add(1, 'day');
+    if (!isWeekend(d)) whole -= 1;
+  }
+  return d.add(Math.round(frac * 8 * 60), 'minute');
+}
+
+// Volta dias úteis a partir de end (inverso de addBusinessDays)
+function subtractBusinessDays(end, days) {
+  let d = dayjs(end);
+  let whole = Math.floor(days);
+  const frac = days - whole;
+  while (whole > 0) {
+    d = d.subtract(1, 'day');
+    if (!isWeekend(d)) whole -= 1;
+  }
+  return d.subtract(Math.round(frac * 8 * 60), 'minute');
+}
+
+// Dias úteis entre duas datas (fração do último dia incluída)
+function businessDaysBetween(start, end) {
+  let d = dayjs(start);
+  const e = dayjs(end);
+  let total = 0;
+  while (d.isBefore(e)) {
+    const next = d.add(1, 'day');
+    if (!isWeekend(d)) total += next.isAfter(e) ? e.diff(d, 'minute') / (24 * 60) : 1;
+    d = next;
+  }
+  return total;
+}
+
+module.exports = { API_DATE_FORMAT, API_DAY_FORMAT, parseApiDate, addBusinessDays, subtractBusinessDays, businessDaysBetween, isWeekend };
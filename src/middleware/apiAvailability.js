@@ -0,0 +1,29 @@
+'use strict';
+
+const { isApiUnavailable, isCircuitOpen } = require('../lib/apiClient');
+const { wantsJson } = require('../lib/http');
+const { config } = require('../config');
+
+function renderUnavailable(req, res) {
+  res.status(503);
+  if (wantsJson(req)) {
+    return res.json({ error: req.t('unavailable.json', { url: config.api.baseURL }) });
+  }
+  return res.render('unavailable', { title: req.t('titles.unavailable'), apiBaseURL: config.api.baseURL, returnTo: req.method === 'GET' ? req.originalUrl : '/dashboard' });
+}
+
+// Falha rápido em páginas autenticadas enquanto o circuito para a API estiver
+// aberto, sem aguardar timeouts. Rotas POST falham pelo próprio apiClient.
+function failFastWhenApiDown(req, res, next) {
+  if (req.method !== 'GET' || !req.session?.token || !isCircuitOpen()) return next();
+  return renderUnavailable(req, res);
+}
+
+// Handler de erro: rotas encaminham com next(err) falhas de indisponibilidade da API
+function apiUnavailableHandler(err, req, res, next) {
+  if (!isApiUnavailable(err)) return next(err);
+  if (res.headersSent) return next(err);
+  return renderUnavailable(req, res);
+}
+
+module.exports = { failFastWhenApiDown, apiUnavailableHandler };
@@ -0,0 +1,37 @@
+'use strict';
+
+const { config } = require('../config');
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+// Coleta as chamadas à API feitas pela requisição (preenchidas por requestApi) e,
+// com API_TIMING_LOG=1, registra no log o tempo total, as chamadas que foram à
+// rede e as atendidas pelos caches por requisição e compartilhado.
+function apiTiming(req, res, next) {
+  req.apiTimings = [];
+  if (!config.api.timingLog) return next();
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const calls = req.apiTimings;
+    if (!calls.length) return;
+    const totalMs = Number(process.hrtime.bigint() - started) / 1e6;
+    const network = calls.filter(c => c.source === 'network');
+    const requestHits = calls.filter(c => c.source === 'request').length;
+    const sharedHits = calls.filter(c => c.source === 'shared').length;
+    const networkMs = network.reduce((acc, c) => acc + c.ms, 0);
+    const slowest = network.slice().sort((a, b) => b.ms - a.ms).slice(0, 3).map(c => `${c.method} ${c.url} ${round1(c.ms)}ms`);
+    // networkMs soma as chamadas; acima do tempo total indica chamadas em paralelo
+    // eslint-disable-next-line no-console
+    console.log(
+      `[api] ${req.method} ${req.originalUrl} ${res.statusCode} ${round1(totalMs)}ms · ` +
+      `${network.length} chamada(s) à API (${round1(networkMs)}ms somados), ` +
+      `${requestHits} dedup. na requisição, ${sharedHits} do cache compartilhado` +
+      (slowest.length ? ` · mais lentas: ${slowest.join(', ')}` : '')
+    );
+  });
+  next();
+}
+
+module.exports = { apiTiming };
@@ -1,7 +1,53 @@
 'use strict';
 
+const { isSessionExpired } = require('../lib/apiClient');
+const { wantsJson } = require('../lib/http');
+const { config } = require('../config');
+
+// Caminho local para retornar após o login (evita redirecionamento para outro site)
+function safeReturnTo(value, fallback = '/dashboard') {
+  const v = String(value || '');
+  return v.startsWith('/') && !v.startsWith('//') && !v.startsWith('/\\') ? v : fallback;
+}
+
+// Página a retomar após novo login: a própria URL em GETs; nos demais, a página de origem
+function returnPathFor(req) {
+  if (req.method === 'GET' && !wantsJson(req)) return req.originalUrl;
+  const referer = req.get('referer');
+  if (referer) {
+    try {
+      const url = new URL(referer);
+      if (url.host === req.get('host')) return safeReturnTo(url.pathname + url.search);
+    } catch (e) {
+      // Referer inválido: usa o padrão
+    }
+  }
+  return '/dashboard';
+}
+
+function loginUrl(returnTo) {
+  return returnTo && returnTo !== '/dashboard' ? `/login?returnTo=${encodeURIComponent(returnTo)}` : '/login';
+}
+
+// Descarta a sessão autenticada (nova sessão só com o aviso) e envia ao login com returnTo
+function expireSession(req, res, next, message) {
+  const location = loginUrl(returnPathFor(req));
+  const { tz, locale } = req.session;
+  req.session.regenerate((err) => {
+    if (err) return next(err);
+    req.session.tz = tz;
+    req.session.locale = locale;
+    req.session.flash = [{ type: 'warning', message }];
+    res.locals.currentUser = null;
+    if (wantsJson(req) || req.originalUrl.startsWith('/api/')) {
+      return res.status(401).json({ ok: false, status: 401, error: message, redirect: location });
+    }
+    return res.redirect(location);
+  });
+}
+
 function ensureAuth(req, res, next) {
-  if (!req.session?.token) return res.redirect('/login');
+  if (!req.session?.token) return res.redirect(loginUrl(returnPathFor(req)));
   next();
 }
 
@@ -9,7 +55,7 @@ function ensureAdmin(req, res, next) {
   const role = req.session?.user?.role;
   if (role !== 'Admin') {
     res.locals.flash = res.locals.flash || [];
-    res.locals.flash.push({ type: 'warning', message: 'Ação restrita a Admin.' });
+    res.locals.flash.push({ type: 'warning', message: req.t('errors.adminOnly') });
     return res.redirect('back');
   }
   next();
@@ -20,6 +66,20 @@ function injectUser(req, res, next) {
   next();
 }
 
-module.exports = { ensureAuth, ensureAdmin, injectUser };
+// Timeout absoluto desde o login; o de inatividade é o maxAge do cookie (rolling)
+function enforceSessionTimeouts(req, res, next) {
+  const { absoluteTimeoutMs } = config.session;
+  const { token, authenticatedAt } = req.session || {};
+  if (token && absoluteTimeoutMs && authenticatedAt && Date.now() - authenticatedAt > absoluteTimeoutMs) {
+    return expireSession(req, res, next, req.t('auth.sessionExpired'));
+  }
+  next();
+}
 
+// Handler de erro: token da API expirado/inválido (401) encaminhado pelas rotas
+function sessionExpiredHandler(err, req, res, next) {
+  if (!isSessionExpired(err) || res.headersSent) return next(err);
+  return expireSession(req, res, next, req.t('auth.apiSessionExpired'));
+}
 
+module.exports = { ensureAuth, ensureAdmin, injectUser, safeReturnTo, enforceSessionTimeouts, sessionExpiredHandler };
@@ -0,0 +1,41 @@
+'use strict';
+
+const { LOCALES, DEFAULT_LOCALE, normalizeLocale, translatorFor } = require('../lib/i18n');
+const { getPreferences } = require('../lib/preferences');
+
+// Nome de cada idioma no próprio idioma, para o seletor do layout
+const LOCALE_OPTIONS = LOCALES.map(locale => ({ locale, name: translatorFor(locale).t('language.name') }));
+
+// Idioma da requisição: escolha da sessão (?lang=... ou seletor), preferência salva
+// do usuário e, por fim, Accept-Language do navegador
+function resolveLocale(req) {
+  const userId = req.session?.user?.id;
+  return normalizeLocale(req.session?.locale)
+    || (userId && normalizeLocale(getPreferences(userId).locale))
+    || req.acceptsLanguages(...LOCALES)
+    || DEFAULT_LOCALE;
+}
+
+// Expõe req.t (flash e mensagens das rotas) e t/tv/formatDate/formatNumber às views
+function i18n(req, res, next) {
+  const lang = normalizeLocale(req.query?.lang);
+  if (lang && req.session) req.session.locale = lang;
+  const translator = translatorFor(resolveLocale(req));
+  req.i18n = translator;
+  req.t = translator.t;
+  Object.assign(res.locals, {
+    locale: translator.locale,
+    dayjsLocale: translator.dayjsLocale,
+    localeOptions: LOCALE_OPTIONS,
+    t: translator.t,
+    th: translator.th,
+    tv: translator.tv,
+    formatDate: translator.formatDate,
+    formatNumber: translator.formatNumber,
+    // Página a reabrir após trocar o idioma no seletor
+    localeReturnTo: req.method === 'GET' ? req.originalUrl : '/dashboard'
+  });
+  next();
+}
+
+module.exports = { i18n };
@@ -0,0 +1,69 @@
+'use strict';
+
+const crypto = require('crypto');
+const { wantsJson } = require('../lib/http');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Política de conteúdo: Bulma vem do jsDelivr; scripts só de /public ou dos blocos
+// <script nonce="<%= cspNonce %>"> das views. Handlers inline (onclick, onsubmit...)
+// não rodam: os comportamentos ficam em public/js/behaviors.js ou no script da página
+function contentSecurityPolicy(nonce) {
+  return [
+    "default-src 'self'",
+    `script-src 'self' 'nonce-${nonce}'`,
+    "style-src 'self' 'unsafe-inline' https://cdn.jsdelivr.net",
+    "img-src 'self' data:",
+    "font-src 'self' https://cdn.jsdelivr.net",
+    "connect-src 'self'",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+  ].join('; ');
+}
+
+function securityHeaders(req, res, next) {
+  // Nonce novo a cada resposta, exposto às views
+  res.locals.cspNonce = crypto.randomBytes(16).toString('base64');
+  res.set({
+    'Content-Security-Policy': contentSecurityPolicy(res.locals.cspNonce),
+    'X-Frame-Options': 'DENY',
+    'X-Content-Type-Options': 'nosniff',
+    'Referrer-Policy': 'same-origin',
+    'Permissions-Policy': 'camera=(), microphone=(), geolocation=()',
+    'Cross-Origin-Opener-Policy': 'same-origin'
+  });
+  // HSTS só faz sentido (e só é respeitado) em respostas HTTPS
+  if (req.secure) res.set('Strict-Transport-Security', 'max-age=15552000; includeSubDomains');
+  next();
+}
+
+// Token CSRF por sessão (padrão synchronizer token), exposto às views como csrfToken
+function csrfToken(req) {
+  if (!req.session.csrfToken) req.session.csrfToken = crypto.randomBytes(24).toString('base64url');
+  return req.session.csrfToken;
+}
+
+function tokensMatch(a, b) {
+  const ba = Buffer.from(String(a || ''));
+  const bb = Buffer.from(String(b || ''));
+  return ba.length > 0 && ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+// Exige o token em toda requisição que altera estado: campo _csrf dos formulários,
+// cabeçalho X-CSRF-Token nas chamadas fetch ou, em uploads multipart (corpo lido
+// depois, pelo multer), ?_csrf na URL do formulário
+function csrfProtection(req, res, next) {
+  // Getter: o token (e a sessão) só é criado quando uma view o utiliza
+  Object.defineProperty(res.locals, 'csrfToken', { enumerable: true, get: () => csrfToken(req) });
+  if (SAFE_METHODS.includes(req.method)) return next();
+  const sent = req.get('x-csrf-token') || req.body?._csrf || (req.is('multipart/form-data') ? req.query._csrf : undefined);
+  if (tokensMatch(sent, req.session.csrfToken)) return next();
+  const message = req.t('security.csrfInvalid');
+  if (wantsJson(req)) return res.status(403).json({ ok: false, status: 403, error: message });
+  res.flash('danger', message);
+  return res.redirect('back');
+}
+
+module.exports = { securityHeaders, csrfProtection };
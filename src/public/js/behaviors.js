@@ -0,0 +1,33 @@
+// Comportamentos declarativos das views, no lugar dos handlers inline que a CSP
+// bloqueia. Os eventos são delegados ao document, então também valem para o HTML
+// trocado pelas atualizações em tempo real.
+//   data-auto-submit      envia o formulário do campo quando o valor muda
+//   data-confirm="texto"  pede confirmação antes de enviar o formulário
+//   data-select-on-click  seleciona o conteúdo do campo ao clicar (links para copiar)
+//   data-print            abre a impressão da página
+//   data-file-name="id"   mostra o nome do arquivo escolhido no elemento indicado
+(function() {
+  document.addEventListener('change', function(event) {
+    const field = event.target;
+    if (field.hasAttribute('data-auto-submit') && field.form) {
+      field.form.submit();
+      return;
+    }
+    const fileNameTarget = field.getAttribute('data-file-name');
+    if (fileNameTarget) {
+      const target = document.getElementById(fileNameTarget);
+      if (target) target.textContent = field.files && field.files[0] ? field.files[0].name : '';
+    }
+  });
+
+  document.addEventListener('submit', function(event) {
+    const message = event.target.getAttribute('data-confirm');
+    if (message && !window.confirm(message)) event.preventDefault();
+  });
+
+  document.addEventListener('click', function(event) {
+    const target = event.target;
+    if (target.hasAttribute('data-select-on-click')) target.select();
+    if (target.closest('[data-print]')) window.print();
+  });
+})();
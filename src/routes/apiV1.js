@@ -0,0 +1,230 @@
+'use strict';
+
+const express = require('express');
+const path = require('path');
+const { isApiUnavailable } = require('../lib/apiClient');
+const { scopedApi, auditContext } = require('../lib/requestApi');
+const { PHASES, validPhase } = require('../lib/pert');
+const { resolveAccessToken } = require('../lib/accessTokens');
+const { LOCALES, translatorFor } = require('../lib/i18n');
+const { config } = require('../config');
+
+// API JSON versionada para scripts e integrações. Espelha as operações de
+// tarefas, sprints, dashboard e usuários da API TaskWise, autenticando pela
+// sessão do navegador ou por token de acesso pessoal (Authorization: Bearer),
+// e responde erros sempre no formato ErrorArray: [{ code, field, message }].
+// code é o contrato estável; message segue o idioma da requisição (apiV1.errors.*).
+const OPENAPI_FILE = path.join(__dirname, '..', '..', 'resources', 'web-api-v1.yaml');
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const router = express.Router();
+
+function apiError(status, code, message, field = null) {
+  const err = new Error(message);
+  err.status = status;
+  err.errors = [{ code, field, message }];
+  return err;
+}
+
+// Tradutor da requisição; erros de parse do JSON chegam antes do middleware de idioma
+function translate(req) {
+  return req.t || translatorFor(req.acceptsLanguages(...LOCALES) || null).t;
+}
+
+// Converte qualquer falha (validação local, resposta da API, rede) em ErrorArray.
+// Mensagens da própria API TaskWise são repassadas como vieram.
+function toErrorArray(err, req) {
+  const t = translate(req);
+  if (err.errors) return { status: err.status, errors: err.errors };
+  if (isApiUnavailable(err)) {
+    return { status: 503, errors: [{ code: 'API_UNAVAILABLE', field: null, message: t('apiV1.errors.apiUnavailable', { url: config.api.baseURL }) }] };
+  }
+  if (err.type === 'entity.parse.failed') {
+    return { status: 400, errors: [{ code: 'INVALID_JSON', field: null, message: t('apiV1.errors.invalidJson') }] };
+  }
+  if (err.response) {
+    const status = err.response.status;
+    if (status === 401 && req.accessToken) {
+      return { status, errors: [{ code: 'TOKEN_EXPIRED', field: null, message: t('apiV1.errors.tokenExpired') }] };
+    }
+    const data = err.response.data;
+    const errors = Array.isArray(data) && data.length
+      ? data.map(e => ({ code: e.code || `HTTP_${status}`, field: e.field ?? null, message: e.message || err.message }))
+      : [{ code: `HTTP_${status}`, field: null, message: data?.message || err.message }];
+    return { status, errors };
+  }
+  // eslint-disable-next-line no-console
+  console.error('Erro na API /api/v1:', err);
+  return { status: 500, errors: [{ code: 'INTERNAL_ERROR', field: null, message: t('apiV1.errors.internal') }] };
+}
+
+function apiErrorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  const { status, errors } = toErrorArray(err, req);
+  res.status(status).json(errors);
+}
+
+// Encaminha rejeições das rotas async para o handler de erro
+function handle(fn) {
+  return (req, res, next) => Promise.resolve(fn(req, res)).catch(next);
+}
+
+// Repassa status e corpo da API TaskWise (201, 204 etc.)
+function relay(res, resp) {
+  if (resp.status === 204) return res.status(204).end();
+  return res.status(resp.status).json(resp.data);
+}
+
+function pick(source, keys) {
+  const out = {};
+  for (const k of keys) {
+    if (source[k] !== undefined && source[k] !== '') out[k] = source[k];
+  }
+  return out;
+}
+
+// Mesmas regras do formulário de tarefa: título obrigatório e O ≤ M ≤ P por fase
+function validateTask(body, t) {
+  const errors = [];
+  if (!body || typeof body !== 'object') return [{ code: 'VALIDATION_ERROR', field: null, message: t('apiV1.errors.bodyRequired') }];
+  if (!String(body.title || '').trim()) errors.push({ code: 'VALIDATION_ERROR', field: 'title', message: t('apiV1.errors.titleRequired') });
+  for (const { key } of PHASES) {
+    if (!validPhase(body.phases?.[key])) {
+      errors.push({ code: 'PERT_INVALID', field: `phases.${key}`, message: t('apiV1.errors.phaseInvalid', { phase: t(`phases.${key}`) }) });
+    }
+  }
+  return errors;
+}
+
+function requireValidTask(req, res, next) {
+  const errors = validateTask(req.body, req.t);
+  if (!errors.length) return next();
+  return res.status(422).json(errors);
+}
+
+function authenticate(req, res, next) {
+  const tz = req.get('x-timezone') || req.query.tz || req.session?.tz;
+  const header = req.get('authorization') || '';
+  if (/^bearer\s/i.test(header)) {
+    const resolved = resolveAccessToken(header.replace(/^bearer\s+/i, '').trim());
+    if (!resolved) return next(apiError(401, 'INVALID_TOKEN', req.t('apiV1.errors.invalidToken')));
+    req.accessToken = resolved;
+    req.apiUser = resolved.user;
+    req.api = scopedApi(resolved.apiToken, tz, { timings: req.apiTimings, audit: auditContext(req, resolved.user, 'api') });
+    return next();
+  }
+  if (req.session?.token) {
+    // Com cookie de sessão, só aceitamos escrita via JSON: formulários de outros
+    // sites não conseguem enviar esse Content-Type sem preflight CORS
+    if (!SAFE_METHODS.includes(req.method) && !/^application\/json\b/i.test(req.get('content-type') || '')) {
+      return next(apiError(415, 'JSON_REQUIRED', req.t('apiV1.errors.jsonRequired')));
+    }
+    req.apiUser = req.session.user;
+    req.api = scopedApi(req.session.token, tz, { timings: req.apiTimings, audit: auditContext(req, req.session.user, 'api') });
+    return next();
+  }
+  return next(apiError(401, 'UNAUTHENTICATED', req.t('apiV1.errors.unauthenticated')));
+}
+
+router.get('/openapi.yaml', (req, res) => {
+  res.type('application/yaml').sendFile(OPENAPI_FILE);
+});
+
+router.use(authenticate);
+
+// Tarefas
+router.get('/tasks', handle(async (req, res) => {
+  const params = pick(req.query, ['status', 'sprintId', 'risco', 'complexidade', 'assigneeId', 'page', 'pageSize']);
+  relay(res, await req.api.get('/tasks', { params }));
+}));
+
+router.post('/tasks', requireValidTask, handle(async (req, res) => {
+  relay(res, await req.api.post('/tasks', pick(req.body, ['title', 'description', 'risco', 'complexidade', 'sprintId', 'phases'])));
+}));
+
+router.get('/tasks/:id', handle(async (req, res) => {
+  relay(res, await req.api.get(`/tasks/${encodeURIComponent(req.params.id)}`));
+}));
+
+router.put('/tasks/:id', requireValidTask, handle(async (req, res) => {
+  relay(res, await req.api.put(`/tasks/${encodeURIComponent(req.params.id)}`, pick(req.body, ['title', 'description', 'risco', 'complexidade', 'sprintId', 'phases'])));
+}));
+
+router.delete('/tasks/:id', handle(async (req, res) => {
+  relay(res, await req.api.delete(`/tasks/${encodeURIComponent(req.params.id)}`));
+}));
+
+router.patch('/tasks/:id/status', handle(async (req, res) => {
+  const { status, block } = req.body || {};
+  if (!status) throw apiError(422, 'VALIDATION_ERROR', req.t('apiV1.errors.statusRequired'), 'status');
+  if (status === 'Bloqueada' && !(block?.motivo && block?.responsavelId)) {
+    throw apiError(422, 'BLOCK_REQUIRED', req.t('apiV1.errors.blockRequired'), 'block');
+  }
+  relay(res, await req.api.patch(`/tasks/${encodeURIComponent(req.params.id)}/status`, status === 'Bloqueada' ? { status, block } : { status }));
+}));
+
+router.patch('/tasks/:id/assign/:userId', handle(async (req, res) => {
+  relay(res, await req.api.patch(`/tasks/${encodeURIComponent(req.params.id)}/assign/${encodeURIComponent(req.params.userId)}`));
+}));
+
+// Sprints
+router.get('/sprints', handle(async (req, res) => {
+  relay(res, await req.api.get('/sprints'));
+}));
+
+router.post('/sprints', handle(async (req, res) => {
+  if (!String(req.body?.name || '').trim()) throw apiError(422, 'VALIDATION_ERROR', req.t('apiV1.errors.sprintNameRequired'), 'name');
+  relay(res, await req.api.post('/sprints', pick(req.body, ['name', 'taskIds', 'capacity'])));
+}));
+
+router.get('/sprints/:id', handle(async (req, res) => {
+  relay(res, await req.api.get(`/sprints/${encodeURIComponent(req.params.id)}`));
+}));
+
+router.patch('/sprints/:id/capacity', handle(async (req, res) => {
+  relay(res, await req.api.patch(`/sprints/${encodeURIComponent(req.params.id)}/capacity`, pick(req.body || {}, ['junior', 'pleno', 'senior'])));
+}));
+
+router.patch('/sprints/:id/start', handle(async (req, res) => {
+  relay(res, await req.api.patch(`/sprints/${encodeURIComponent(req.params.id)}/start`));
+}));
+
+router.patch('/sprints/:id/close', handle(async (req, res) => {
+  relay(res, await req.api.patch(`/sprints/${encodeURIComponent(req.params.id)}/close`));
+}));
+
+router.patch('/sprints/:id/tasks', handle(async (req, res) => {
+  relay(res, await req.api.patch(`/sprints/${encodeURIComponent(req.params.id)}/tasks`, { taskIds: req.body?.taskIds || [] }));
+}));
+
+router.patch('/sprints/:id/tasks/remove', handle(async (req, res) => {
+  relay(res, await req.api.patch(`/sprints/${encodeURIComponent(req.params.id)}/tasks/remove`, { taskIds: req.body?.taskIds || [] }));
+}));
+
+// Dashboard
+router.get('/dashboard/summary', handle(async (req, res) => {
+  relay(res, await req.api.get('/dashboard/summary', { params: pick(req.query, ['sprintId']) }));
+}));
+
+// Usuários
+router.get('/users', handle(async (req, res) => {
+  relay(res, await req.api.get('/users'));
+}));
+
+router.post('/users', handle(async (req, res) => {
+  relay(res, await req.api.post('/users', pick(req.body || {}, ['name', 'email', 'password'])));
+}));
+
+router.get('/users/available', handle(async (req, res) => {
+  relay(res, await req.api.get('/users/available'));
+}));
+
+router.get('/users/me', handle(async (req, res) => {
+  relay(res, await req.api.get('/users/me'));
+}));
+
+router.use((req, res, next) => {
+  next(apiError(404, 'NOT_FOUND', req.t('apiV1.errors.notFound', { route: `${req.method} ${req.baseUrl}${req.path}` })));
+});
+
+module.exports = { apiV1: router, apiErrorHandler };
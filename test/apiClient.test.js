@@ -0,0 +1,121 @@
+'use strict';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { config } = require('../src/config');
+const { apiClient, ApiUnavailableError, isApiUnavailable, isCircuitOpen } = require('../src/lib/apiClient');
+
+// Servidor local cujas respostas cada teste define; conta as requisições recebidas
+let server;
+let hits = 0;
+let handler = (req, res) => res.end('{}');
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    hits += 1;
+    handler(req, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// O circuito é guardado por baseURL: cada teste usa um caminho próprio para começar fechado
+let seq = 0;
+beforeEach(() => {
+  hits = 0;
+  seq += 1;
+  config.api.baseURL = `http://127.0.0.1:${server.address().port}/t${seq}`;
+  config.api.retry = { retries: 2, baseDelayMs: 1, maxDelayMs: 5 };
+  config.api.circuitBreaker = { failureThreshold: 3, resetTimeoutMs: 50 };
+});
+
+function respond(...statuses) {
+  handler = (req, res) => {
+    res.statusCode = statuses.length > 1 ? statuses.shift() : statuses[0];
+    res.setHeader('Content-Type', 'application/json');
+    res.end('{}');
+  };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('GET indisponível é repetido até responder', async () => {
+  respond(503, 502, 200);
+  const resp = await apiClient('tok').get('/tasks');
+  assert.equal(resp.status, 200);
+  assert.equal(hits, 3);
+});
+
+test('GET desiste após o número configurado de tentativas', async () => {
+  respond(503);
+  await assert.rejects(apiClient().get('/tasks'), err => isApiUnavailable(err) && err.response.status === 503);
+  assert.equal(hits, 3);
+});
+
+test('escritas e erros de negócio não são repetidos', async () => {
+  respond(503);
+  await assert.rejects(apiClient().post('/tasks', {}), err => err.response.status === 503);
+  assert.equal(hits, 1);
+
+  respond(422);
+  await assert.rejects(apiClient().get('/tasks'), err => !isApiUnavailable(err) && err.response.status === 422);
+  assert.equal(hits, 2);
+});
+
+test('circuito abre após falhas seguidas e libera uma única tentativa depois do intervalo', async () => {
+  config.api.retry.retries = 0;
+  respond(503);
+  const api = apiClient();
+  for (let i = 0; i < 3; i++) await assert.rejects(api.get('/tasks'));
+  assert.equal(isCircuitOpen(config.api.baseURL), true);
+
+  await assert.rejects(api.get('/tasks'), ApiUnavailableError);
+  assert.equal(hits, 3);
+
+  await sleep(60);
+  assert.equal(isCircuitOpen(config.api.baseURL), false);
+  let release;
+  handler = (req, res) => { release = () => res.end('{}'); };
+  const probe = api.get('/tasks');
+  await sleep(20);
+  // Enquanto a tentativa de teste não termina, as demais falham rápido
+  await assert.rejects(api.get('/tasks'), ApiUnavailableError);
+  release();
+  assert.equal((await probe).status, 200);
+  assert.equal(hits, 4);
+
+  respond(200);
+  assert.equal((await api.get('/tasks')).status, 200);
+});
+
+test('tentativa de teste que falha reabre o circuito', async () => {
+  config.api.retry.retries = 0;
+  respond(504);
+  const api = apiClient();
+  for (let i = 0; i < 3; i++) await assert.rejects(api.get('/tasks'));
+  await sleep(60);
+  await assert.rejects(api.get('/tasks'), err => err.response.status === 504);
+  assert.equal(isCircuitOpen(config.api.baseURL), true);
+  await assert.rejects(api.get('/tasks'), ApiUnavailableError);
+  assert.equal(hits, 4);
+});
+
+test('tentativa de teste sem resposta não deixa o circuito preso em half-open', async () => {
+  config.api.retry.retries = 0;
+  respond(503);
+  const api = apiClient();
+  for (let i = 0; i < 3; i++) await assert.rejects(api.get('/tasks'));
+  await sleep(60);
+
+  handler = (req, res) => setTimeout(() => res.end('{}'), 200);
+  const controller = new AbortController();
+  const probe = api.get('/tasks', { signal: controller.signal });
+  setTimeout(() => controller.abort(), 20);
+  await assert.rejects(probe, err => err.code === 'ERR_CANCELED');
+
+  await sleep(60);
+  respond(200);
+  assert.equal((await api.get('/tasks')).status, 200);
+});
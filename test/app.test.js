@@ -0,0 +1,129 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMock, startApp, browser } = require('./helpers');
+
+let mock;
+let app;
+
+before(async () => {
+  mock = await startMock();
+  app = await startApp(mock.url);
+});
+
+after(async () => {
+  if (app) await app.stop();
+  await mock.stop();
+});
+
+test('páginas autenticadas redirecionam para o login', async () => {
+  const res = await browser(app.url).get('/dashboard');
+  assert.equal(res.status, 302);
+  assert.match(res.location, /^\/login/);
+});
+
+test('POST sem token CSRF é recusado', async () => {
+  const client = browser(app.url);
+  const form = await client.request('/login', { method: 'POST', form: { email: 'admin@taskwise.local', password: 'admin123' } });
+  assert.notEqual(form.location, '/dashboard');
+  const json = await client.request('/login', { method: 'POST', json: { email: 'admin@taskwise.local', password: 'admin123' }, headers: { Accept: 'application/json' } });
+  assert.equal(json.status, 403);
+  assert.equal((await client.get('/dashboard')).status, 302);
+});
+
+test('login com senha errada não abre sessão', async () => {
+  const client = browser(app.url);
+  const res = await client.login('bruno@taskwise.local', 'errada');
+  assert.notEqual(res.location, '/dashboard');
+  assert.equal((await client.get('/dashboard')).status, 302);
+});
+
+test('login e dashboard da sprint iniciada', async () => {
+  const client = browser(app.url);
+  const res = await client.login('admin@taskwise.local', 'admin123');
+  assert.equal(res.status, 302);
+  assert.equal(res.location, '/dashboard');
+  const dashboard = await client.get('/dashboard');
+  assert.equal(dashboard.status, 200);
+  assert.match(dashboard.body, /Sprint 02 - Checkout/);
+});
+
+test('lista de tarefas filtrada por sprint', async () => {
+  const client = browser(app.url);
+  await client.login('admin@taskwise.local', 'admin123');
+  const res = await client.get('/tasks?sprintId=s-02');
+  assert.equal(res.status, 200);
+  assert.match(res.body, /Testar pagamento com cartão/);
+  assert.doesNotMatch(res.body, /Validar relatório de vendas/);
+});
+
+test('mudança de status pelo formulário chega à API', async () => {
+  const client = browser(app.url);
+  await client.login('admin@taskwise.local', 'admin123');
+  const task = mock.store.state.tasks.find(t => t.sprintId === 's-02' && t.status === 'Backlog');
+  const csrf = await client.csrf(`/tasks/${task.id}`);
+  const res = await client.request(`/tasks/${task.id}/status`, { method: 'POST', form: { _csrf: csrf, status: 'Em Andamento' } });
+  assert.equal(res.status, 302);
+  assert.equal(mock.store.state.tasks.find(t => t.id === task.id).status, 'Em Andamento');
+});
+
+test('ações em lote codificam os ids no caminho e só voltam para páginas locais', async () => {
+  const client = browser(app.url);
+  await client.login('admin@taskwise.local', 'admin123');
+  const csrf = await client.csrf('/tasks');
+  const task = mock.store.state.tasks.find(t => t.sprintId === 's-02');
+  const sprint = mock.store.state.sprints.find(s => s.id === 's-03');
+
+  const res = await client.request('/tasks/bulk', {
+    method: 'POST',
+    form: { _csrf: csrf, action: 'assign', taskIds: task.id, assigneeId: '../../../sprints/s-03/start', returnTo: '//evil.example/tasks' }
+  });
+  assert.equal(res.status, 200);
+  assert.equal(sprint.status, 'Created');
+  assert.doesNotMatch(res.body, /evil\.example/);
+
+  const empty = await client.request('/tasks/bulk', { method: 'POST', form: { _csrf: csrf, action: 'assign', returnTo: '//evil.example/tasks' } });
+  assert.equal(empty.location, '/tasks');
+});
+
+test('API v1 responde ErrorArray sem autenticação e dados com a sessão', async () => {
+  const anonymous = await browser(app.url).get('/api/v1/sprints');
+  assert.equal(anonymous.status, 401);
+  assert.equal(JSON.parse(anonymous.body)[0].code, 'UNAUTHENTICATED');
+  const english = await browser(app.url).get('/api/v1/sprints', { headers: { 'Accept-Language': 'en' } });
+  assert.match(JSON.parse(english.body)[0].message, /^Authentication required/);
+
+  const client = browser(app.url);
+  await client.login('admin@taskwise.local', 'admin123');
+  const res = await client.get('/api/v1/sprints');
+  assert.equal(res.status, 200);
+  assert.ok(JSON.parse(res.body).items.some(s => s.id === 's-02'));
+});
+
+test('atualização em tempo real não renova a sessão nem consome o flash', async () => {
+  const client = browser(app.url);
+  await client.login('admin@taskwise.local', 'admin123');
+  const csrf = await client.csrf('/calendar');
+  await client.request('/calendar/feeds/inexistente/revoke', { method: 'POST', form: { _csrf: csrf } });
+  const live = await client.get('/dashboard', { headers: { 'X-Live-Refresh': '1' } });
+  assert.equal(live.status, 200);
+  assert.equal(live.headers.get('set-cookie'), null);
+  assert.doesNotMatch(live.body, /Link de calendário não encontrado/);
+  const page = await client.get('/dashboard');
+  assert.ok(page.headers.get('set-cookie'));
+  assert.match(page.body, /Link de calendário não encontrado/);
+});
+
+test('CSP sem unsafe-inline em script-src: scripts com nonce e sem handlers inline', async () => {
+  const client = browser(app.url);
+  await client.login('admin@taskwise.local', 'admin123');
+  const res = await client.get('/tasks');
+  const nonce = /script-src 'self' 'nonce-([^']+)'/.exec(res.headers.get('content-security-policy'));
+  assert.ok(nonce);
+  assert.doesNotMatch(res.headers.get('content-security-policy'), /script-src[^;]*unsafe-inline/);
+  const inline = [...res.body.matchAll(/<script(?![^>]*\ssrc=)([^>]*)>/g)];
+  assert.ok(inline.length);
+  for (const [, attrs] of inline) assert.match(attrs, new RegExp(`nonce="${nonce[1].replace(/[+/=]/g, '\\$&')}"`));
+  assert.doesNotMatch(res.body, /\son[a-z]+="/);
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, detectDelimiter, toCsv } = require('../src/lib/csv');
+const { auditCsv } = require('../src/lib/audit');
+const { translatorFor } = require('../src/lib/i18n');
+
+const columns = [{ key: 'title', header: 'Título' }, { key: 'hours', header: 'Horas' }];
+
+test('lê aspas, aspas escapadas e quebras de linha dentro de campos', () => {
+  const rows = parseCsv('\uFEFFa;b\r\n"x;y";"diz ""oi"""\n"linha 1\nlinha 2";3\n\n');
+  assert.deepEqual(rows, [['a', 'b'], ['x;y', 'diz "oi"'], ['linha 1\nlinha 2', '3']]);
+  assert.equal(detectDelimiter('a,b,c'), ',');
+  assert.equal(detectDelimiter('a\tb'), '\t');
+});
+
+test('gera CSV com BOM, vírgula decimal e campos entre aspas quando preciso', () => {
+  const csv = toCsv(columns, [{ title: 'Revisar; publicar', hours: 1.5 }, { title: 'Sem horas' }]);
+  assert.equal(csv, '\uFEFFTítulo;Horas\r\n"Revisar; publicar";1,5\r\nSem horas;\r\n');
+  assert.deepEqual(parseCsv(csv), [['Título', 'Horas'], ['Revisar; publicar', '1,5'], ['Sem horas', '']]);
+  assert.equal(toCsv(columns, [{ title: 'a,b', hours: 1.5 }], ','), '\uFEFFTítulo,Horas\r\n"a,b",1.5\r\n');
+});
+
+test('texto que a planilha leria como fórmula sai prefixado com apóstrofo', () => {
+  const titles = ['=HYPERLINK("http://x","y")', '+1', '-2', '@SUM(A1)', '\tcmd', '\rcmd'];
+  const csv = toCsv(columns, titles.map(title => ({ title, hours: -3 })));
+  const rows = parseCsv(csv).slice(1);
+  assert.deepEqual(rows.map(r => r[0]), titles.map(title => `'${title}`));
+  // Números negativos continuam numéricos
+  assert.ok(rows.every(r => r[1] === '-3'));
+  assert.match(csv, /\r\n"'=HYPERLINK\(""http:\/\/x"",""y""\)";-3\r\n/);
+  assert.equal(toCsv(columns, [{ title: 'a=b', hours: 0 }]).split('\r\n')[1], 'a=b;0');
+});
+
+test('CSV da auditoria também neutraliza fórmulas vindas dos dados gravados', () => {
+  const entry = {
+    at: '2024-05-02T10:00:00.000Z',
+    actor: { id: 'u9', name: '=cmd|" /c calc"!A1', email: '@invasor.local' },
+    action: 'task.update',
+    entity: 'task',
+    entityId: 't1',
+    via: 'web',
+    route: 'POST /tasks/t1',
+    before: { title: 'Antes' },
+    after: { title: '+Depois' }
+  };
+  const [header, row] = parseCsv(auditCsv([entry], translatorFor('pt-BR').t));
+  const cell = key => row[header.indexOf(translatorFor('pt-BR').t(`audit.csv.${key}`))];
+  assert.equal(cell('actor'), `'${entry.actor.name}`);
+  assert.equal(cell('email'), "'@invasor.local");
+  assert.equal(cell('changes'), 'title');
+  assert.equal(cell('after'), '{"title":"+Depois"}');
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startMock, startApp, browser } = require('./helpers');
+
+let mock;
+let proxy;
+let app;
+
+// Repassa as chamadas ao mock tirando totalHours/totalDays da listagem de tarefas,
+// como a API faz com tarefas que ainda não tiveram os totais calculados
+function startProxy(target) {
+  const server = http.createServer((req, res) => {
+    const upstream = http.request(target + req.url, { method: req.method, headers: req.headers }, (up) => {
+      const chunks = [];
+      up.on('data', chunk => chunks.push(chunk));
+      up.on('end', () => {
+        let body = Buffer.concat(chunks);
+        if (req.method === 'GET' && new URL(req.url, target).pathname === '/tasks' && up.statusCode === 200) {
+          const data = JSON.parse(body);
+          data.items = data.items.map(({ totalHours, totalDays, ...task }) => task);
+          body = Buffer.from(JSON.stringify(data));
+        }
+        const headers = { ...up.headers, 'content-length': body.length };
+        res.writeHead(up.statusCode, headers);
+        res.end(body);
+      });
+    });
+    req.pipe(upstream);
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      stop() {
+        server.closeAllConnections();
+        return new Promise(done => server.close(done));
+      }
+    }));
+  });
+}
+
+before(async () => {
+  mock = await startMock();
+  proxy = await startProxy(mock.url);
+  app = await startApp(proxy.url);
+});
+
+after(async () => {
+  if (app) await app.stop();
+  await proxy.stop();
+  await mock.stop();
+});
+
+test('exportação da lista completa os totais que a listagem da API não traz', async () => {
+  const client = browser(app.url);
+  await client.login('admin@taskwise.local', 'admin123');
+  const expected = mock.store.state.tasks.filter(t => t.sprintId === 's-02');
+
+  const json = await client.get('/tasks/export.json?sprintId=s-02');
+  assert.equal(json.status, 200);
+  const { items } = JSON.parse(json.body);
+  assert.equal(items.length, expected.length);
+  for (const item of items) {
+    const task = expected.find(t => t.id === item.id);
+    assert.equal(item.totalHours, task.totalHours);
+    assert.equal(item.totalDays, task.totalDays);
+  }
+
+  const csv = await client.get('/tasks/export.csv?sprintId=s-02');
+  assert.equal(csv.status, 200);
+  const [header, ...rows] = csv.body.replace(/^\uFEFF/, '').trim().split('\r\n');
+  const column = header.split(';').indexOf('Total (h)');
+  assert.ok(column > 0);
+  assert.ok(rows.every(row => row.split(';')[column] !== ''));
+});
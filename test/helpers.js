@@ -0,0 +1,111 @@
+'use strict';
+
+// Utilitários dos testes de rota: mock da API em processo e a aplicação web em um
+// processo filho apontando para ele, com DATA_DIR temporário.
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createMockServer } = require('../mock/server');
+
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function startMock() {
+  const mock = createMockServer();
+  const server = await listen(mock.app);
+  return {
+    ...mock,
+    url: `http://127.0.0.1:${server.address().port}`,
+    stop() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+// Porta livre para o processo filho
+async function freePort() {
+  const server = await listen(http.createServer());
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+async function waitFor(url, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      await fetch(url, { redirect: 'manual' });
+      return;
+    } catch (err) {
+      if (Date.now() > deadline) throw err;
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+}
+
+async function startApp(apiUrl, env = {}) {
+  const port = await freePort();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskwise-test-'));
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'src', 'app.js')], {
+    env: { ...process.env, PORT: String(port), API_BASE_URL: apiUrl, DATA_DIR: dataDir, SESSION_SECRET: 'test-secret', API_RETRIES: '0', ...env },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+  const url = `http://127.0.0.1:${port}`;
+  await waitFor(`${url}/login`);
+  return {
+    url,
+    async stop() {
+      if (child.exitCode === null) {
+        child.kill();
+        await new Promise(resolve => child.once('exit', resolve));
+      }
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Cliente HTTP com cookies de sessão, sem seguir redirecionamentos
+function browser(baseUrl) {
+  const cookies = new Map();
+  async function request(pathname, { method = 'GET', form = null, json, headers = {} } = {}) {
+    const opts = { method, redirect: 'manual', headers: { 'Accept-Language': 'pt-BR', ...headers } };
+    if (cookies.size) opts.headers.Cookie = [...cookies].map(([k, v]) => `${k}=${v}`).join('; ');
+    if (form) {
+      opts.headers['Content-Type'] = 'application/x-www-form-urlencoded';
+      opts.body = new URLSearchParams(form).toString();
+    } else if (json !== undefined) {
+      opts.headers['Content-Type'] = 'application/json';
+      opts.body = JSON.stringify(json);
+    }
+    const res = await fetch(baseUrl + pathname, opts);
+    for (const cookie of res.headers.getSetCookie()) {
+      const [pair] = cookie.split(';');
+      const idx = pair.indexOf('=');
+      cookies.set(pair.slice(0, idx), pair.slice(idx + 1));
+    }
+    const body = await res.text();
+    return { status: res.status, headers: res.headers, body, location: res.headers.get('location') };
+  }
+  return {
+    request,
+    get: (pathname, opts) => request(pathname, opts),
+    // Token CSRF da sessão (meta csrf-token ou campo _csrf da página)
+    async csrf(pathname = '/login') {
+      const { body } = await request(pathname);
+      const match = body.match(/name="(?:_csrf" value|csrf-token" content)="([^"]+)"/);
+      return match && match[1];
+    },
+    async login(email, password) {
+      const csrf = await this.csrf('/login');
+      return request('/login', { method: 'POST', form: { _csrf: csrf, email, password } });
+    }
+  };
+}
+
+module.exports = { startMock, startApp, browser };
@@ -0,0 +1,32 @@
+'use strict';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskwise-store-'));
+process.env.DATA_DIR = dataDir;
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const { jsonStore } = require('../src/lib/jsonStore');
+
+const permissions = file => fs.statSync(file).mode & 0o777;
+
+test('persiste as alterações e relê o arquivo em uma nova instância', () => {
+  const store = jsonStore('itens.json', { items: [] });
+  assert.equal(store.update(data => data.items.push('a')), 1);
+  assert.deepEqual(jsonStore('itens.json', { items: [] }).read(), { items: ['a'] });
+  assert.deepEqual(fs.readdirSync(dataDir), ['itens.json']);
+});
+
+test('mode restringe as permissões do arquivo, inclusive de um arquivo já existente', () => {
+  const file = path.join(dataDir, 'segredos.json');
+  fs.writeFileSync(file, '{"tokens":[]}', { mode: 0o644 });
+  fs.chmodSync(file, 0o644);
+  const store = jsonStore('segredos.json', { tokens: [] }, { mode: 0o600 });
+  store.update(data => data.tokens.push('x'));
+  assert.equal(permissions(file), 0o600);
+  assert.deepEqual(store.read(), { tokens: ['x'] });
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMock } = require('./helpers');
+const { unimplementedOperations } = require('../mock/server');
+
+let mock;
+let token;
+
+async function api(pathname, { method = 'GET', body, auth = token } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (auth) headers.Authorization = `Bearer ${auth}`;
+  const res = await fetch(mock.url + pathname, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+  return { status: res.status, data: res.status === 204 ? null : await res.json() };
+}
+
+before(async () => {
+  mock = await startMock();
+  const { data } = await api('/auth/login', { method: 'POST', body: { email: 'admin@taskwise.local', password: 'admin123' }, auth: null });
+  token = data.token;
+});
+
+after(() => mock.stop());
+
+test('implementa todas as operações do swagger', () => {
+  assert.deepEqual(unimplementedOperations(mock.app), []);
+});
+
+test('login inválido responde 401 no formato ErrorArray', async () => {
+  const { status, data } = await api('/auth/login', { method: 'POST', body: { email: 'admin@taskwise.local', password: 'x' }, auth: null });
+  assert.equal(status, 401);
+  assert.equal(data[0].code, 'INVALID_CREDENTIALS');
+});
+
+test('rotas autenticadas exigem o token', async () => {
+  const { status } = await api('/tasks', { auth: null });
+  assert.equal(status, 401);
+});
+
+test('lista tarefas com filtro e paginação', async () => {
+  const { status, data } = await api('/tasks?sprintId=s-02&page=1&pageSize=2');
+  assert.equal(status, 200);
+  assert.equal(data.pageSize, 2);
+  assert.ok(data.items.length <= 2);
+  assert.ok(data.items.every(t => t.sprintId === 's-02'));
+  assert.equal(data.totalPages, Math.max(1, Math.ceil(data.total / 2)));
+});
+
+test('mudança de status segue as regras 409/422', async () => {
+  const { data: { items } } = await api('/tasks?sprintId=s-03&pageSize=1');
+  const notStarted = await api(`/tasks/${items[0].id}/status`, { method: 'PATCH', body: { status: 'Em Andamento' } });
+  assert.equal(notStarted.status, 409);
+  assert.equal(notStarted.data[0].code, 'SPRINT_NOT_STARTED');
+
+  const invalid = await api(`/tasks/${items[0].id}/status`, { method: 'PATCH', body: { status: 'Qualquer' } });
+  assert.equal(invalid.status, 422);
+  assert.equal(invalid.data[0].field, 'status');
+});
+
+test('não fecha sprint com tarefas pendentes', async () => {
+  const { status, data } = await api('/sprints/s-02/close', { method: 'PATCH' });
+  assert.equal(status, 409);
+  assert.equal(data[0].code, 'SPRINT_HAS_PENDING_TASKS');
+});
+
+test('resumo do dashboard da sprint iniciada', async () => {
+  const { status, data } = await api('/dashboard/summary?sprintId=s-02');
+  assert.equal(status, 200);
+  assert.ok(Array.isArray(data.bloqueadas));
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PHASES, phaseStats, taskStats, effortPercentiles, monteCarloForecast, seededRandom, pertSample } = require('../src/lib/pert');
+
+// Tarefa com as quatro fases em O=1, M=2, P=3: E = 2 e σ = 1/3 por fase
+function task(O = 1, M = 2, P = 3) {
+  return { phases: Object.fromEntries(PHASES.map(({ key }) => [key, { O, M, P }])) };
+}
+
+test('estatísticas PERT por fase e por tarefa', () => {
+  const st = phaseStats({ O: '1', M: '2', P: '5' });
+  assert.equal(st.expected, 14 / 6);
+  assert.equal(st.sd, 4 / 6);
+  assert.equal(phaseStats({ O: 3, M: 2, P: 1 }), null);
+
+  const partial = task();
+  delete partial.phases.reteste;
+  const stats = taskStats(partial.phases);
+  assert.equal(stats.complete, false);
+  assert.equal(stats.expected, 6);
+});
+
+test('percentis de esforço pela aproximação normal', () => {
+  const result = effortPercentiles([task(), task()]);
+  // E = 16 e σ = √(8 × 1/9)
+  assert.equal(result.count, 2);
+  assert.equal(result.expected, 16);
+  assert.equal(result.sd, 0.94);
+  assert.equal(result.p50, 16);
+  assert.equal(result.p85, 16.98);
+  assert.equal(result.p95, 17.55);
+  assert.deepEqual(effortPercentiles([]), { count: 0, expected: 0, sd: 0, p50: 0, p85: 0, p95: 0 });
+});
+
+test('amostras Beta-PERT ficam entre O e P e centram em E', () => {
+  const rand = seededRandom('pert');
+  let sum = 0;
+  for (let i = 0; i < 5000; i++) {
+    const x = pertSample(1, 2, 6, rand);
+    assert.ok(x >= 1 && x <= 6);
+    sum += x;
+  }
+  assert.ok(Math.abs(sum / 5000 - 2.5) < 0.05);
+  assert.equal(pertSample(4, 4, 4, rand), 4);
+});
+
+test('Monte Carlo é determinístico pela semente e ordena os percentis', () => {
+  const start = new Date(2024, 0, 1);
+  const args = { tasks: [task(), task(), task()], dailyHours: 6, start, iterations: 2000 };
+  const a = monteCarloForecast(args);
+  const b = monteCarloForecast(args);
+  assert.deepEqual(a, b);
+  assert.notDeepEqual(monteCarloForecast({ ...args, seed: 'outra' }).effort, a.effort);
+
+  assert.equal(a.iterations, 2000);
+  assert.ok(a.effort.p50 <= a.effort.p85 && a.effort.p85 <= a.effort.p95);
+  assert.ok(Math.abs(a.effort.p50 - 24) < 0.5);
+  assert.ok(Math.abs(a.days.p50 - a.effort.p50 / 6) < 0.01);
+  assert.match(a.dates.p95, /^\d{2}-\d{2}-\d{4}$/);
+});
+
+test('Monte Carlo sem capacidade diária não gera previsão', () => {
+  assert.equal(monteCarloForecast({ tasks: [task()], dailyHours: 0 }), null);
+});
+
+test('iterações padrão caem com o número de fases para limitar os sorteios', () => {
+  const start = new Date(2024, 0, 1);
+  assert.equal(monteCarloForecast({ tasks: [task()], dailyHours: 6, start }).iterations, 2000);
+  const many = Array.from({ length: 200 }, () => task());
+  assert.equal(monteCarloForecast({ tasks: many, dailyHours: 6, start }).iterations, 500);
+});
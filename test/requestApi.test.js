@@ -0,0 +1,92 @@
+'use strict';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMock } = require('./helpers');
+const { config } = require('../src/config');
+const { scopedApi, enrichTasks } = require('../src/lib/requestApi');
+
+let mock;
+let token;
+let timings;
+
+before(async () => {
+  mock = await startMock();
+  config.api.baseURL = mock.url;
+  config.api.retry.retries = 0;
+  const res = await fetch(`${mock.url}/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: 'admin@taskwise.local', password: 'admin123' })
+  });
+  token = (await res.json()).token;
+});
+
+after(() => mock.stop());
+
+beforeEach(() => {
+  timings = [];
+});
+
+function api(tz = 'America/Sao_Paulo') {
+  return scopedApi(token, tz, { timings });
+}
+
+const sources = () => timings.map(t => t.source);
+
+test('GETs repetidos na mesma requisição viram uma chamada', async () => {
+  const a = api();
+  const [first, second] = await Promise.all([
+    a.get('/tasks', { params: { sprintId: 's-02', page: 1 } }),
+    a.get('/tasks', { params: { page: 1, sprintId: 's-02', q: '' } })
+  ]);
+  assert.deepEqual(sources().sort(), ['network', 'request']);
+  // Cada chamador recebe a própria cópia
+  first.data.items.pop();
+  assert.notEqual(first.data.items.length, second.data.items.length);
+});
+
+test('sprints ficam em cache entre requisições, separadas por timezone', async () => {
+  await api().get('/sprints/s-03');
+  await api().get('/sprints/s-03');
+  await api('UTC').get('/sprints/s-03');
+  assert.deepEqual(sources(), ['network', 'shared', 'network']);
+});
+
+test('escrita em tarefas invalida o cache de sprints mesmo quando falha', async () => {
+  const a = api();
+  await a.get('/sprints/s-03');
+  await a.get('/users/available');
+  const { data: { items } } = await a.get('/tasks', { params: { sprintId: 's-03' } });
+
+  const writer = api();
+  await assert.rejects(writer.patch(`/tasks/${items[0].id}/status`, { status: 'Em Andamento' }), err => err.response.status === 409);
+
+  timings.length = 0;
+  const b = api();
+  await b.get('/sprints/s-03');
+  await b.get('/users/available');
+  assert.deepEqual(sources(), ['network', 'shared']);
+
+  // O cache da própria requisição também é descartado após a escrita
+  timings.length = 0;
+  await writer.get('/tasks', { params: { sprintId: 's-03' } });
+  await writer.patch(`/tasks/${items[0].id}/status`, { status: 'Qualquer' }).catch(() => {});
+  await writer.get('/tasks', { params: { sprintId: 's-03' } });
+  assert.deepEqual(sources().filter(s => s !== 'network'), []);
+});
+
+test('erros não ficam em cache', async () => {
+  await assert.rejects(api().get('/sprints/s-99'), err => err.response.status === 404);
+  await assert.rejects(api().get('/sprints/s-99'), err => err.response.status === 404);
+  assert.deepEqual(sources(), ['network', 'network']);
+});
+
+test('enrichTasks completa os totais pelo detalhe da tarefa', async () => {
+  const a = api();
+  const { data: { items } } = await a.get('/tasks', { params: { sprintId: 's-02' } });
+  const bare = items.map(({ totalHours, totalDays, ...rest }) => rest);
+  const enriched = await enrichTasks(a, [...bare, { id: 'inexistente', title: 'x' }]);
+  assert.ok(enriched.slice(0, -1).every(t => t.totalHours != null && t.totalDays != null));
+  assert.deepEqual(enriched.at(-1), { id: 'inexistente', title: 'x' });
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// O snapshot gravado antes das exclusões vai para um DATA_DIR temporário
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskwise-close-'));
+process.env.DATA_DIR = dataDir;
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const { parseClosePlan, runSprintClose, NEW_SPRINT, COMPLETE } = require('../src/lib/sprintClose');
+
+const sprint = { id: 's-02', name: 'Sprint 2', status: 'Started', capacity: 40 };
+const target = { id: 's-03', name: 'Sprint 3', status: 'Created' };
+const tasks = [
+  { id: 't1', title: 'Mover', status: 'Em Andamento', assigneeId: 'u1', phases: {} },
+  { id: 't2', title: 'Concluir', status: 'Bloqueada', assigneeId: 'u2' },
+  { id: 't3', title: 'Concluir também', status: 'A Fazer', assigneeId: 'u2' }
+];
+
+// API falsa: registra as chamadas, falha nas que combinarem com failOn e lista
+// pending como as tarefas da sprint
+function fakeApi(failOn = [], pending = []) {
+  const calls = [];
+  let seq = 0;
+  function call(method, url, data) {
+    calls.push(`${method} ${url}`);
+    if (failOn.includes(`${method} ${url}`)) return Promise.reject(new Error(`falha em ${method} ${url}`));
+    if (url === '/dashboard/summary') return Promise.resolve({ data: { bloqueadas: [{ id: 't2', motivo: 'Aguardando cliente', responsavelId: 'u9' }] } });
+    if (method === 'post') return Promise.resolve({ data: { id: `novo-${++seq}`, ...data } });
+    if (url === '/tasks') return Promise.resolve({ data: { items: pending } });
+    return Promise.resolve({ data: {} });
+  }
+  return {
+    calls,
+    get: (url, options) => call('get', url, options),
+    post: (url, data) => call('post', url, data),
+    patch: (url, data) => call('patch', url, data),
+    delete: url => call('delete', url)
+  };
+}
+
+const statuses = result => result.steps.map(s => `${s.label}:${s.status}`);
+
+test('plano exige uma escolha válida por tarefa e o nome da nova sprint', () => {
+  const { errors, choices } = parseClosePlan(
+    { plan: { t1: NEW_SPRINT, t2: 's-99' } },
+    [...tasks, { id: 't4', title: 'Sem responsável' }],
+    [target]
+  );
+  assert.deepEqual(errors, { 'plan.t2': 'targetInvalid', 'plan.t3': 'choiceRequired', 'plan.t4': 'choiceRequired', newSprintName: 'newSprintNameRequired' });
+  assert.equal(choices[0].action, 'move');
+
+  const complete = parseClosePlan({ plan: { t4: COMPLETE } }, [{ id: 't4', title: 'Sem responsável' }], []);
+  assert.deepEqual(complete.errors, { 'plan.t4': 'assigneeRequired' });
+});
+
+test('falha no meio desfaz os passos anteriores na ordem inversa', async () => {
+  const api = fakeApi(['patch /tasks/t3/status']);
+  const { choices, newSprintName } = parseClosePlan({ plan: { t1: NEW_SPRINT, t2: COMPLETE, t3: COMPLETE }, newSprintName: 'Sprint 4' }, tasks, [target]);
+  const result = await runSprintClose(api, { sprint, choices, newSprintName });
+
+  assert.equal(result.ok, false);
+  assert.deepEqual(statuses(result), [
+    'createSprint:kept', 'copyTask:undone', 'completeTask:undone', 'completeTask:failed', 'checkPending:skipped', 'deleteOriginal:skipped', 'closeSprint:skipped'
+  ]);
+  assert.equal(result.steps[0].keptReason, 'sprintCreated');
+  assert.deepEqual(api.calls.slice(api.calls.indexOf('patch /tasks/t3/status')), [
+    'patch /tasks/t3/status', 'patch /tasks/t2/status', 'delete /tasks/novo-2'
+  ]);
+});
+
+test('tarefa bloqueada volta com o motivo e o responsável do dashboard', async () => {
+  const api = fakeApi(['patch /sprints/s-02/close']);
+  const patches = [];
+  const patch = api.patch;
+  api.patch = (url, data) => {
+    patches.push([url, data]);
+    return patch(url, data);
+  };
+  const { choices } = parseClosePlan({ plan: { t2: COMPLETE } }, tasks.slice(1, 2), []);
+  await runSprintClose(api, { sprint, choices, newSprintName: '' });
+  assert.deepEqual(patches.at(-1), ['/tasks/t2/status', { status: 'Bloqueada', block: { motivo: 'Aguardando cliente', responsavelId: 'u9' } }]);
+});
+
+test('após excluir a original a cópia não é mais desfeita', async () => {
+  const api = fakeApi(['patch /sprints/s-02/close']);
+  const { choices } = parseClosePlan({ plan: { t1: 's-03' } }, tasks.slice(0, 1), [target]);
+  const result = await runSprintClose(api, { sprint, choices, newSprintName: '' });
+
+  assert.deepEqual(statuses(result), ['copyTask:kept', 'checkPending:kept', 'deleteOriginal:kept', 'closeSprint:failed']);
+  assert.deepEqual(result.steps.map(s => s.keptReason ?? null), ['taskMoved', null, 'originalDeleted', null]);
+  assert.ok(!api.calls.includes('delete /tasks/novo-1'));
+  assert.ok(api.calls.includes('patch /tasks/novo-1/assign/u1'));
+});
+
+test('pendência fora do plano interrompe antes de excluir as originais', async () => {
+  const api = fakeApi([], [
+    { id: 't1', title: 'Mover', status: 'Em Andamento' },
+    { id: 't5', title: 'Criada depois', status: 'A Fazer' },
+    { id: 't6', title: 'Pronta', status: 'Concluída' }
+  ]);
+  const { choices } = parseClosePlan({ plan: { t1: 's-03' } }, tasks.slice(0, 1), [target]);
+  const result = await runSprintClose(api, { sprint, choices, newSprintName: '' });
+
+  assert.deepEqual(statuses(result), ['copyTask:undone', 'checkPending:failed', 'deleteOriginal:skipped', 'closeSprint:skipped']);
+  assert.equal(result.steps[1].error.messageKey, 'sprints.closeWizard.errors.unplannedPending');
+  assert.deepEqual(result.steps[1].error.params, { titles: 'Criada depois' });
+  assert.ok(!api.calls.includes('delete /tasks/t1'));
+  assert.ok(api.calls.includes('delete /tasks/novo-1'));
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateRows, templateCsv, TEMPLATE_COLUMNS, MAX_ROWS } = require('../src/lib/taskImport');
+const { parseCsv } = require('../src/lib/csv');
+
+const sprints = [
+  { id: 's-01', name: 'Sprint 1', status: 'Closed' },
+  { id: 's-02', name: 'Sprint 2', status: 'Started' }
+];
+const options = { sprints, riskOptions: ['Baixo', 'Médio', 'Alto'], complexityOptions: ['Baixa', 'Média', 'Alta'] };
+const phases = ['1', '2', '3', '1', '2', '3', '1', '2', '3', '1', '2', '3'];
+
+function row(title, { risco = '', complexidade = '', sprint = '', values = phases } = {}) {
+  return [title, '', risco, complexidade, sprint, ...values];
+}
+
+test('o modelo para download passa na validação', () => {
+  const { rows, headerErrors } = validateRows(parseCsv(templateCsv()), options);
+  assert.deepEqual(headerErrors, []);
+  assert.equal(rows.length, 1);
+  assert.deepEqual(rows[0].errors, []);
+  assert.equal(rows[0].payload.risco, 'Médio');
+  assert.deepEqual(rows[0].payload.phases.execucao, { O: 2, M: 4, P: 6 });
+});
+
+test('colunas obrigatórias ausentes invalidam o arquivo inteiro', () => {
+  const { rows, headerErrors } = validateRows([['titulo', 'risco'], ['Tarefa', 'Alto']], options);
+  assert.equal(rows.length, 0);
+  assert.equal(headerErrors.length, 1);
+  assert.match(headerErrors[0], /am_O/);
+});
+
+test('cabeçalhos aceitam sinônimos, acentos e maiúsculas', () => {
+  const header = ['Título', 'Descrição', 'Risk', 'Complexity', 'Sprint', ...TEMPLATE_COLUMNS.slice(5).map(c => c.toUpperCase())];
+  const { rows, headerErrors } = validateRows([header, row('Tarefa', { risco: 'alto', complexidade: 'MEDIA' })], options);
+  assert.deepEqual(headerErrors, []);
+  assert.equal(rows[0].payload.risco, 'Alto');
+  assert.equal(rows[0].payload.complexidade, 'Média');
+});
+
+test('cada linha acumula os próprios erros com o número da linha do arquivo', () => {
+  const bad = ['1', '3', '2', 'x', '1', '1', '1', '1', '1', '1', '1', '1'];
+  const { rows } = validateRows([
+    TEMPLATE_COLUMNS,
+    row('Válida', { sprint: 'sprint 2', values: ['0,5', '1', '1,5', ...phases.slice(3)] }),
+    row('', { risco: 'Crítico', sprint: 's-01', values: bad }),
+    row('Sem sprint', { sprint: 's-99' })
+  ], options);
+
+  assert.deepEqual(rows.map(r => r.line), [2, 3, 4]);
+  assert.deepEqual(rows[0].errors, []);
+  assert.equal(rows[0].payload.sprintId, 's-02');
+  assert.deepEqual(rows[0].payload.phases.analiseModelagem, { O: 0.5, M: 1, P: 1.5 });
+
+  // título, risco, sprint encerrada, ordem O ≤ M ≤ P e valor não numérico
+  assert.equal(rows[1].errors.length, 5);
+  assert.equal(rows[1].payload, null);
+  assert.equal(rows[2].errors.length, 1);
+  assert.equal(rows[2].sprintName, 's-99');
+});
+
+test('linhas além do limite são descartadas com aviso', () => {
+  const body = Array.from({ length: MAX_ROWS + 1 }, (_, i) => row(`Tarefa ${i}`));
+  const { rows, headerErrors } = validateRows([TEMPLATE_COLUMNS, ...body], options);
+  assert.equal(rows.length, MAX_ROWS);
+  assert.equal(headerErrors.length, 1);
+});